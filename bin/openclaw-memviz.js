@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+require('dotenv').config({ quiet: true });
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('../server/config');
+const { discoverEntries, parseFile } = require('../server/parser');
+const { createGraphIndex } = require('../server/graph-index');
+const { SEVERITY_ORDER, lintMemory } = require('../server/lint');
+const { FORMATS, exportGraph } = require('../server/export');
+const { analyzeGraph } = require('../server/analytics');
+const { listTasks } = require('../server/tasks');
+const { endpointId, linkKind, splitList } = require('../server/util');
+
+const USAGE = `Usage: openclaw-memviz <command> [options]
+
+Commands:
+  build    Build the memory graph and print it as JSON ({ nodes, links })
+  stats    Summarise the graph: node and link counts, daily logs, tasks, lint
+  lint     Report broken references and memory hygiene issues
+  export   Write the graph as ${Object.keys(FORMATS).join(', ')}
+  serve    Start the visualizer server on the memory root
+
+Options:
+  --root <dir>        Memory root (default: MEMORY_ROOT or the current directory)
+  --json              Print machine-readable JSON (stats, lint)
+  --out <file>        Write build/export output to a file instead of stdout
+  --format <name>     Export format (required by export)
+  --types <list>      Keep only these node types, e.g. file,concept (build, export, stats)
+  --links <list>      Keep only these link kinds, e.g. ref,related:text (build, export, stats)
+  --min-score <n>     Drop related links scoring below n (build, export, stats)
+  --severity <level>  Lowest severity to report: error, warning or info (default)
+  --fail-on <level>   Lowest severity that fails lint (default: error)
+  --port <port>       Port for serve (default: PORT or 18791)
+  -h, --help          Show this help`;
+
+// Flags taking a value, as `--flag value` or `--flag=value`.
+const VALUE_FLAGS = {
+  '--root': 'root',
+  '--out': 'out',
+  '--format': 'format',
+  '--types': 'types',
+  '--links': 'links',
+  '--min-score': 'minScore',
+  '--severity': 'severity',
+  '--fail-on': 'failOn',
+  '--port': 'port',
+};
+
+function parseArgs(argv) {
+  const args = {
+    command: null,
+    root: null,
+    json: false,
+    out: null,
+    format: null,
+    types: null,
+    links: null,
+    minScore: null,
+    severity: 'info',
+    failOn: 'error',
+    port: null,
+    help: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inline] = arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, null];
+    if (VALUE_FLAGS[flag]) {
+      const value = inline !== null ? inline : argv[++i];
+      if (value === undefined) throw new Error(`Missing value for ${flag}`);
+      args[VALUE_FLAGS[flag]] = value;
+    } else if (arg === '--json') args.json = true;
+    else if (arg === '-h' || arg === '--help') args.help = true;
+    else if (!args.command) args.command = arg;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+  return args;
+}
+
+/**
+ * Parses every discovered memory file into a fresh graph index, with the
+ * similarity settings of the root's config.
+ */
+async function loadIndex(root) {
+  const config = loadConfig({ root });
+  const index = createGraphIndex({ similarity: config.similarity });
+  for (const { filePath, rootLabel } of await discoverEntries(root, config)) {
+    try {
+      index.upsert(parseFile(filePath, root, { rootLabel }));
+    } catch (err) {
+      console.error(`Failed to parse ${filePath}: ${err.message}`);
+    }
+  }
+  await index.prepare();
+  return index;
+}
+
+/**
+ * The graph limited by the --types, --links and --min-score options. Links
+ * are kept when both ends survive; `--links related` matches every related
+ * kind, `related:text` just one.
+ */
+function filterGraph(graph, { types, links, minScore }) {
+  const nodeTypes = new Set(splitList(types));
+  const linkKinds = new Set(splitList(links));
+  const min = minScore === null || minScore === undefined ? null : Number(minScore);
+  if (min !== null && !Number.isFinite(min)) throw new Error(`Invalid --min-score: ${minScore}`);
+
+  const nodes = graph.nodes.filter(n => !nodeTypes.size || nodeTypes.has(n.type));
+  const kept = new Set(nodes.map(n => n.id));
+  return {
+    nodes,
+    links: graph.links.filter(l =>
+      kept.has(endpointId(l.source)) && kept.has(endpointId(l.target)) &&
+      (!linkKinds.size || linkKinds.has(l.type) || linkKinds.has(linkKind(l))) &&
+      (min === null || l.type !== 'related' || (l.score ?? l.weight ?? 0) >= min)
+    ),
+  };
+}
+
+function writeOutput(body, out) {
+  if (!out) {
+    process.stdout.write(body.endsWith('\n') ? body : `${body}\n`);
+    return;
+  }
+  fs.writeFileSync(path.resolve(out), body);
+  console.error(`Wrote ${path.resolve(out)}`);
+}
+
+function countBy(items, key) {
+  const counts = {};
+  for (const item of items) {
+    const k = key(item);
+    counts[k] = (counts[k] || 0) + 1;
+  }
+  return counts;
+}
+
+async function build(root, args) {
+  const graph = filterGraph((await loadIndex(root)).toGraph(), args);
+  writeOutput(JSON.stringify(graph, null, 2), args.out);
+  return 0;
+}
+
+async function exportCommand(root, args) {
+  if (!args.format) throw new Error(`export needs --format (${Object.keys(FORMATS).join(', ')})`);
+  const graph = filterGraph((await loadIndex(root)).toGraph(), args);
+  writeOutput(exportGraph(graph, args.format).body, args.out);
+  return 0;
+}
+
+async function stats(root, args) {
+  const index = await loadIndex(root);
+  const graph = filterGraph(index.toGraph(), args);
+  const lintReport = lintMemory(index);
+  const { tasks, decisions } = listTasks(graph, { status: 'all', limit: Infinity });
+  const dailyDates = graph.nodes.filter(n => n.type === 'file' && n.date).map(n => n.date).sort();
+  const linked = new Set(graph.links.flatMap(l => [endpointId(l.source), endpointId(l.target)]));
+  const { concepts, communities } = analyzeGraph(graph, { limit: 10 });
+
+  const report = {
+    root,
+    files: graph.nodes.filter(n => n.type === 'file').length,
+    nodes: graph.nodes.length,
+    links: graph.links.length,
+    nodeTypes: countBy(graph.nodes, n => n.type),
+    linkKinds: countBy(graph.links, linkKind),
+    roots: countBy(graph.nodes.filter(n => n.type === 'file'), n => n.root || '(none)'),
+    isolated: graph.nodes.filter(n => !linked.has(n.id)).length,
+    dailyLogs: { count: dailyDates.length, first: dailyDates[0] || null, last: dailyDates[dailyDates.length - 1] || null },
+    tasks: { open: tasks.filter(t => !t.checked).length, done: tasks.filter(t => t.checked).length },
+    decisions: decisions.length,
+    communities: communities.length,
+    topConcepts: concepts.map(c => ({ label: c.label, degree: c.degree, pagerank: c.pagerank })),
+    lint: { error: lintReport.counts.error, warning: lintReport.counts.warning, info: lintReport.counts.info },
+  };
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return 0;
+  }
+
+  const pairs = counts => Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([k, v]) => `${k} ${v}`).join(', ') || '-';
+  console.log(`Root:         ${report.root}`);
+  console.log(`Files:        ${report.files} (${pairs(report.roots)})`);
+  console.log(`Nodes:        ${report.nodes} (${pairs(report.nodeTypes)})`);
+  console.log(`Links:        ${report.links} (${pairs(report.linkKinds)})`);
+  console.log(`Isolated:     ${report.isolated}`);
+  console.log(`Daily logs:   ${report.dailyLogs.count}${report.dailyLogs.count ? ` (${report.dailyLogs.first} .. ${report.dailyLogs.last})` : ''}`);
+  console.log(`Tasks:        ${report.tasks.open} open, ${report.tasks.done} done`);
+  console.log(`Decisions:    ${report.decisions}`);
+  console.log(`Communities:  ${report.communities}`);
+  console.log(`Top concepts: ${report.topConcepts.map(c => `${c.label} (${c.degree})`).join(', ') || '-'}`);
+  console.log(`Lint:         ${report.lint.error} errors, ${report.lint.warning} warnings, ${report.lint.info} info`);
+  return 0;
+}
+
+async function lint(root, { json, severity, failOn }) {
+  if (!(failOn in SEVERITY_ORDER)) throw new Error(`Unknown severity: ${failOn}`);
+  const report = lintMemory(await loadIndex(root), { minSeverity: severity });
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    for (const i of report.issues) {
+      const at = i.line ? `${i.path}:${i.line}:${i.column || 1}` : i.path;
+      console.log(`${at}  ${i.severity.padEnd(7)} ${i.rule.padEnd(20)} ${i.message}`);
+    }
+    const { error, warning, info } = report.counts;
+    console.log(`\n${report.files} files: ${error} errors, ${warning} warnings, ${info} info`);
+  }
+
+  // Issues at --fail-on or worse fail the run so the command can gate CI or
+  // a pre-commit hook.
+  const failing = Object.keys(SEVERITY_ORDER).filter(s => SEVERITY_ORDER[s] <= SEVERITY_ORDER[failOn]);
+  return failing.some(s => report.counts[s]) ? 1 : 0;
+}
+
+/**
+ * Runs the server in this process. It reads MEMORY_ROOT and PORT when
+ * loaded, so they are set first; the server keeps the process alive.
+ */
+function serve(root, { port }) {
+  process.env.MEMORY_ROOT = root;
+  if (port) process.env.PORT = port;
+  require('../server/index');
+  return 0;
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help || !args.command) {
+    console.log(USAGE);
+    return args.help ? 0 : 1;
+  }
+
+  const root = path.resolve(args.root || process.env.MEMORY_ROOT || process.cwd());
+
+  switch (args.command) {
+    case 'build':
+      return build(root, args);
+    case 'stats':
+      return stats(root, args);
+    case 'lint':
+      return lint(root, args);
+    case 'export':
+      return exportCommand(root, args);
+    case 'serve':
+      return serve(root, args);
+    default:
+      console.error(`Unknown command: ${args.command}\n\n${USAGE}`);
+      return 1;
+  }
+}
+
+main(process.argv.slice(2))
+  .then((code) => { process.exitCode = code; })
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
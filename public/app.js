@@ -1,32 +1,33 @@
 const width = window.innerWidth - 400;
 const height = window.innerHeight;
 
-const svg = d3.select("#graph")
-    .append("svg")
-    .attr("width", width)
-    .attr("height", height)
-    .call(d3.zoom().on("zoom", (event) => {
-        container.attr("transform", event.transform);
-    }))
-    .append("g");
-
-const container = svg.append("g");
-
-const simulation = d3.forceSimulation()
-    .force("link", d3.forceLink().id(d => d.id).distance(100))
-    .force("charge", d3.forceManyBody().strength(-150))
-    .force("center", d3.forceCenter(width / 2, height / 2))
-    .force("x", d3.forceX(width / 2).strength(0.05))
-    .force("y", d3.forceY(height / 2).strength(0.05));
-
-let graphData = null;
+const graphView = createGraphCanvas({
+    root: d3.select("#graph"),
+    width,
+    height,
+    linkKind,
+    onSelect: (d) => (focus ? focusOn(d.id) : showDetails(d)),
+    onDragStart: dragstarted,
+    onDrag: dragged,
+    onDragEnd: dragended,
+});
+
+const layout = createLayout({ width, height, onTick: () => graphView.draw() });
+
+let graphData = { nodes: [], links: [] };
+let graphVersion = 0;
 
 let currentEditablePath = null;
 let lastLoadedText = '';
+let lastLoadedEtag = null; // sent back as If-Match so saves can't clobber newer writes
+let permissions = { edit: true, delete: true }; // narrowed by the user's role once known
 let isEditing = false;
+let currentSection = null; // { id, line, endLine } of the event node shown
+let sectionEdit = null; // { id, text } while only that section is being edited
 
 const editorControls = document.getElementById('editor-controls');
 const btnEdit = document.getElementById('btn-edit');
+const btnEditSection = document.getElementById('btn-edit-section');
 const btnSave = document.getElementById('btn-save');
 const btnCancel = document.getElementById('btn-cancel');
 const btnDelete = document.getElementById('btn-delete');
@@ -36,8 +37,9 @@ const sourceEl = document.getElementById('node-source');
 function setEditing(on) {
     isEditing = on;
     sourceEl.readOnly = !on;
-    btnEdit.style.display = on ? 'none' : 'inline-block';
-    btnDelete.style.display = on ? 'none' : 'inline-block';
+    btnEdit.style.display = on || !permissions.edit ? 'none' : 'inline-block';
+    btnEditSection.style.display = on || !permissions.edit || !currentSection ? 'none' : 'inline-block';
+    btnDelete.style.display = on || !permissions.delete ? 'none' : 'inline-block';
     btnSave.style.display = on ? 'inline-block' : 'none';
     btnCancel.style.display = on ? 'inline-block' : 'none';
     saveStatus.textContent = '';
@@ -45,8 +47,22 @@ function setEditing(on) {
 
 btnEdit.addEventListener('click', () => {
     if (!currentEditablePath) return;
+    if (detailTab !== 'source') setDetailTab('source');
+    setEditing(true);
+    sourceEl.focus();
+});
+
+btnEditSection.addEventListener('click', () => {
+    if (!currentEditablePath || !currentSection) return;
+    if (detailTab !== 'source') setDetailTab('source');
+    const { id, line, endLine } = currentSection;
+    const text = lastLoadedText.split('\n').slice(line - 1, endLine).join('\n');
+    sectionEdit = { id, text };
+    sourceEl.value = text;
     setEditing(true);
     sourceEl.focus();
+    sourceEl.setSelectionRange(0, 0);
+    sourceEl.scrollTop = 0;
 });
 
 btnDelete.addEventListener('click', async () => {
@@ -69,9 +85,9 @@ btnDelete.addEventListener('click', async () => {
         sourceEl.value = 'FILE_DELETED';
         currentEditablePath = null;
         editorControls.style.display = 'none';
+        loadDeletedFiles();
 
-        // Wait a second then reload to show new graph state
-        setTimeout(() => location.reload(), 1000);
+        // The live stream removes the node from the graph.
     } catch (e) {
         saveStatus.textContent = `ERROR: ${e.message}`;
     }
@@ -81,142 +97,2150 @@ btnCancel.addEventListener('click', () => {
     if (!currentEditablePath) return;
     sourceEl.value = lastLoadedText;
     setEditing(false);
+    if (sectionEdit) {
+        sectionEdit = null;
+        highlightSection();
+    }
 });
 
+/**
+ * PUTs `content` if the file is still at `etag`. `base` is the text the edit
+ * started from, so a conflict reply can include a three-way merge.
+ * Resolves to the new ETag, or opens the merge view and resolves to null.
+ */
+async function saveSource(filePath, content, etag, base) {
+    const res = await fetch('/api/source', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'If-Match': etag || '' },
+        body: JSON.stringify({ path: filePath, content, base })
+    });
+    const data = await res.json().catch(() => ({}));
+
+    if (res.status === 409) {
+        openMergeView(filePath, data);
+        return null;
+    }
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    return data.etag;
+}
+
+/**
+ * PUTs one event's section. `base` is the section text the edit started
+ * from; the server applies it to a file that changed elsewhere as long as
+ * the section itself did not. Resolves to { etag, line, endLine }, or opens
+ * the merge view and resolves to null.
+ */
+async function saveSection(filePath, id, content, etag, base) {
+    const res = await fetch('/api/source/section', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'If-Match': etag || '' },
+        body: JSON.stringify({ path: filePath, id, content, base })
+    });
+    const data = await res.json().catch(() => ({}));
+
+    if (res.status === 409 && data.current !== null) {
+        openMergeView(filePath, data);
+        return null;
+    }
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    return data;
+}
+
+// After a section save: show the whole file again with the section selected.
+async function markSectionSaved(filePath, saved) {
+    sectionEdit = null;
+    setEditing(false);
+    if (currentSection) Object.assign(currentSection, { line: saved.line, endLine: saved.endLine });
+    await reloadSource(filePath);
+    highlightSection();
+    saveStatus.textContent = 'SECTION SAVED.';
+}
+
+function markSaved(content, etag) {
+    sourceEl.value = content;
+    lastLoadedText = content;
+    lastLoadedEtag = etag;
+    setEditing(false);
+    saveStatus.textContent = 'SAVED.';
+}
+
 btnSave.addEventListener('click', async () => {
     if (!currentEditablePath) return;
     saveStatus.textContent = 'SAVING...';
 
     try {
-        const res = await fetch('/api/source', {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ path: currentEditablePath, content: sourceEl.value })
-        });
-
-        if (!res.ok) {
-            const err = await res.json().catch(() => ({}));
-            throw new Error(err.error || `HTTP ${res.status}`);
+        const content = sourceEl.value;
+        if (sectionEdit) {
+            const filePath = currentEditablePath;
+            const saved = await saveSection(filePath, sectionEdit.id, content, lastLoadedEtag, sectionEdit.text);
+            if (saved) await markSectionSaved(filePath, saved);
+            else saveStatus.textContent = 'CONFLICT: SECTION CHANGED ON DISK';
+            return;
         }
 
-        lastLoadedText = sourceEl.value;
-        saveStatus.textContent = 'SAVED.';
-        setEditing(false);
-
-        // Invalidate client graph view: reload graph next time (cheap)
-        // You can uncomment to force a full reload immediately.
-        // location.reload();
+        const etag = await saveSource(currentEditablePath, content, lastLoadedEtag, lastLoadedText);
+        if (etag) markSaved(content, etag);
+        else saveStatus.textContent = 'CONFLICT: FILE CHANGED ON DISK';
     } catch (e) {
         saveStatus.textContent = `ERROR: ${e.message}`;
     }
 });
 
-async function loadGraph() {
-    const data = await d3.json("/api/graph");
-    graphData = data;
-    
-    const link = container.append("g")
-        .attr("class", "links")
-        .selectAll("line")
-        .data(data.links)
-        .enter().append("line")
-        .attr("class", "link");
-
-    const node = container.append("g")
-        .attr("class", "nodes")
-        .selectAll("g")
-        .data(data.nodes)
-        .enter().append("g")
-        .attr("class", d => `node node-${d.type}`)
-        .call(d3.drag()
-            .on("start", dragstarted)
-            .on("drag", dragged)
-            .on("end", dragended));
-
-    node.append("circle")
-        .attr("r", d => d.type === 'file' ? 8 : 5)
-        .on("click", (event, d) => showDetails(d));
-
-    node.append("text")
-        .attr("dx", 12)
-        .attr("dy", ".35em")
-        .text(d => d.labelShort || d.label);
-
-    // Tooltip with full label
-    node.append('title').text(d => d.labelFull || d.label);
-
-    simulation
-        .nodes(data.nodes)
-        .on("tick", ticked);
-
-    simulation.force("link")
-        .links(data.links);
-
-    function ticked() {
-        link
-            .attr("x1", d => d.source.x)
-            .attr("y1", d => d.source.y)
-            .attr("x2", d => d.target.x)
-            .attr("y2", d => d.target.y);
-
-        node
-            .attr("transform", d => `translate(${d.x},${d.y})`);
+// --- Save conflicts (three-way merge) ---
+
+const mergeView = document.getElementById('merge-view');
+const mergeTitle = document.getElementById('merge-title');
+const mergeStatus = document.getElementById('merge-status');
+const mergeYours = document.getElementById('merge-yours');
+const mergeTheirs = document.getElementById('merge-theirs');
+const mergeResult = document.getElementById('merge-result');
+
+let mergeState = null; // { filePath, etag, current, submitted, section }
+
+const CONFLICT_MARKER_RE = /^(<<<<<<<|\|\|\|\|\|\|\||=======|>>>>>>>)( |$)/m;
+
+function updateMergeStatus() {
+    mergeStatus.textContent = CONFLICT_MARKER_RE.test(mergeResult.value)
+        ? 'UNRESOLVED CONFLICT MARKERS REMAIN'
+        : 'NO CONFLICT MARKERS';
+}
+
+function openMergeView(filePath, conflict) {
+    // `section` is set when only one event's section was being saved.
+    mergeState = { filePath, etag: conflict.etag, current: conflict.current, submitted: conflict.submitted, section: conflict.section || null };
+    mergeTitle.textContent = mergeState.section
+        ? `CONFLICT // ${filePath} // LINES ${mergeState.section.line}-${mergeState.section.endLine}`
+        : `CONFLICT // ${filePath}`;
+
+    const merge = conflict.merge;
+    renderPatch(mergeYours, merge ? merge.yours : '');
+    renderPatch(mergeTheirs, merge ? merge.theirs : '');
+    // Without a base there is nothing to merge against; start from the disk version.
+    mergeResult.value = merge ? merge.content : conflict.current;
+    updateMergeStatus();
+
+    mergeView.style.display = 'flex';
+}
+
+function closeMergeView() {
+    mergeView.style.display = 'none';
+    mergeState = null;
+}
+
+async function resolveMerge(content) {
+    const { filePath, etag, current, section } = mergeState;
+    closeMergeView();
+    saveStatus.textContent = 'SAVING...';
+
+    try {
+        if (section) {
+            const saved = await saveSection(filePath, section.id, content, etag, current);
+            if (saved && currentEditablePath === filePath) await markSectionSaved(filePath, saved);
+            return;
+        }
+
+        // Against the disk version we just saw; a newer write conflicts again.
+        const nextEtag = await saveSource(filePath, content, etag, current);
+        if (!nextEtag) return;
+        if (currentEditablePath === filePath) markSaved(content, nextEtag);
+    } catch (e) {
+        saveStatus.textContent = `ERROR: ${e.message}`;
     }
 }
 
-async function showDetails(d) {
-    document.getElementById('node-title').textContent = d.labelFull || d.label;
-    document.getElementById('node-type').textContent = d.type;
-    document.getElementById('node-id').textContent = d.id;
+mergeResult.addEventListener('input', updateMergeStatus);
 
-    // Default: no editing
-    currentEditablePath = null;
-    editorControls.style.display = 'none';
+document.getElementById('btn-merge-save').addEventListener('click', () => {
+    if (!mergeState) return;
+    if (CONFLICT_MARKER_RE.test(mergeResult.value) &&
+        !confirm('The merged text still has conflict markers. Save anyway?')) return;
+    resolveMerge(mergeResult.value);
+});
+
+document.getElementById('btn-merge-mine').addEventListener('click', () => {
+    if (mergeState) resolveMerge(mergeState.submitted);
+});
+
+document.getElementById('btn-merge-disk').addEventListener('click', () => {
+    if (!mergeState) return;
+    const { filePath, etag, current, section } = mergeState;
+    closeMergeView();
+    if (currentEditablePath !== filePath) return;
+    if (section) {
+        sectionEdit = null;
+        setEditing(false);
+        if (currentSection) Object.assign(currentSection, { line: section.line, endLine: section.endLine });
+        reloadSource(filePath).then(highlightSection);
+        saveStatus.textContent = 'RELOADED FROM DISK.';
+        return;
+    }
+    sourceEl.value = current;
+    lastLoadedText = current;
+    lastLoadedEtag = etag;
     setEditing(false);
+    saveStatus.textContent = 'RELOADED FROM DISK.';
+});
 
-    sourceEl.value = 'LOADING SOURCE...';
+document.getElementById('btn-merge-cancel').addEventListener('click', () => {
+    closeMergeView();
+    saveStatus.textContent = 'CONFLICT: NOT SAVED';
+});
 
-    // Only allow editing markdown files we have a concrete path for.
-    // - file node: d.path
-    // - event node: d.source (the backing file)
-    const pathToLoad = (d.type === 'file') ? d.path : (d.type === 'event' ? d.source : null);
+// Links have no ids, so key them the same way the server's graph-diff does:
+// endpoints, type and `via`, plus an occurrence counter for duplicates.
+function endpointId(v) {
+    return (v && typeof v === 'object') ? v.id : v;
+}
 
-    if (pathToLoad) {
-        try {
-            const res = await fetch(`/api/source?path=${encodeURIComponent(pathToLoad)}`);
-            const text = await res.text();
-            sourceEl.value = text;
-            lastLoadedText = text;
-            currentEditablePath = pathToLoad;
-            editorControls.style.display = 'flex';
-            setEditing(false);
-        } catch (err) {
-            sourceEl.value = 'ERROR LOADING SOURCE.';
+function keyLinks(links) {
+    const seen = new Map();
+    for (const l of links) {
+        const base = `${endpointId(l.source)}|${endpointId(l.target)}|${l.type}|${l.via || ''}`;
+        const n = seen.get(base) || 0;
+        seen.set(base, n + 1);
+        l.key = `${base}#${n}`;
+    }
+    return links;
+}
+
+// --- Visibility ---
+
+// Daily-log date window from the timeline brush: [from, to], inclusive.
+let timeWindow = null;
+
+/**
+ * Node ids inside the time window: daily logs dated within it plus the
+ * events, concepts and tags they point at. Null when no window is set.
+ */
+function timeWindowNodeIds() {
+    if (!timeWindow) return null;
+    const [from, to] = timeWindow;
+
+    const files = new Set(graphData.nodes
+        .filter(n => n.type === 'file' && n.date && n.date >= from && n.date <= to)
+        .map(n => n.id));
+    const ids = new Set(files);
+
+    for (const n of graphData.nodes) {
+        if (n.source && files.has(`file:${n.source}`)) ids.add(n.id); // events, tasks, decisions
+    }
+    for (const l of graphData.links) {
+        if (l.type !== 'contains' && l.type !== 'tagged') continue;
+        if (files.has(endpointId(l.source))) ids.add(endpointId(l.target));
+    }
+    return ids;
+}
+
+// Type, link-kind and weight filters driven by the legend.
+const filters = {
+    hiddenNodeTypes: new Set(),
+    hiddenLinkKinds: new Set(),
+    minWeight: 1,   // related links via shared tags/concepts
+    minScore: 0,    // related links via text similarity
+    hideOrphans: false,
+};
+
+// `related` links split by how they were derived, as in the legend.
+function linkKind(l) {
+    return l.type === 'related' ? `related:${l.via}` : l.type;
+}
+
+function linkPassesFilters(l) {
+    if (filters.hiddenLinkKinds.has(linkKind(l))) return false;
+    if (l.type === 'related' && l.via === 'tags' && (l.weight || 0) < filters.minWeight) return false;
+    if (l.type === 'related' && l.via === 'text' && (l.score || 0) < filters.minScore) return false;
+    return true;
+}
+
+/**
+ * The part of the graph currently drawn and simulated. Hidden nodes keep
+ * their positions for when they come back.
+ */
+function visibleGraph() {
+    const windowIds = timeWindowNodeIds();
+    let nodes = graphData.nodes.filter(n =>
+        !filters.hiddenNodeTypes.has(n.type) && (!windowIds || windowIds.has(n.id))
+    );
+    let ids = new Set(nodes.map(n => n.id));
+    const links = graphData.links.filter(l =>
+        linkPassesFilters(l) && ids.has(endpointId(l.source)) && ids.has(endpointId(l.target))
+    );
+
+    if (filters.hideOrphans) {
+        const linked = new Set();
+        for (const l of links) {
+            linked.add(endpointId(l.source));
+            linked.add(endpointId(l.target));
+        }
+        nodes = nodes.filter(n => linked.has(n.id));
+    }
+
+    return { nodes, links };
+}
+
+function renderGraph() {
+    const visible = visibleGraph();
+
+    graphView.setGraph(visible.nodes, visible.links);
+    applySearchHighlight();
+    layout.setGraph(visible.nodes, visible.links);
+
+    if (viewMode === 'timeline') timeline.render(graphData);
+    updateLegendCounts(visible);
+}
+
+// d3-force state on node objects, kept across diffs.
+const LAYOUT_KEYS = new Set(['x', 'y', 'vx', 'vy', 'fx', 'fy', 'index']);
+
+/**
+ * Merges a graph diff into the running simulation. Existing node objects are
+ * updated in place so they keep their positions; new nodes start next to a
+ * neighbour instead of flying in from the origin.
+ */
+function applyGraphDiff(diff) {
+    const nodeById = new Map(graphData.nodes.map(n => [n.id, n]));
+
+    const removedNodes = new Set(diff.nodes.removed);
+    for (const id of removedNodes) nodeById.delete(id);
+
+    for (const n of diff.nodes.changed.concat(diff.nodes.added)) {
+        const existing = nodeById.get(n.id);
+        if (existing) {
+            // Drop fields the server no longer sends (e.g. removed front matter), keep layout state.
+            for (const k of Object.keys(existing)) {
+                if (!(k in n) && !LAYOUT_KEYS.has(k)) delete existing[k];
+            }
+            Object.assign(existing, n);
+        } else {
+            nodeById.set(n.id, { ...n });
+        }
+    }
+
+    const linkByKey = new Map(graphData.links.map(l => [l.key, l]));
+    for (const key of diff.links.removed) linkByKey.delete(key);
+
+    for (const l of diff.links.changed.concat(diff.links.added)) {
+        const existing = linkByKey.get(l.key);
+        if (existing) {
+            // Everything but the endpoints, which already point at node objects.
+            for (const k of Object.keys(existing)) {
+                if (!(k in l) && k !== 'source' && k !== 'target') delete existing[k];
+            }
+            const { source, target, ...attrs } = l;
+            Object.assign(existing, attrs);
+        } else {
+            linkByKey.set(l.key, { ...l });
+        }
+    }
+
+    const links = [];
+    for (const l of linkByKey.values()) {
+        const source = nodeById.get(endpointId(l.source));
+        const target = nodeById.get(endpointId(l.target));
+        if (!source || !target) continue;
+
+        // Seed unplaced nodes at their neighbour's position.
+        if (source.x === undefined && target.x !== undefined) seedNear(source, target);
+        if (target.x === undefined && source.x !== undefined) seedNear(target, source);
+
+        l.source = source;
+        l.target = target;
+        links.push(l);
+    }
+
+    graphData = { nodes: [...nodeById.values()], links };
+    renderGraph();
+    layout.reheat(0.3);
+}
+
+function seedNear(n, anchor) {
+    n.x = anchor.x + (Math.random() - 0.5) * 30;
+    n.y = anchor.y + (Math.random() - 0.5) * 30;
+}
+
+let graphLoadSeq = 0;
+
+// Full fetch (or the focused neighbourhood, or a comparison of two
+// snapshots), merged as a diff so a resync
+// after a dropped stream keeps positions.
+async function loadGraph() {
+    const seq = ++graphLoadSeq;
+    const data = await d3.json(diffView ? diffUrl() : focus ? neighborhoodUrl() : "/api/graph");
+    if (seq !== graphLoadSeq) return; // a newer load is in flight
+    const nextIds = new Set(data.nodes.map(n => n.id));
+    const nextLinks = keyLinks(data.links);
+    const nextKeys = new Set(nextLinks.map(l => l.key));
+
+    applyGraphDiff({
+        nodes: {
+            added: data.nodes,
+            changed: [],
+            removed: graphData.nodes.map(n => n.id).filter(id => !nextIds.has(id)),
+        },
+        links: {
+            added: nextLinks,
+            changed: [],
+            removed: graphData.links.map(l => l.key).filter(key => !nextKeys.has(key)),
+        },
+    });
+    graphVersion = diffView ? graphVersion : data.version;
+    if (focus) focusLoaded(data);
+    if (diffView) diffLoaded(data);
+    scheduleLint();
+    scheduleAnalytics();
+    scheduleTasks();
+    scheduleConsolidation();
+}
+
+function connectGraphStream() {
+    const source = new EventSource("/api/graph/stream");
+
+    source.addEventListener("hello", (event) => {
+        const { version } = JSON.parse(event.data);
+        if (version !== graphVersion) loadGraph();
+    });
+
+    source.addEventListener("diff", (event) => {
+        const diff = JSON.parse(event.data);
+        if (diffView) {
+            // Only a comparison against the current graph moves; the version is resynced on exit.
+            if (diffView.to === 'current') loadGraph();
+            return;
+        }
+        if (focus) {
+            // Diffs are against the whole graph; refetch the neighbourhood instead.
+            loadGraph();
+            return;
         }
+        if (diff.from !== graphVersion) {
+            // Missed an update: resync from the full graph.
+            loadGraph();
+            return;
+        }
+        applyGraphDiff(diff);
+        graphVersion = diff.to;
+        scheduleLint();
+        scheduleAnalytics();
+        scheduleTasks();
+        scheduleConsolidation();
+    });
+
+    // EventSource reconnects on its own; `hello` then resyncs if needed.
+}
+
+// --- Timeline view ---
+
+const timeWindowEl = document.getElementById('time-window');
+const btnClearWindow = document.getElementById('btn-clear-window');
+
+let viewMode = 'graph';
+
+const timeline = createTimeline({
+    root: d3.select("#graph"),
+    width,
+    height,
+    onBrush: (range) => setTimeWindow(range),
+    onSelect: (d) => showDetails(d),
+});
+
+function setTimeWindow(range) {
+    timeWindow = range;
+    writeViewToUrl();
+    timeWindowEl.textContent = range ? `WINDOW ${range[0]} → ${range[1]}` : '';
+    btnClearWindow.style.display = range ? 'inline-block' : 'none';
+    timeline.setSelection(range);
+    renderGraph();
+    layout.reheat(0.3);
+}
+
+function setViewMode(mode) {
+    viewMode = mode;
+    graphView.element.style.display = mode === 'graph' ? null : 'none';
+    timeline.show(mode === 'timeline');
+    if (mode === 'timeline') timeline.render(graphData);
+
+    document.querySelectorAll('.view-toggle [data-view]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.view === mode);
+    });
+    writeViewToUrl();
+}
+
+document.querySelectorAll('.view-toggle [data-view]').forEach(btn => {
+    btn.addEventListener('click', () => setViewMode(btn.dataset.view));
+});
+
+btnClearWindow.addEventListener('click', () => setTimeWindow(null));
+
+// --- Focus (neighbourhood) mode ---
+
+const focusBar = document.getElementById('focus-bar');
+const focusTrailEl = document.getElementById('focus-trail');
+const focusDepthInput = document.getElementById('focus-depth');
+const focusStatus = document.getElementById('focus-status');
+const focusControls = document.getElementById('focus-controls');
+
+// While exploring: { trail: [{ id, label }], depth }, the last crumb being the
+// node in focus. Only its neighbourhood is loaded and drawn.
+let focus = null;
+let shownNode = null; // node whose details are in the side panel
+
+function focusCenter() {
+    return focus.trail[focus.trail.length - 1].id;
+}
+
+// The walk follows the link kinds the legend shows.
+function neighborhoodUrl() {
+    const params = new URLSearchParams({ id: focusCenter(), depth: focus.depth });
+    if (filters.hiddenLinkKinds.size) {
+        const kinds = [...document.querySelectorAll('[data-link-kind]')]
+            .map(el => el.dataset.linkKind)
+            .filter(kind => !filters.hiddenLinkKinds.has(kind));
+        // An empty list would mean "all kinds".
+        params.set('types', kinds.length ? kinds.join(',') : 'none');
+    }
+    return `/api/graph/neighborhood?${params}`;
+}
+
+function renderFocusBar() {
+    focusBar.style.display = focus ? 'flex' : 'none';
+    graphView.setCenter(focus ? focusCenter() : null);
+    if (!focus) return;
+
+    focusDepthInput.value = focus.depth;
+    focusTrailEl.replaceChildren(...focus.trail.flatMap((crumb, i) => {
+        const btn = document.createElement('button');
+        btn.className = 'focus-crumb';
+        btn.textContent = crumb.label;
+        btn.title = crumb.id;
+        btn.disabled = i === focus.trail.length - 1;
+        btn.addEventListener('click', () => focusOn(crumb.id));
+        if (!i) return [btn];
+
+        const sep = document.createElement('span');
+        sep.className = 'focus-sep';
+        sep.textContent = ' › ';
+        return [sep, btn];
+    }));
+}
+
+function focusLoaded(data) {
+    const byId = new Map(graphData.nodes.map(n => [n.id, n]));
+    for (const crumb of focus.trail) {
+        const n = byId.get(crumb.id);
+        if (n) crumb.label = n.labelShort || n.label;
+    }
+    focusStatus.textContent = `${data.nodes.length} NODES${data.truncated ? ' (TRUNCATED)' : ''}`;
+    renderFocusBar();
+}
+
+/**
+ * Shows only the neighbourhood of node `id`. Walking to a new node extends
+ * the breadcrumb trail; going to one already on it cuts the trail back.
+ */
+async function focusOn(id) {
+    clearDiffView();
+    const previous = focus && { ...focus, trail: [...focus.trail] };
+    const known = graphData.nodes.find(n => n.id === id);
+    const crumb = { id, label: known ? (known.labelShort || known.label) : id };
+    const at = focus ? focus.trail.findIndex(c => c.id === id) : -1;
+
+    focus = {
+        trail: !focus ? [crumb] : at >= 0 ? focus.trail.slice(0, at + 1) : [...focus.trail, crumb],
+        depth: focus ? focus.depth : Number(focusDepthInput.value) || 1,
+    };
+    renderFocusBar();
+    writeViewToUrl();
+
+    try {
+        await loadGraph();
+    } catch (e) {
+        focus = previous;
+        renderFocusBar();
+        writeViewToUrl();
+        alert(`FOCUS FAILED: ${e.message}`);
         return;
     }
 
-    // Non-file nodes: read-only summary
-    sourceEl.value = (d.type === 'concept' || d.type === 'tag')
-        ? `${d.type.toUpperCase()}: ${d.label}`
-        : `NODE: ${d.label}`;
+    const d = graphData.nodes.find(n => n.id === id);
+    if (d) showDetails(d);
 }
 
-function dragstarted(event, d) {
-    if (!event.active) simulation.alphaTarget(0.3).restart();
-    d.fx = d.x;
-    d.fy = d.y;
+async function exitFocus() {
+    focus = null;
+    focusStatus.textContent = '';
+    renderFocusBar();
+    writeViewToUrl();
+    await loadGraph();
+}
+
+focusDepthInput.addEventListener('change', () => {
+    focus.depth = Number(focusDepthInput.value);
+    writeViewToUrl();
+    loadGraph();
+});
+
+document.getElementById('btn-exit-focus').addEventListener('click', () => exitFocus());
+document.getElementById('btn-focus').addEventListener('click', () => {
+    if (shownNode) focusOn(shownNode.id);
+});
+
+// --- Legend filters ---
+
+const minWeightInput = document.getElementById('filter-min-weight');
+const minScoreInput = document.getElementById('filter-min-score');
+const hideOrphansInput = document.getElementById('filter-hide-orphans');
+
+function updateLegendCounts(visible) {
+    const count = (items, keyOf) => {
+        const out = new Map();
+        for (const item of items) out.set(keyOf(item), (out.get(keyOf(item)) || 0) + 1);
+        return out;
+    };
+    const shownNodes = count(visible.nodes, n => n.type);
+    const allNodes = count(graphData.nodes, n => n.type);
+    const shownLinks = count(visible.links, linkKind);
+    const allLinks = count(graphData.links, linkKind);
+
+    document.querySelectorAll('[data-count-node]').forEach(el => {
+        const t = el.dataset.countNode;
+        el.textContent = `${shownNodes.get(t) || 0}/${allNodes.get(t) || 0}`;
+    });
+    document.querySelectorAll('[data-count-link]').forEach(el => {
+        const k = el.dataset.countLink;
+        el.textContent = `${shownLinks.get(k) || 0}/${allLinks.get(k) || 0}`;
+    });
+
+    // Let the weight slider reach the heaviest tag link.
+    const maxWeight = d3.max(graphData.links, l => l.via === 'tags' ? l.weight : 0) || 1;
+    minWeightInput.max = Math.max(2, maxWeight);
 }
 
-function dragged(event, d) {
-    d.fx = event.x;
-    d.fy = event.y;
+function syncFilterControls() {
+    document.querySelectorAll('[data-node-type]').forEach(el => {
+        el.checked = !filters.hiddenNodeTypes.has(el.dataset.nodeType);
+    });
+    document.querySelectorAll('[data-link-kind]').forEach(el => {
+        el.checked = !filters.hiddenLinkKinds.has(el.dataset.linkKind);
+    });
+    minWeightInput.value = filters.minWeight;
+    minScoreInput.value = filters.minScore;
+    hideOrphansInput.checked = filters.hideOrphans;
+    document.getElementById('filter-min-weight-value').textContent = filters.minWeight;
+    document.getElementById('filter-min-score-value').textContent = filters.minScore.toFixed(2);
 }
 
-function dragended(event, d) {
-    if (!event.active) simulation.alphaTarget(0);
-    d.fx = null;
-    d.fy = null;
+function filtersChanged() {
+    syncFilterControls();
+    writeViewToUrl();
+    renderGraph();
+    layout.reheat(0.3);
+}
+
+document.querySelectorAll('[data-node-type]').forEach(el => {
+    el.addEventListener('change', () => {
+        if (el.checked) filters.hiddenNodeTypes.delete(el.dataset.nodeType);
+        else filters.hiddenNodeTypes.add(el.dataset.nodeType);
+        filtersChanged();
+    });
+});
+
+document.querySelectorAll('[data-link-kind]').forEach(el => {
+    el.addEventListener('change', () => {
+        if (el.checked) filters.hiddenLinkKinds.delete(el.dataset.linkKind);
+        else filters.hiddenLinkKinds.add(el.dataset.linkKind);
+        filtersChanged();
+        if (focus) loadGraph();
+    });
+});
+
+minWeightInput.addEventListener('input', () => {
+    filters.minWeight = Number(minWeightInput.value) || 1;
+    filtersChanged();
+});
+
+minScoreInput.addEventListener('input', () => {
+    filters.minScore = Number(minScoreInput.value) || 0;
+    filtersChanged();
+});
+
+hideOrphansInput.addEventListener('change', () => {
+    filters.hideOrphans = hideOrphansInput.checked;
+    filtersChanged();
+});
+
+// --- Shareable view state (URL) ---
+//
+//   ?hide=tag,event&hideLinks=timeline,related:text&minWeight=2&minScore=0.05
+//    &orphans=hide&from=2026-03-01&to=2026-03-31&view=timeline
+
+function writeViewToUrl() {
+    const params = new URLSearchParams();
+    if (filters.hiddenNodeTypes.size) params.set('hide', [...filters.hiddenNodeTypes].join(','));
+    if (filters.hiddenLinkKinds.size) params.set('hideLinks', [...filters.hiddenLinkKinds].join(','));
+    if (filters.minWeight > 1) params.set('minWeight', filters.minWeight);
+    if (filters.minScore > 0) params.set('minScore', filters.minScore);
+    if (filters.hideOrphans) params.set('orphans', 'hide');
+    if (timeWindow) {
+        params.set('from', timeWindow[0]);
+        params.set('to', timeWindow[1]);
+    }
+    if (viewMode !== 'graph') params.set('view', viewMode);
+    if (focus) {
+        params.set('focus', focusCenter());
+        if (focus.depth !== 1) params.set('depth', focus.depth);
+    }
+    if (diffView) {
+        params.set('diffFrom', diffView.from);
+        if (diffView.to !== 'current') params.set('diffTo', diffView.to);
+    }
+
+    const query = params.toString();
+    history.replaceState(null, '', query ? `?${query}` : location.pathname);
+}
+
+function readViewFromUrl() {
+    const params = new URLSearchParams(location.search);
+    const list = (key) => (params.get(key) || '').split(',').map(s => s.trim()).filter(Boolean);
+
+    filters.hiddenNodeTypes = new Set(list('hide'));
+    filters.hiddenLinkKinds = new Set(list('hideLinks'));
+    filters.minWeight = Math.max(1, Number(params.get('minWeight')) || 1);
+    filters.minScore = Math.max(0, Number(params.get('minScore')) || 0);
+    filters.hideOrphans = params.get('orphans') === 'hide';
+    syncFilterControls();
+
+    const from = params.get('from');
+    const to = params.get('to');
+    if (from && to) setTimeWindow([from, to]);
+    if (params.get('view') === 'timeline') setViewMode('timeline');
+
+    const focusId = params.get('focus');
+    if (focusId) {
+        const depth = Math.min(5, Math.max(1, Math.round(Number(params.get('depth')) || 1)));
+        focus = { trail: [{ id: focusId, label: focusId }], depth };
+        renderFocusBar();
+    }
+
+    const diffFrom = params.get('diffFrom');
+    if (diffFrom && !focusId) setDiffView({ from: diffFrom, to: params.get('diffTo') || 'current' });
+}
+
+// --- Search ---
+
+const searchInput = document.getElementById('search-input');
+const searchStatus = document.getElementById('search-status');
+const searchResults = document.getElementById('search-results');
+
+let searchHits = null; // Set of node ids, or null when no search is active
+let searchTimer = null;
+let searchSeq = 0;
+
+// A shortest path, while one is shown, takes precedence over search hits.
+function applySearchHighlight() {
+    graphView.setHighlight(pathHits || searchHits);
+}
+
+/**
+ * Pans and zooms so every given node is in view.
+ */
+function zoomToNodes(ids) {
+    const targets = graphData.nodes.filter(n => ids.has(n.id) && n.x !== undefined);
+    if (!targets.length) return;
+
+    const pad = 80;
+    const [x0, x1] = d3.extent(targets, n => n.x);
+    const [y0, y1] = d3.extent(targets, n => n.y);
+    const scale = Math.min(4, 0.9 / Math.max((x1 - x0 + pad) / width, (y1 - y0 + pad) / height));
+
+    graphView.zoomTo(
+        d3.zoomIdentity
+            .translate(width / 2, height / 2)
+            .scale(scale)
+            .translate(-(x0 + x1) / 2, -(y0 + y1) / 2)
+    );
+}
+
+// Zooms to a node and shows it; outside the focused neighbourhood, walks there.
+function revealNode(id) {
+    const d = graphData.nodes.find(n => n.id === id);
+    if (!d) {
+        if (focus) focusOn(id);
+        return;
+    }
+    zoomToNodes(new Set([id]));
+    showDetails(d);
+}
+
+function renderSearchResults(hits) {
+    searchResults.replaceChildren(...hits.map(hit => {
+        const row = document.createElement('div');
+        row.className = 'search-result';
+
+        const title = document.createElement('div');
+        title.textContent = `${hit.type.toUpperCase()} // ${hit.label}`;
+
+        const where = document.createElement('div');
+        where.className = 'details-label';
+        where.style.marginBottom = '0';
+        where.textContent = hit.line ? `${hit.path}:${hit.line}` : hit.path;
+
+        const snippet = document.createElement('div');
+        snippet.className = 'snippet';
+        snippet.textContent = hit.snippet;
+
+        row.append(title, where, snippet);
+        row.addEventListener('click', () => revealNode(hit.id));
+        return row;
+    }));
+}
+
+function clearSearch() {
+    searchHits = null;
+    searchStatus.textContent = '';
+    searchResults.replaceChildren();
+    applySearchHighlight();
+}
+
+async function runSearch(q) {
+    const seq = ++searchSeq;
+    searchStatus.textContent = 'SEARCHING...';
+
+    try {
+        const res = await fetch(`/api/search?q=${encodeURIComponent(q)}`);
+        const data = await res.json();
+        if (seq !== searchSeq) return; // a newer query is in flight
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+        searchHits = new Set(data.hits.map(h => h.id));
+        searchStatus.textContent = data.total > data.hits.length
+            ? `${data.hits.length} OF ${data.total} HITS`
+            : `${data.total} HITS`;
+        renderSearchResults(data.hits);
+        applySearchHighlight();
+        zoomToNodes(searchHits);
+    } catch (e) {
+        if (seq !== searchSeq) return;
+        searchStatus.textContent = `ERROR: ${e.message}`;
+    }
+}
+
+searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    const q = searchInput.value.trim();
+    if (!q) {
+        searchSeq++;
+        clearSearch();
+        return;
+    }
+    searchTimer = setTimeout(() => runSearch(q), 250);
+});
+
+// --- Create ---
+
+const createStatus = document.getElementById('create-status');
+
+function todayLocal() {
+    const d = new Date();
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+async function postJson(url, payload) {
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    return data;
+}
+
+// Opens a freshly written file in the editor at `line`.
+async function openCreated(filePath, line) {
+    await loadGraph(); // don't wait for the stream to deliver the new node
+    await revealLine(filePath, line);
+    if (currentEditablePath === filePath) setEditing(true);
+}
+
+document.getElementById('btn-daily-log').addEventListener('click', async () => {
+    const title = prompt(`New event in ${todayLocal()}'s daily log:`, '');
+    if (title === null) return;
+
+    createStatus.textContent = 'WRITING...';
+    try {
+        const data = await postJson('/api/daily', { date: todayLocal(), title });
+        createStatus.textContent = data.created ? `CREATED ${data.path}` : `APPENDED TO ${data.path}`;
+        await openCreated(data.path, data.line);
+    } catch (e) {
+        createStatus.textContent = `ERROR: ${e.message}`;
+    }
+});
+
+document.getElementById('btn-new-file').addEventListener('click', async () => {
+    const filePath = prompt('New file path (relative to the memory root):', 'memory/');
+    if (!filePath) return;
+
+    createStatus.textContent = 'CREATING...';
+    try {
+        const data = await postJson('/api/source', { path: filePath.trim(), content: '' });
+        createStatus.textContent = `CREATED ${data.path}`;
+        await openCreated(data.path, 1);
+    } catch (e) {
+        createStatus.textContent = `ERROR: ${e.message}`;
+    }
+});
+
+// --- Lint ---
+
+const lintSeverity = document.getElementById('lint-severity');
+const lintStatus = document.getElementById('lint-status');
+const lintResults = document.getElementById('lint-results');
+
+let lintActive = false; // re-run on graph changes once the user has asked for it
+let lintTimer = null;
+
+/**
+ * Opens a file in the side panel with the given line selected.
+ */
+async function revealLine(filePath, line) {
+    const d = graphData.nodes.find(n => n.id === `file:${filePath}`);
+    if (!d) return;
+    zoomToNodes(new Set([d.id]));
+    await showDetails(d);
+    if (!line || currentEditablePath !== filePath) return;
+    selectSourceLines(line, line);
+}
+
+/**
+ * Selects lines `from`..`to` (1-based, inclusive) of the source textarea and
+ * scrolls them into view.
+ */
+function selectSourceLines(from, to) {
+    const lines = sourceEl.value.split('\n');
+    const start = lines.slice(0, from - 1).reduce((sum, l) => sum + l.length + 1, 0);
+    const end = lines.slice(from - 1, to).reduce((sum, l) => sum + l.length + 1, start) - 1;
+    sourceEl.focus();
+    sourceEl.setSelectionRange(start, Math.max(start, end));
+    const lineHeight = parseFloat(getComputedStyle(sourceEl).lineHeight) || 19;
+    sourceEl.scrollTop = Math.max(0, (from - 3) * lineHeight);
+}
+
+// Selects the open event's section and names its range above the source.
+function highlightSection() {
+    if (!currentSection) return;
+    sourceLabel.textContent = `DATA_SOURCE // LINES ${currentSection.line}-${currentSection.endLine}`;
+    selectSourceLines(currentSection.line, currentSection.endLine);
+}
+
+function renderLintIssues(issues) {
+    lintResults.replaceChildren(...issues.map(issue => {
+        const row = document.createElement('div');
+        row.className = `search-result lint-issue severity-${issue.severity}`;
+
+        const title = document.createElement('div');
+        title.textContent = `${issue.severity.toUpperCase()} // ${issue.rule}`;
+
+        const where = document.createElement('div');
+        where.className = 'details-label';
+        where.style.marginBottom = '0';
+        where.textContent = issue.line ? `${issue.path}:${issue.line}` : issue.path;
+
+        const message = document.createElement('div');
+        message.className = 'snippet';
+        message.textContent = issue.message;
+        message.title = issue.message;
+
+        row.append(title, where, message);
+        row.addEventListener('click', () => revealLine(issue.path, issue.line));
+        return row;
+    }));
+}
+
+async function runLint() {
+    lintActive = true;
+    lintStatus.textContent = 'LINTING...';
+
+    try {
+        const res = await fetch(`/api/lint?severity=${encodeURIComponent(lintSeverity.value)}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+        const { error, warning, info } = data.counts;
+        lintStatus.textContent = `${data.files} FILES // ${error} ERRORS ${warning} WARNINGS ${info} INFO`;
+        renderLintIssues(data.issues);
+    } catch (e) {
+        lintStatus.textContent = `ERROR: ${e.message}`;
+    }
+}
+
+// Keep an open report current as files change.
+function scheduleLint() {
+    if (!lintActive) return;
+    clearTimeout(lintTimer);
+    lintTimer = setTimeout(runLint, 500);
+}
+
+document.getElementById('btn-lint').addEventListener('click', runLint);
+lintSeverity.addEventListener('change', () => { if (lintActive) runLint(); });
+
+// --- Tasks and decisions ---
+
+const tasksFilter = document.getElementById('tasks-filter');
+const tasksStatus = document.getElementById('tasks-status');
+const tasksList = document.getElementById('tasks-list');
+const decisionsList = document.getElementById('decisions-list');
+
+let tasksTimer = null;
+
+function itemRow(item, onToggle) {
+    const row = document.createElement('div');
+    row.className = `search-result task-row${item.checked ? ' done' : ''}`;
+
+    if (onToggle) {
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = Boolean(item.checked);
+        box.disabled = !permissions.edit;
+        box.title = permissions.edit ? 'Tick or untick in the file' : 'Editing is disabled';
+        box.addEventListener('click', (event) => event.stopPropagation());
+        box.addEventListener('change', () => onToggle(item, box));
+        row.append(box);
+    }
+
+    const body = document.createElement('div');
+    const text = document.createElement('div');
+    text.className = 'task-text';
+    text.textContent = item.kind === 'milestone' ? `MILESTONE // ${item.text}` : item.text;
+
+    const detail = [`${item.path}:${item.line}`, item.date, item.section, item.concepts.join(', ')].filter(Boolean).join(' // ');
+    const info = document.createElement('div');
+    info.className = 'snippet';
+    info.textContent = detail;
+    info.title = detail;
+
+    body.append(text, info);
+    row.append(body);
+    row.addEventListener('click', () => revealNode(item.id));
+    return row;
+}
+
+async function toggleTask(item, box) {
+    box.disabled = true;
+    try {
+        await postJson('/api/tasks/toggle', { path: item.path, id: item.id, checked: box.checked });
+        await loadTasks();
+    } catch (e) {
+        box.checked = !box.checked;
+        box.disabled = false;
+        tasksStatus.textContent = `TOGGLE FAILED: ${e.message}`;
+    }
+}
+
+async function loadTasks() {
+    try {
+        const res = await fetch(`/api/tasks?status=${encodeURIComponent(tasksFilter.value)}&limit=100`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+        tasksStatus.textContent = `${data.counts.tasks} ${tasksFilter.value.toUpperCase()} TASKS // ${data.counts.decisions} DECISIONS`;
+        tasksList.replaceChildren(...data.tasks.map(t => itemRow(t, toggleTask)));
+        decisionsList.replaceChildren(...data.decisions.map(d => itemRow(d, null)));
+    } catch (e) {
+        tasksStatus.textContent = `ERROR: ${e.message}`;
+    }
+}
+
+function scheduleTasks() {
+    clearTimeout(tasksTimer);
+    tasksTimer = setTimeout(loadTasks, 500);
+}
+
+tasksFilter.addEventListener('change', loadTasks);
+
+// --- Consolidation ---
+
+const consolidateMinDays = document.getElementById('consolidate-min-days');
+const consolidateStaleDays = document.getElementById('consolidate-stale-days');
+const consolidateStatus = document.getElementById('consolidate-status');
+const consolidateResults = document.getElementById('consolidate-results');
+
+let consolidation = null; // last /api/consolidate result
+let consolidationTimer = null;
+const acceptedSuggestions = new Set(); // ids drafted into the editor since the last run
+
+/**
+ * Applies a suggestion's edits to `text`: `append` adds a line at the end of
+ * the `## section` heading (added at the end of the file when missing),
+ * `replace` swaps the first occurrence of `find`. Returns null when a
+ * `find` is no longer there.
+ */
+function applyConsolidationEdits(text, edits) {
+    let out = text;
+    for (const edit of edits) {
+        if (edit.op === 'replace') {
+            const at = out.indexOf(edit.find);
+            if (at === -1) return null;
+            out = out.slice(0, at) + edit.text + out.slice(at + edit.find.length);
+        } else if (edit.op === 'append') {
+            const lines = out.trim() ? out.replace(/\s+$/, '').split('\n') : [];
+            const start = lines.findIndex(l => l.trim() === `## ${edit.section}`);
+            if (lines.includes(edit.text)) continue; // already drafted
+            if (start === -1) {
+                if (lines.length) lines.push('');
+                lines.push(`## ${edit.section}`, edit.text);
+            } else {
+                let end = lines.findIndex((l, i) => i > start && /^#{1,2}\s/.test(l));
+                if (end === -1) end = lines.length;
+                while (end > start + 1 && !lines[end - 1].trim()) end--;
+                lines.splice(end, 0, edit.text);
+            }
+            out = `${lines.join('\n')}\n`;
+        }
+    }
+    return out;
+}
+
+// 1-based line of the first difference between two texts.
+function firstChangedLine(before, after) {
+    let i = 0;
+    while (i < before.length && before[i] === after[i]) i++;
+    return after.slice(0, i).split('\n').length;
+}
+
+/**
+ * Drafts a suggestion into the index file in the editor, on top of any
+ * suggestions already accepted there. Nothing is saved until SAVE.
+ */
+async function acceptSuggestion(s, row) {
+    const indexPath = consolidation.indexFile;
+    if (isEditing && (currentEditablePath !== indexPath || sectionEdit)) {
+        consolidateStatus.textContent = 'SAVE OR CANCEL THE OPEN EDIT FIRST';
+        return;
+    }
+    if (!isEditing) {
+        await revealLine(indexPath, null);
+        if (currentEditablePath !== indexPath) {
+            consolidateStatus.textContent = `${indexPath} IS NOT IN THE GRAPH`;
+            return;
+        }
+    }
+
+    const before = sourceEl.value;
+    const next = applyConsolidationEdits(before, s.edits);
+    if (next === null) {
+        consolidateStatus.textContent = 'THAT SECTION CHANGED; RUN SUGGEST AGAIN';
+        return;
+    }
+
+    if (detailTab !== 'source') setDetailTab('source');
+    sourceEl.value = next;
+    setEditing(true);
+    const line = firstChangedLine(before, next);
+    selectSourceLines(line, line);
+    saveStatus.textContent = 'DRAFT // REVIEW, THEN SAVE';
+    acceptedSuggestions.add(s.id);
+    row.classList.add('accepted');
+}
+
+function suggestionRow(s, title, detail, onClick) {
+    const row = analyticsRow(title, detail, onClick);
+    row.classList.add('suggestion-row');
+    if (acceptedSuggestions.has(s.id)) row.classList.add('accepted');
+
+    const body = document.createElement('div');
+    body.append(...row.childNodes);
+    row.append(body);
+
+    if (permissions.edit && consolidation.exists) {
+        const btn = document.createElement('button');
+        btn.className = 'sg-btn';
+        btn.textContent = 'ACCEPT';
+        btn.title = `Draft this change into ${consolidation.indexFile}`;
+        btn.addEventListener('click', (event) => {
+            event.stopPropagation();
+            acceptSuggestion(s, row);
+        });
+        row.append(btn);
+    }
+    return row;
+}
+
+function renderConsolidation(data) {
+    const none = text => [analyticsHeading(text)];
+    consolidateResults.replaceChildren(
+        analyticsHeading('PROMOTE // RECURRING IN DAILY LOGS'),
+        ...(data.promote.length
+            ? data.promote.map(s => suggestionRow(
+                s,
+                s.type === 'concept' ? `[[${s.name}]]` : `#${s.name}`,
+                `${s.days} DAYS // ${s.first} - ${s.last} // ${s.examples[0].text}`,
+                () => revealLine(s.examples[0].path, s.examples[0].line),
+            ))
+            : none('NOTHING TO PROMOTE')),
+        analyticsHeading(`STALE // NOT MENTIONED SINCE ${data.since || '-'}`),
+        ...(data.stale.length
+            ? data.stale.map(s => suggestionRow(s, s.heading, `LINE ${s.line} // ${s.reason}`, () => revealLine(data.indexFile, s.line)))
+            : none('NO STALE SECTIONS')),
+        analyticsHeading('DUPLICATES'),
+        ...(data.duplicates.length
+            ? data.duplicates.map(s => suggestionRow(s, s.heading, `LINE ${s.line} // ${s.reason}`, () => revealLine(data.indexFile, s.line)))
+            : none('NO DUPLICATE SECTIONS')),
+    );
+}
+
+async function runConsolidation() {
+    consolidateStatus.textContent = 'ANALYZING...';
+    const params = new URLSearchParams({ minDays: consolidateMinDays.value, staleDays: consolidateStaleDays.value });
+
+    try {
+        const res = await fetch(`/api/consolidate?${params}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+        if (!consolidation || data.indexFile !== consolidation.indexFile || !isEditing) acceptedSuggestions.clear();
+        consolidation = data;
+        consolidateStatus.textContent = data.exists
+            ? `${data.indexFile} // ${data.dailyLogs} DAILY LOGS // ${data.promote.length + data.stale.length + data.duplicates.length} SUGGESTIONS`
+            : `${data.indexFile} DOES NOT EXIST // ${data.promote.length} TO PROMOTE`;
+        renderConsolidation(data);
+    } catch (e) {
+        consolidateStatus.textContent = `ERROR: ${e.message}`;
+    }
+}
+
+// Keep open suggestions current as files change, e.g. after saving a draft.
+function scheduleConsolidation() {
+    if (!consolidation) return;
+    clearTimeout(consolidationTimer);
+    consolidationTimer = setTimeout(runConsolidation, 500);
+}
+
+document.getElementById('btn-consolidate').addEventListener('click', runConsolidation);
+
+// --- Analytics ---
+
+const analyticsSize = document.getElementById('analytics-size');
+const analyticsColor = document.getElementById('analytics-color');
+const analyticsStatus = document.getElementById('analytics-status');
+const analyticsResults = document.getElementById('analytics-results');
+const pathStatus = document.getElementById('path-status');
+const pathResults = document.getElementById('path-results');
+
+let analytics = null; // last /api/analytics result
+let analyticsActive = false; // re-run on graph changes once the user has asked for it
+let analyticsTimer = null;
+let pathFrom = null; // node the next shortest path starts at
+let pathHits = null; // Set of node ids on the shown path, or null
+
+const COMMUNITY_COLORS = d3.schemeTableau10;
+
+// Sizes and colours graph nodes by the chosen metrics.
+function applyNodeStyle() {
+    const metrics = analytics && analytics.metrics;
+    const size = metrics && analyticsSize.value;
+    const max = size ? d3.max(Object.values(metrics), m => m[size]) || 1 : 1;
+
+    const community = metrics && analyticsColor.value === 'community'
+        ? (n => metrics[n.id] && COMMUNITY_COLORS[metrics[n.id].community % COMMUNITY_COLORS.length])
+        : null;
+
+    graphView.setNodeStyle({
+        radius: size ? (n => metrics[n.id] && 4 + 14 * Math.sqrt(metrics[n.id][size] / max)) : null,
+        // A snapshot comparison colours by what changed instead.
+        color: diffView ? (n => DIFF_COLORS[n.diff] || DIFF_COLORS.unchanged) : community,
+    });
+}
+
+function analyticsRow(title, detail, onClick) {
+    const row = document.createElement('div');
+    row.className = 'search-result';
+
+    const head = document.createElement('div');
+    head.textContent = title;
+
+    const info = document.createElement('div');
+    info.className = 'snippet';
+    info.textContent = detail;
+    info.title = detail;
+
+    row.append(head, info);
+    row.addEventListener('click', onClick);
+    return row;
+}
+
+function analyticsHeading(text) {
+    const el = document.createElement('div');
+    el.className = 'details-label';
+    el.style.marginTop = '12px';
+    el.textContent = text;
+    return el;
+}
+
+function renderAnalytics(data) {
+    const fmt = (v) => v.toFixed(3);
+    const month = data.month;
+
+    analyticsResults.replaceChildren(
+        analyticsHeading('TOP_CONCEPTS // PAGERANK'),
+        ...data.concepts.map(c => analyticsRow(
+            c.label,
+            `PAGERANK ${fmt(c.pagerank)} // DEGREE ${c.degree} // BETWEENNESS ${fmt(c.betweenness)}`,
+            () => revealNode(c.id),
+        )),
+        analyticsHeading(`THIS_MONTH // ${month.month}`),
+        ...(month.concepts.length
+            ? month.concepts.map(c => analyticsRow(
+                c.label,
+                `${c.days} DAYS // ${c.mentions} MENTIONS`,
+                () => revealNode(c.id),
+            ))
+            : [analyticsHeading('NO CONCEPTS IN THIS MONTH\'S DAILY LOGS')]),
+        analyticsHeading('COMMUNITIES'),
+        ...data.communities.map(c => {
+            const row = analyticsRow(
+                `#${c.id} // ${c.size} NODES`,
+                [...c.concepts, ...c.files].join(', ') || '(tags and events only)',
+                () => zoomToNodes(new Set(Object.keys(data.metrics).filter(id => data.metrics[id].community === c.id))),
+            );
+            row.style.borderLeftColor = COMMUNITY_COLORS[c.id % COMMUNITY_COLORS.length];
+            return row;
+        }),
+    );
+}
+
+async function runAnalytics() {
+    analyticsActive = true;
+    analyticsStatus.textContent = 'ANALYZING...';
+
+    try {
+        const res = await fetch('/api/analytics');
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+        // The server is still computing: show what it has and ask again.
+        if (data.pending || data.stale) {
+            clearTimeout(analyticsTimer);
+            analyticsTimer = setTimeout(runAnalytics, 1000);
+        }
+        if (data.pending) return;
+
+        analytics = data;
+        const count = Object.keys(data.metrics).length;
+        analyticsStatus.textContent = `${count} NODES // ${data.communities.length} COMMUNITIES${data.stale ? ' // UPDATING...' : ''}`;
+        renderAnalytics(data);
+        applyNodeStyle();
+    } catch (e) {
+        analyticsStatus.textContent = `ERROR: ${e.message}`;
+    }
+}
+
+function scheduleAnalytics() {
+    if (!analyticsActive) return;
+    clearTimeout(analyticsTimer);
+    analyticsTimer = setTimeout(runAnalytics, 500);
+}
+
+function metricStyleChanged() {
+    if (!analytics && (analyticsSize.value || analyticsColor.value)) runAnalytics();
+    else applyNodeStyle();
+}
+
+function nodeName(id) {
+    const n = graphData.nodes.find(d => d.id === id);
+    return n ? (n.labelShort || n.label) : id;
+}
+
+function clearPath() {
+    pathHits = null;
+    pathResults.replaceChildren();
+    applySearchHighlight();
+}
+
+async function findPath(to) {
+    pathStatus.textContent = 'SEARCHING...';
+    try {
+        const params = new URLSearchParams({ from: pathFrom, to });
+        const res = await fetch(`/api/analytics/path?${params}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+        pathHits = new Set(data.nodes);
+        pathStatus.textContent = `${data.length} HOPS // ${nodeName(pathFrom)} → ${nodeName(to)}`;
+        pathResults.replaceChildren(...data.nodes.map((id, i) => analyticsRow(`${i}. ${nodeName(id)}`, id, () => revealNode(id))));
+        applySearchHighlight();
+        zoomToNodes(pathHits);
+    } catch (e) {
+        clearPath();
+        pathStatus.textContent = `ERROR: ${e.message}`;
+    }
+}
+
+document.getElementById('btn-analytics').addEventListener('click', runAnalytics);
+analyticsSize.addEventListener('change', metricStyleChanged);
+analyticsColor.addEventListener('change', metricStyleChanged);
+
+document.getElementById('btn-path-from').addEventListener('click', () => {
+    if (!shownNode) return;
+    pathFrom = shownNode.id;
+    clearPath();
+    pathStatus.textContent = `FROM ${nodeName(pathFrom)} // SELECT THE TARGET, THEN TO_SELECTED`;
+});
+
+document.getElementById('btn-path-to').addEventListener('click', () => {
+    if (!shownNode) return;
+    if (!pathFrom) {
+        pathStatus.textContent = 'SELECT THE START NODE AND PRESS FROM_SELECTED FIRST';
+        return;
+    }
+    findPath(shownNode.id);
+});
+
+document.getElementById('btn-path-clear').addEventListener('click', () => {
+    pathFrom = null;
+    pathStatus.textContent = '';
+    clearPath();
+});
+
+// --- Snapshots ---
+
+const snapshotFrom = document.getElementById('snapshot-from');
+const snapshotTo = document.getElementById('snapshot-to');
+const snapshotStatus = document.getElementById('snapshot-status');
+const snapshotResults = document.getElementById('snapshot-results');
+const diffBar = document.getElementById('diff-bar');
+
+const DIFF_COLORS = { added: '#22c55e', removed: '#ef4444', changed: '#eab308', unchanged: '#4b5563' };
+const DIFF_LINK_STYLES = {
+    added: { color: DIFF_COLORS.added, alpha: 0.7 },
+    removed: { color: DIFF_COLORS.removed, alpha: 0.7, dash: [4, 3] },
+    changed: { color: DIFF_COLORS.changed, alpha: 0.7 },
+};
+
+let diffView = null; // { from, to } snapshot ids (or dates; `to` may be 'current') while comparing
+
+function snapshotLabel(s) {
+    const when = s.date.slice(0, 16).replace('T', ' ');
+    return s.source === 'git' ? `${when} // GIT ${s.commit.slice(0, 7)} ${s.subject}` : `${when} // SNAPSHOT`;
+}
+
+async function loadSnapshots() {
+    try {
+        const res = await fetch('/api/snapshots');
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+        const option = (value, label) => {
+            const el = document.createElement('option');
+            el.value = value;
+            el.textContent = label;
+            return el;
+        };
+        const newestFirst = [...data.snapshots].reverse();
+        snapshotFrom.replaceChildren(...newestFirst.map(s => option(s.id, snapshotLabel(s))));
+        snapshotTo.replaceChildren(option('current', 'CURRENT'), ...newestFirst.map(s => option(s.id, snapshotLabel(s))));
+        if (diffView) {
+            snapshotFrom.value = diffView.from;
+            snapshotTo.value = diffView.to;
+        }
+        snapshotStatus.textContent = data.snapshots.length
+            ? `${data.snapshots.length} SNAPSHOTS`
+            : `NO SNAPSHOTS YET${data.intervalMinutes > 0 ? ` // ONE IS RECORDED EVERY ${data.intervalMinutes} MIN` : ''}`;
+    } catch (e) {
+        snapshotStatus.textContent = `ERROR: ${e.message}`;
+    }
+}
+
+function diffUrl() {
+    const params = new URLSearchParams({ from: diffView.from, to: diffView.to });
+    return `/api/graph/diff?${params}`;
+}
+
+function setDiffView(view) {
+    diffView = view;
+    diffBar.style.display = view ? 'flex' : 'none';
+    graphView.setLinkStyle(view ? (l => DIFF_LINK_STYLES[l.diff]) : null);
+    applyNodeStyle();
+}
+
+// Leaves diff mode without reloading, e.g. when focus takes over.
+function clearDiffView() {
+    if (!diffView) return;
+    setDiffView(null);
+    snapshotResults.replaceChildren();
+    writeViewToUrl();
+}
+
+function renderDiffSummary(data) {
+    const { summary } = data;
+    const rows = [];
+    const section = (title, items) => {
+        if (!items.length) return;
+        rows.push(analyticsHeading(title), ...items);
+    };
+
+    section('CONCEPTS_ADDED', summary.concepts.added.map(c => analyticsRow(c.label, 'NEW', () => revealNode(c.id))));
+    section('CONCEPTS_REMOVED', summary.concepts.removed.map(c => analyticsRow(c.label, 'GONE', () => revealNode(c.id))));
+    section('FILES_ADDED', summary.files.added.map(p => analyticsRow(p, 'NEW', () => revealNode(`file:${p}`))));
+    section('FILES_REMOVED', summary.files.removed.map(p => analyticsRow(p, 'GONE', () => revealNode(`file:${p}`))));
+    section('FILES_GREW', summary.files.grew.map(f => analyticsRow(f.path, `${f.from} → ${f.to} BYTES`, () => revealNode(`file:${f.path}`))));
+    section('FILES_SHRANK', summary.files.shrank.map(f => analyticsRow(f.path, `${f.from} → ${f.to} BYTES`, () => revealNode(`file:${f.path}`))));
+    if (!rows.length) rows.push(analyticsHeading('NO CONCEPT OR FILE CHANGES'));
+    snapshotResults.replaceChildren(...rows);
+}
+
+function diffLoaded(data) {
+    const { nodes, links } = data.summary;
+    const end = (e) => e.source === 'current' ? 'CURRENT' : snapshotLabel(e);
+    document.getElementById('diff-range').textContent = `${end(data.from)} → ${end(data.to)}`;
+    document.getElementById('diff-status').textContent =
+        `NODES +${nodes.added} -${nodes.removed} ~${nodes.changed} // LINKS +${links.added} -${links.removed} ~${links.changed}`;
+    renderDiffSummary(data);
+}
+
+/**
+ * Shows the graph at `to` laid over the graph at `from`, coloured by what
+ * was added, removed or changed in between.
+ */
+async function compareSnapshots(from, to) {
+    if (focus) {
+        focus = null;
+        focusStatus.textContent = '';
+        renderFocusBar();
+    }
+    const previous = diffView;
+    setDiffView({ from, to });
+    writeViewToUrl();
+    snapshotStatus.textContent = 'COMPARING...';
+
+    try {
+        await loadGraph();
+        snapshotStatus.textContent = '';
+    } catch (e) {
+        setDiffView(previous);
+        writeViewToUrl();
+        snapshotStatus.textContent = `COMPARE FAILED: ${e.message}`;
+    }
+}
+
+async function exitDiff() {
+    clearDiffView();
+    await loadGraph();
+}
+
+document.getElementById('btn-compare').addEventListener('click', () => {
+    if (!snapshotFrom.value) {
+        snapshotStatus.textContent = 'NOTHING TO COMPARE YET // RECORD A SNAPSHOT FIRST';
+        return;
+    }
+    compareSnapshots(snapshotFrom.value, snapshotTo.value);
+});
+
+document.getElementById('btn-exit-diff').addEventListener('click', () => exitDiff());
+
+document.getElementById('btn-record-snapshot').addEventListener('click', async () => {
+    snapshotStatus.textContent = 'RECORDING...';
+    try {
+        const result = await postJson('/api/snapshots', {});
+        await loadSnapshots();
+        if (!result.recorded) snapshotStatus.textContent = 'UNCHANGED SINCE THE LAST SNAPSHOT';
+    } catch (e) {
+        snapshotStatus.textContent = `ERROR: ${e.message}`;
+    }
+});
+
+// --- History ---
+
+const detailTabs = document.getElementById('detail-tabs');
+const sourceLabel = document.getElementById('source-label');
+const historyPanel = document.getElementById('history-panel');
+const historyStatus = document.getElementById('history-status');
+const historyList = document.getElementById('history-list');
+const historyDiff = document.getElementById('history-diff');
+const trashBox = document.getElementById('trash');
+const trashList = document.getElementById('trash-list');
+
+let historyPath = null; // file the HISTORY and PREVIEW tabs show
+let detailTab = 'source';
+let previewPreferred = false; // stay on PREVIEW while following its links
+
+function setDetailTab(tab) {
+    detailTab = tab;
+    detailTabs.querySelectorAll('[data-tab]').forEach(b => b.classList.toggle('active', b.dataset.tab === tab));
+    const source = tab === 'source';
+    sourceLabel.style.display = source ? null : 'none';
+    sourceEl.style.display = source ? null : 'none';
+    historyPanel.style.display = tab === 'history' ? null : 'none';
+    previewPanel.style.display = tab === 'preview' ? null : 'none';
+    if (tab === 'history') loadHistory();
+    if (tab === 'preview') loadPreview();
+}
+
+function formatBackupDate(iso) {
+    return iso.replace('T', ' ').replace(/\.\d+Z$/, 'Z');
+}
+
+// Unified diff into a <pre>, one coloured span per line.
+function renderPatch(el, patch) {
+    el.replaceChildren(...patch.split('\n').map(line => {
+        const span = document.createElement('span');
+        if (line.startsWith('@@')) span.className = 'diff-hunk';
+        else if (line.startsWith('+') && !line.startsWith('+++')) span.className = 'diff-add';
+        else if (line.startsWith('-') && !line.startsWith('---')) span.className = 'diff-del';
+        span.textContent = `${line}\n`;
+        return span;
+    }));
+}
+
+async function showBackupDiff(filePath, id, row) {
+    historyList.querySelectorAll('.history-row').forEach(r => r.classList.toggle('selected', r === row));
+    try {
+        const res = await fetch(`/api/history/diff?path=${encodeURIComponent(filePath)}&id=${encodeURIComponent(id)}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        renderPatch(historyDiff, data.patch);
+        historyDiff.style.display = null;
+    } catch (e) {
+        historyStatus.textContent = `ERROR: ${e.message}`;
+    }
+}
+
+async function restoreBackup(filePath, id) {
+    if (!confirm(`Restore ${filePath} from ${id}?\nThe current version is backed up first.`)) return false;
+
+    try {
+        await postJson('/api/history/restore', { path: filePath, id });
+        return true;
+    } catch (e) {
+        alert(`RESTORE FAILED: ${e.message}`);
+        return false;
+    }
+}
+
+async function loadHistory() {
+    const filePath = historyPath;
+    if (!filePath) return;
+
+    historyStatus.textContent = 'LOADING HISTORY...';
+    historyDiff.style.display = 'none';
+
+    try {
+        const res = await fetch(`/api/history?path=${encodeURIComponent(filePath)}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        if (filePath !== historyPath) return; // another node was selected meanwhile
+
+        historyStatus.textContent = data.backups.length ? `${data.backups.length} BACKUPS` : 'NO BACKUPS';
+        historyList.replaceChildren(...data.backups.map(b => {
+            const row = document.createElement('div');
+            row.className = 'history-row';
+
+            const when = document.createElement('span');
+            when.className = 'history-when';
+            when.textContent = `${formatBackupDate(b.date)} // ${b.kind.toUpperCase()}`;
+            when.title = b.backup;
+
+            const diffBtn = document.createElement('button');
+            diffBtn.className = 'sg-btn';
+            diffBtn.textContent = 'DIFF';
+            diffBtn.addEventListener('click', () => showBackupDiff(filePath, b.id, row));
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'sg-btn';
+            restoreBtn.textContent = 'RESTORE';
+            restoreBtn.addEventListener('click', async () => {
+                if (!await restoreBackup(filePath, b.id)) return;
+                await reloadSource(filePath);
+                loadHistory();
+            });
+
+            row.append(when, diffBtn);
+            if (permissions.edit) row.append(restoreBtn);
+            return row;
+        }));
+    } catch (e) {
+        historyStatus.textContent = `ERROR: ${e.message}`;
+    }
+}
+
+// Re-reads the open file after a restore so SOURCE shows what is on disk.
+async function reloadSource(filePath) {
+    if (currentEditablePath !== filePath || isEditing) return;
+    const res = await fetch(`/api/source?path=${encodeURIComponent(filePath)}`);
+    if (!res.ok) return;
+    sourceEl.value = await res.text();
+    lastLoadedText = sourceEl.value;
+    lastLoadedEtag = res.headers.get('ETag');
+}
+
+async function loadDeletedFiles() {
+    try {
+        const res = await fetch('/api/history/deleted');
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+        trashBox.style.display = data.files.length ? null : 'none';
+        trashList.replaceChildren(...data.files.map(f => {
+            const row = document.createElement('div');
+            row.className = 'history-row';
+
+            const when = document.createElement('span');
+            when.className = 'history-when';
+            when.textContent = f.path;
+            when.title = `Deleted ${formatBackupDate(f.deletedAt)}`;
+
+            const undeleteBtn = document.createElement('button');
+            undeleteBtn.className = 'sg-btn';
+            undeleteBtn.textContent = 'UNDELETE';
+            undeleteBtn.addEventListener('click', async () => {
+                if (await restoreBackup(f.path, f.id)) loadDeletedFiles();
+            });
+
+            row.append(when);
+            if (permissions.edit) row.append(undeleteBtn);
+            return row;
+        }));
+    } catch (e) {
+        console.error('Failed to load deleted files', e);
+    }
+}
+
+detailTabs.querySelectorAll('[data-tab]').forEach(btn => {
+    btn.addEventListener('click', () => {
+        previewPreferred = btn.dataset.tab === 'preview';
+        setDetailTab(btn.dataset.tab);
+    });
+});
+
+// --- Rendered preview ---
+
+const previewPanel = document.getElementById('preview-panel');
+
+/**
+ * Renders the open file (server-side, raw HTML disabled) into PREVIEW and,
+ * for an event node, scrolls to its heading.
+ */
+async function loadPreview() {
+    const filePath = historyPath;
+    if (!filePath) return;
+    previewPanel.textContent = 'RENDERING...';
+
+    try {
+        const res = await fetch(`/api/render?path=${encodeURIComponent(filePath)}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        if (filePath !== historyPath || detailTab !== 'preview') return; // moved on meanwhile
+
+        previewPanel.innerHTML = data.html;
+        previewPanel.scrollTop = 0;
+        const heading = currentSection && previewPanel.querySelector(`[data-line="${currentSection.line}"]`);
+        if (heading) {
+            heading.classList.add('md-current');
+            previewPanel.scrollTop = heading.offsetTop - 12;
+        }
+    } catch (e) {
+        previewPanel.textContent = `ERROR: ${e.message}`;
+    }
+}
+
+// Wikilinks, tags and file links carry the id of the node they point at.
+previewPanel.addEventListener('click', (event) => {
+    const a = event.target.closest('a');
+    if (!a || a.target === '_blank') return;
+    event.preventDefault();
+
+    if (a.dataset.node) revealNode(a.dataset.node);
+});
+
+// Front matter of a file node as a key/value list.
+function renderMeta(d) {
+    const box = document.getElementById('node-meta');
+    const list = document.getElementById('node-meta-list');
+    const entries = Object.entries(d.meta || {});
+    list.replaceChildren();
+    box.style.display = (entries.length || d.frontMatterError) ? null : 'none';
+
+    for (const [key, value] of entries) {
+        const dt = document.createElement('dt');
+        const dd = document.createElement('dd');
+        dt.textContent = key;
+        dd.textContent = Array.isArray(value)
+            ? value.flat(Infinity).join(', ')
+            : (value && typeof value === 'object' ? JSON.stringify(value) : String(value));
+        list.append(dt, dd);
+    }
+
+    if (d.frontMatterError) {
+        const err = document.createElement('dd');
+        err.className = 'meta-error';
+        err.textContent = `INVALID FRONT MATTER: ${d.frontMatterError}`;
+        list.append(err);
+    }
+}
+
+// Text-similarity links of a node, strongest first, with the terms behind them.
+function renderSimilar(d) {
+    const box = document.getElementById('node-similar');
+    const list = document.getElementById('node-similar-list');
+    const nodeById = new Map(graphData.nodes.map(n => [n.id, n]));
+    const similar = graphData.links
+        .filter(l => l.type === 'related' && l.via === 'text' && (endpointId(l.source) === d.id || endpointId(l.target) === d.id))
+        .sort((a, b) => (b.score || 0) - (a.score || 0));
+
+    list.replaceChildren(...similar.map(l => {
+        const otherId = endpointId(l.source) === d.id ? endpointId(l.target) : endpointId(l.source);
+        const other = nodeById.get(otherId);
+        const title = other ? (other.type === 'event' ? `${other.source} // ${other.label}` : other.labelFull || other.label) : otherId;
+        return analyticsRow(title, `SCORE ${(l.score || 0).toFixed(2)} // ${l.reason || ''}`, () => revealNode(otherId));
+    }));
+    box.style.display = similar.length ? null : 'none';
+}
+
+async function showDetails(d) {
+    shownNode = d;
+    focusControls.style.display = focus && focusCenter() === d.id ? 'none' : 'flex';
+    document.getElementById('node-title').textContent = d.labelFull || d.label;
+    document.getElementById('node-type').textContent = d.root ? `${d.type} // ${d.root}` : d.type;
+    document.getElementById('node-id').textContent = d.id;
+    renderMeta(d);
+    renderSimilar(d);
+
+    // Default: no editing
+    currentEditablePath = null;
+    sectionEdit = null;
+    currentSection = d.type === 'event' && d.line ? { id: d.id, line: d.line, endLine: d.endLine || d.line } : null;
+    sourceLabel.textContent = 'DATA_SOURCE';
+    editorControls.style.display = 'none';
+    refactorControls.style.display = 'none';
+    refactorStatus.textContent = '';
+    refactorNode = null;
+    setEditing(false);
+
+    sourceEl.value = 'LOADING SOURCE...';
+
+    // Only allow editing markdown files we have a concrete path for.
+    // - file node: d.path
+    // - event node: d.source (the backing file)
+    const pathToLoad = (d.type === 'file') ? d.path : (d.source || null); // events, tasks, decisions
+
+    historyPath = pathToLoad;
+    detailTabs.style.display = pathToLoad ? 'flex' : 'none';
+    setDetailTab(pathToLoad && previewPreferred ? 'preview' : 'source');
+
+    if (pathToLoad) {
+        try {
+            const res = await fetch(`/api/source?path=${encodeURIComponent(pathToLoad)}`);
+            const text = await res.text();
+            sourceEl.value = text;
+            lastLoadedText = text;
+            lastLoadedEtag = res.headers.get('ETag');
+            currentEditablePath = pathToLoad;
+            editorControls.style.display = 'flex';
+            setEditing(false);
+            highlightSection();
+            if ((d.type === 'task' || d.type === 'decision') && d.line) selectSourceLines(d.line, d.line);
+        } catch (err) {
+            sourceEl.value = 'ERROR LOADING SOURCE.';
+        }
+        return;
+    }
+
+    // Non-file nodes: read-only summary
+    const renamable = d.type === 'concept' || d.type === 'tag';
+    sourceEl.value = renamable
+        ? `${d.type.toUpperCase()}: ${d.label}`
+        : `NODE: ${d.label}`;
+    refactorNode = renamable ? d : null;
+    refactorControls.style.display = renamable && permissions.edit ? 'flex' : 'none';
+}
+
+function dragstarted(event, d) {
+    if (!event.active) layout.alphaTarget(0.3);
+    layout.fix(d, d.x, d.y);
+}
+
+function dragged(event, d, x, y) {
+    layout.fix(d, x, y);
+}
+
+function dragended(event, d) {
+    if (!event.active) layout.alphaTarget(0);
+    layout.fix(d, null, null);
+}
+
+// --- Rename / merge concepts and tags ---
+
+const refactorControls = document.getElementById('refactor-controls');
+const refactorStatus = document.getElementById('refactor-status');
+const refactorView = document.getElementById('refactor-view');
+const refactorSummary = document.getElementById('refactor-summary');
+const refactorDiff = document.getElementById('refactor-diff');
+
+let refactorNode = null; // concept or tag node open in the side panel
+let refactorPlan = null; // preview waiting for APPLY
+
+function refactorLabel(kind, name) {
+    return kind === 'tag' ? `#${name}` : `[[${name}]]`;
+}
+
+function openRefactorView(plan) {
+    refactorPlan = plan;
+    const from = refactorLabel(plan.kind, plan.from);
+    const to = refactorLabel(plan.kind, plan.to);
+    const skipped = plan.files.reduce((n, f) => n + f.skipped.length, 0);
+
+    document.getElementById('refactor-title').textContent = `${plan.merge ? 'MERGE' : 'RENAME'} // ${from} -> ${to}`;
+    refactorSummary.textContent = [
+        `${plan.occurrences} OCCURRENCES IN ${plan.files.length} FILES`,
+        plan.merge ? `${to} EXISTS: BOTH BECOME ONE NODE` : null,
+        skipped ? `${skipped} MENTIONS COULD NOT BE REWRITTEN` : null,
+    ].filter(Boolean).join(' // ');
+    renderPatch(refactorDiff, plan.files.map(f => f.patch).join('\n'));
+
+    refactorView.style.display = 'flex';
+}
+
+function closeRefactorView() {
+    refactorView.style.display = 'none';
+    refactorPlan = null;
+}
+
+document.getElementById('btn-rename').addEventListener('click', async () => {
+    const d = refactorNode;
+    if (!d) return;
+    const from = d.id.slice(d.type.length + 1);
+    const to = prompt(`Rename ${d.label} to (an existing name merges the two):`, from);
+    if (to === null || !to.trim() || to.trim() === from) return;
+
+    refactorStatus.textContent = 'PREVIEWING...';
+    try {
+        const params = new URLSearchParams({ kind: d.type, from, to: to.trim() });
+        const res = await fetch(`/api/refactor/rename?${params}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        refactorStatus.textContent = '';
+        openRefactorView(data);
+    } catch (e) {
+        refactorStatus.textContent = `ERROR: ${e.message}`;
+    }
+});
+
+document.getElementById('btn-refactor-apply').addEventListener('click', async () => {
+    if (!refactorPlan) return;
+    const { kind, from, to, files } = refactorPlan;
+    // The ETags of the previewed files: anything changed since is a 409.
+    const versions = Object.fromEntries(files.map(f => [f.path, f.etag]));
+    closeRefactorView();
+    refactorStatus.textContent = 'REWRITING...';
+
+    try {
+        const data = await postJson('/api/refactor/rename', { kind, from, to, versions });
+        await loadGraph(); // don't wait for the stream to drop the old node
+        const renamed = graphData.nodes.find(n => n.id === `${kind}:${to}`);
+        if (renamed) {
+            zoomToNodes(new Set([renamed.id]));
+            await showDetails(renamed);
+        }
+        refactorStatus.textContent = `UPDATED ${data.files.length} FILES`;
+    } catch (e) {
+        refactorStatus.textContent = `ERROR: ${e.message}`;
+    }
+});
+
+document.getElementById('btn-refactor-cancel').addEventListener('click', closeRefactorView);
+
+// --- Export ---
+
+const exportStatus = document.getElementById('export-status');
+
+// Presentation properties copied inline into snapshots.
+const SNAPSHOT_STYLES = [
+    'display', 'opacity', 'fill', 'fill-opacity', 'stroke', 'stroke-opacity', 'stroke-width',
+    'stroke-dasharray', 'font-family', 'font-size', 'font-weight', 'text-anchor', 'paint-order',
+];
+
+/**
+ * The visible view (graph or timeline, with its filters, zoom and
+ * highlights) as a standalone SVG document. The graph renderer draws its own;
+ * for the timeline the page stylesheet doesn't travel with the file, so
+ * computed styles are inlined.
+ */
+function snapshotSvg() {
+    if (viewMode === 'graph') return graphView.toSVG();
+
+    const source = document.querySelector('#graph > svg.timeline');
+    const clone = source.cloneNode(true);
+    const originals = [source, ...source.querySelectorAll('*')];
+    const copies = [clone, ...clone.querySelectorAll('*')];
+
+    originals.forEach((el, i) => {
+        const computed = getComputedStyle(el);
+        const inline = SNAPSHOT_STYLES
+            .map(prop => [prop, computed.getPropertyValue(prop)])
+            .filter(([, value]) => value)
+            .map(([prop, value]) => `${prop}:${value}`)
+            .join(';');
+        if (inline) copies[i].setAttribute('style', inline);
+    });
+
+    const w = Number(source.getAttribute('width')) || source.clientWidth;
+    const h = Number(source.getAttribute('height')) || source.clientHeight;
+    clone.setAttribute('width', w);
+    clone.setAttribute('height', h);
+    clone.setAttribute('viewBox', `0 0 ${w} ${h}`);
+
+    const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    background.setAttribute('width', '100%');
+    background.setAttribute('height', '100%');
+    background.setAttribute('fill', getComputedStyle(document.body).backgroundColor);
+    clone.insertBefore(background, clone.firstChild);
+
+    return { markup: new XMLSerializer().serializeToString(clone), width: w, height: h };
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.append(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function snapshotName(ext) {
+    return `memory-${viewMode}-${new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)}.${ext}`;
+}
+
+document.getElementById('btn-snapshot-svg').addEventListener('click', () => {
+    const { markup } = snapshotSvg();
+    downloadBlob(new Blob([markup], { type: 'image/svg+xml' }), snapshotName('svg'));
+});
+
+function downloadCanvas(canvas) {
+    canvas.toBlob((blob) => {
+        exportStatus.textContent = '';
+        if (blob) downloadBlob(blob, snapshotName('png'));
+    }, 'image/png');
+}
+
+// The graph canvas is saved as drawn; the timeline's SVG is rasterised at device pixel ratio.
+document.getElementById('btn-snapshot-png').addEventListener('click', () => {
+    if (viewMode === 'graph') {
+        downloadCanvas(graphView.element);
+        return;
+    }
+
+    const { markup, width: w, height: h } = snapshotSvg();
+    const scale = window.devicePixelRatio || 1;
+    const img = new Image();
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+
+    exportStatus.textContent = 'RENDERING...';
+    img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(w * scale);
+        canvas.height = Math.round(h * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        ctx.drawImage(img, 0, 0, w, h);
+        URL.revokeObjectURL(url);
+        downloadCanvas(canvas);
+    };
+    img.onerror = () => {
+        URL.revokeObjectURL(url);
+        exportStatus.textContent = 'ERROR: COULD NOT RENDER PNG';
+    };
+    img.src = url;
+});
+
+// --- Auth ---
+
+const loginView = document.getElementById('login-view');
+const loginStatus = document.getElementById('login-status');
+
+let currentUser = null; // { name, role } from /api/me
+
+const ROLE_LEVEL = { reader: 1, editor: 2, admin: 3 };
+
+function hasRole(role) {
+    return currentUser && ROLE_LEVEL[currentUser.role] >= ROLE_LEVEL[role];
+}
+
+// Hide what the user's role (or the server's write/delete switches) won't allow.
+function applyPermissions(me) {
+    permissions = {
+        edit: hasRole('editor') && me.allowWrite,
+        delete: hasRole('admin') && me.allowDelete,
+    };
+    document.getElementById('create-controls').style.display = permissions.edit ? 'flex' : 'none';
+    document.getElementById('btn-record-snapshot').style.display = hasRole('editor') ? 'inline-block' : 'none';
+    setEditing(false);
+
+    document.getElementById('auth-controls').style.display = me.auth ? 'flex' : 'none';
+    document.getElementById('auth-user').textContent = `${me.user.name} // ${me.user.role}`;
+}
+
+/**
+ * Resolves once /api/me succeeds, showing the login form while it answers 401.
+ */
+async function ensureSession() {
+    const res = await fetch('/api/me');
+    if (res.ok) {
+        const me = await res.json();
+        currentUser = me.user;
+        applyPermissions(me);
+        return;
+    }
+    if (res.status !== 401) throw new Error(`HTTP ${res.status}`);
+
+    loginView.style.display = 'flex';
+    await new Promise(resolve => { loginView.onLoggedIn = resolve; });
+    loginView.style.display = 'none';
+    return ensureSession();
+}
+
+document.getElementById('login-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const token = document.getElementById('login-token').value.trim();
+    const payload = token
+        ? { token }
+        : { username: document.getElementById('login-username').value, password: document.getElementById('login-password').value };
+
+    loginStatus.textContent = 'AUTHENTICATING...';
+    try {
+        await postJson('/api/login', payload);
+        loginStatus.textContent = '';
+        document.getElementById('login-password').value = '';
+        document.getElementById('login-token').value = '';
+        if (loginView.onLoggedIn) loginView.onLoggedIn();
+    } catch (e) {
+        loginStatus.textContent = `ERROR: ${e.message}`;
+    }
+});
+
+document.getElementById('btn-logout').addEventListener('click', async () => {
+    await postJson('/api/logout', {}).catch(() => {});
+    location.reload();
+});
+
+async function start() {
+    await ensureSession();
+    try {
+        await loadGraph();
+    } catch (e) {
+        // A shared focus or diff link whose node or snapshot is gone: fall back to the whole graph.
+        if (!focus && !diffView) throw e;
+        focus = null;
+        renderFocusBar();
+        clearDiffView();
+        writeViewToUrl();
+        await loadGraph();
+    }
+    connectGraphStream();
+    loadDeletedFiles();
+    loadSnapshots();
 }
 
-loadGraph();
+readViewFromUrl();
+start().catch(e => console.error('Failed to start', e));
@@ -0,0 +1,355 @@
+// Canvas renderer for the graph view.
+//
+// Draws links and nodes on a <canvas> with level of detail, so large
+// memories stay responsive: anything outside the viewport is skipped, labels
+// only appear once the zoom is high enough for their node type (search hits,
+// the focused node and the hovered node are always labelled), and below
+// EVENT_ZOOM event, task and decision nodes fold into their file, which takes
+// over their links and shows a count.
+// d3-zoom pans and zooms; d3-drag moves nodes; clicks and hovers are
+// hit-tested against node positions.
+
+const NODE_COLORS = { file: "#3b82f6", concept: "#00ff41", tag: "#f59e0b", event: "#a855f7", task: "#14b8a6", decision: "#ec4899" };
+
+const LINK_STYLES = {
+    ref: { color: "#3b82f6", alpha: 0.5 },
+    "related:tags": { color: "#f59e0b", alpha: 0.2 },
+    "related:text": { color: "#55c985", alpha: 0.2, dash: [3, 3] },
+    timeline: { color: "#a855f7", alpha: 0.5 },
+};
+
+// Zoom level from which each node type is labelled.
+const LABEL_ZOOM = { file: 0.4, concept: 0.9, tag: 0.9, event: 1.4, task: 1.4, decision: 1.4 };
+const LABEL_ORDER = ["file", "concept", "tag", "event", "decision", "task"];
+const MAX_LABELS = 300;
+
+// Below this zoom, these nodes are drawn as part of their file.
+const EVENT_ZOOM = 0.6;
+const FOLDED_TYPES = new Set(["event", "task", "decision"]);
+
+const DIM_ALPHA = 0.15;
+
+function cssVar(name, fallback) {
+    return getComputedStyle(document.documentElement).getPropertyValue(name).trim() || fallback;
+}
+
+function xmlText(value) {
+    return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function createGraphCanvas({ root, width, height, linkKind, onSelect, onDragStart, onDrag, onDragEnd }) {
+    const colors = {
+        background: cssVar("--bg", "#08110b"),
+        accent: cssVar("--accent", "#00ff41"),
+        text: cssVar("--text", "#c9ffe0"),
+        textStrong: cssVar("--text-strong", "#eafff0"),
+        font: `10px ${cssVar("--font-mono", "monospace")}`,
+    };
+    const defaultLink = { color: colors.accent, alpha: 0.2 };
+    const dpr = window.devicePixelRatio || 1;
+
+    const canvas = root.append("canvas")
+        .attr("class", "graph-canvas")
+        .attr("width", Math.round(width * dpr))
+        .attr("height", Math.round(height * dpr))
+        .style("width", `${width}px`)
+        .style("height", `${height}px`);
+    const el = canvas.node();
+    const ctx = el.getContext ? el.getContext("2d") : null; // null without canvas support
+
+    let nodes = [];
+    let links = [];
+    let ownerOf = new Map(); // event/task/decision id -> its (visible) file node
+    let foldedCount = new Map(); // file id -> number of nodes folded into it
+    let transform = d3.zoomIdentity;
+    let highlight = null; // Set of node ids, or null when nothing is highlighted
+    let center = null; // id of the node a neighbourhood is centred on
+    let nodeStyle = {}; // optional radius(n) / color(n), e.g. from analytics; null keeps the default
+    let linkStyle = null; // optional l => { color, alpha, dash } overriding LINK_STYLES
+    let hovered = null;
+    let frame = null;
+
+    const zoom = d3.zoom()
+        .scaleExtent([0.02, 16])
+        .on("zoom", (event) => {
+            transform = event.transform;
+            draw();
+        });
+
+    const drag = d3.drag()
+        .container(function () { return this; })
+        .subject((event) => {
+            const n = nodeAt(event.x, event.y);
+            return n && { node: n, x: event.x, y: event.y };
+        })
+        .on("start", (event) => onDragStart(event, event.subject.node))
+        .on("drag", (event) => {
+            const [x, y] = transform.invert([event.x, event.y]);
+            onDrag(event, event.subject.node, x, y);
+        })
+        .on("end", (event) => onDragEnd(event, event.subject.node));
+
+    // Drag first: it swallows the pointer-down over a node, so zoom only pans on empty space.
+    canvas.call(drag).call(zoom);
+
+    canvas.on("click", (event) => {
+        const [x, y] = d3.pointer(event);
+        const n = nodeAt(x, y);
+        if (n) onSelect(n);
+    });
+
+    canvas.on("mousemove", (event) => {
+        const [x, y] = d3.pointer(event);
+        const n = nodeAt(x, y);
+        if (n === hovered) return;
+        hovered = n;
+        el.title = n ? (n.labelFull || n.label) : "";
+        el.style.cursor = n ? "pointer" : null;
+        draw();
+    });
+
+    function folded() {
+        return transform.k < EVENT_ZOOM;
+    }
+
+    // Where a node is drawn: its file while events are folded, else itself.
+    function shownAs(n) {
+        return (folded() && ownerOf.get(n.id)) || n;
+    }
+
+    function radius(n) {
+        const base = (nodeStyle.radius && nodeStyle.radius(n)) || (n.type === "file" ? 8 : 5);
+        const count = folded() ? foldedCount.get(n.id) : 0;
+        return count ? Math.max(base, 8) + Math.min(8, Math.sqrt(count) * 1.5) : base;
+    }
+
+    function fill(n) {
+        return (nodeStyle.color && nodeStyle.color(n)) || NODE_COLORS[n.type] || colors.accent;
+    }
+
+    function nodeLabel(n) {
+        const label = n.labelShort || n.label;
+        const count = folded() ? foldedCount.get(n.id) : 0;
+        return count ? `${label} +${count}` : label;
+    }
+
+    function isHit(n) {
+        return highlight !== null && highlight.has(n.id);
+    }
+
+    function nodeStroke(n) {
+        if (isHit(n)) return { color: colors.textStrong, width: 3 };
+        if (n.id === center) return { color: colors.textStrong, width: 2 };
+        return { color: colors.accent, width: 1 };
+    }
+
+    // Always labelled, whatever the zoom.
+    function isPinned(n) {
+        return n === hovered || n.id === center || isHit(n);
+    }
+
+    /**
+     * What to draw for the current transform: link segments with their
+     * style, nodes in the viewport, and which of them get a label.
+     */
+    function scene() {
+        const margin = 20 / transform.k;
+        const [x0, y0] = transform.invert([0, 0]);
+        const [x1, y1] = transform.invert([width, height]);
+        const inView = (n) => n.x >= x0 - margin && n.x <= x1 + margin && n.y >= y0 - margin && n.y <= y1 + margin;
+
+        const segments = [];
+        for (const l of links) {
+            const s = shownAs(l.source);
+            const t = shownAs(l.target);
+            if (s === t || s.x === undefined || t.x === undefined) continue;
+            if (Math.max(s.x, t.x) < x0 || Math.min(s.x, t.x) > x1 || Math.max(s.y, t.y) < y0 || Math.min(s.y, t.y) > y1) continue;
+            // Links between highlighted nodes (e.g. along a path) stay lit.
+            const dim = highlight !== null && !(isHit(s) && isHit(t));
+            const style = (linkStyle && linkStyle(l)) || LINK_STYLES[linkKind(l)] || defaultLink;
+            segments.push({ style, dim, s, t });
+        }
+
+        const shown = nodes.filter(n => n.x !== undefined && shownAs(n) === n && inView(n));
+
+        const labels = shown
+            .filter(n => isPinned(n) || transform.k >= (LABEL_ZOOM[n.type] ?? 1))
+            .sort((a, b) => {
+                const pa = isPinned(a) ? -1 : LABEL_ORDER.indexOf(a.type);
+                const pb = isPinned(b) ? -1 : LABEL_ORDER.indexOf(b.type);
+                return pa - pb;
+            })
+            .slice(0, MAX_LABELS);
+
+        return { segments, nodes: shown, labels };
+    }
+
+    function nodeAlpha(n) {
+        return highlight !== null && !isHit(n) ? DIM_ALPHA : 1;
+    }
+
+    function render() {
+        frame = null;
+        if (!ctx) return;
+        const { segments, nodes: shown, labels } = scene();
+        const { k, x, y } = transform;
+
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = colors.background;
+        ctx.fillRect(0, 0, width, height);
+
+        // Links, one path per style (and dimming).
+        ctx.setTransform(dpr * k, 0, 0, dpr * k, dpr * x, dpr * y);
+        ctx.lineWidth = 1;
+        for (const [style, byDim] of d3.group(segments, seg => seg.style, seg => seg.dim)) {
+            ctx.strokeStyle = style.color;
+            ctx.setLineDash(style.dash || []);
+            for (const [dim, group] of byDim) {
+                ctx.globalAlpha = style.alpha * (dim ? DIM_ALPHA : 1);
+                ctx.beginPath();
+                for (const { s, t } of group) {
+                    ctx.moveTo(s.x, s.y);
+                    ctx.lineTo(t.x, t.y);
+                }
+                ctx.stroke();
+            }
+        }
+        ctx.setLineDash([]);
+
+        for (const n of shown) {
+            ctx.globalAlpha = nodeAlpha(n);
+            ctx.beginPath();
+            ctx.arc(n.x, n.y, radius(n), 0, 2 * Math.PI);
+            ctx.fillStyle = fill(n);
+            ctx.fill();
+            const stroke = nodeStroke(n);
+            ctx.lineWidth = stroke.width;
+            ctx.strokeStyle = stroke.color;
+            ctx.stroke();
+        }
+
+        // Labels in screen space so they stay readable at any zoom.
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.font = colors.font;
+        ctx.textBaseline = "middle";
+        ctx.lineJoin = "round";
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = "rgba(0, 0, 0, 0.8)";
+        ctx.fillStyle = colors.text;
+        for (const n of labels) {
+            const [sx, sy] = transform.apply([n.x, n.y]);
+            const text = nodeLabel(n);
+            const lx = sx + radius(n) * k + 4;
+            ctx.globalAlpha = nodeAlpha(n);
+            ctx.strokeText(text, lx, sy);
+            ctx.fillText(text, lx, sy);
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    // Coalesces redraws into one per animation frame.
+    function draw() {
+        if (frame === null) frame = requestAnimationFrame(render);
+    }
+
+    // The topmost drawn node under a screen point.
+    function nodeAt(sx, sy) {
+        const [x, y] = transform.invert([sx, sy]);
+        const slop = 2 / transform.k;
+        for (let i = nodes.length - 1; i >= 0; i--) {
+            const n = nodes[i];
+            if (n.x === undefined || shownAs(n) !== n) continue;
+            const r = radius(n) + slop;
+            if ((n.x - x) ** 2 + (n.y - y) ** 2 <= r * r) return n;
+        }
+        return null;
+    }
+
+    /**
+     * Shows these nodes and links (link endpoints are node objects).
+     */
+    function setGraph(nextNodes, nextLinks) {
+        nodes = nextNodes;
+        links = nextLinks;
+
+        const files = new Map(nodes.filter(n => n.type === "file").map(n => [n.path, n]));
+        ownerOf = new Map();
+        foldedCount = new Map();
+        for (const n of nodes) {
+            if (!FOLDED_TYPES.has(n.type)) continue;
+            const file = files.get(n.source);
+            if (!file) continue;
+            ownerOf.set(n.id, file);
+            foldedCount.set(file.id, (foldedCount.get(file.id) || 0) + 1);
+        }
+        if (hovered && !nodes.includes(hovered)) hovered = null;
+        draw();
+    }
+
+    function setHighlight(ids) {
+        highlight = ids;
+        draw();
+    }
+
+    function setNodeStyle(style) {
+        nodeStyle = style;
+        draw();
+    }
+
+    // `style(l)` must return the same object for links drawn alike (they are batched by style).
+    function setLinkStyle(style) {
+        linkStyle = style;
+        draw();
+    }
+
+    function setCenter(id) {
+        center = id;
+        draw();
+    }
+
+    function zoomTo(next, duration = 600) {
+        canvas.transition().duration(duration).call(zoom.transform, next);
+    }
+
+    /**
+     * The current view as a standalone SVG document, drawn with the same
+     * level of detail as the canvas.
+     */
+    function toSVG() {
+        const { segments, nodes: shown, labels } = scene();
+        const { k, x, y } = transform;
+        const out = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            `<rect width="100%" height="100%" fill="${colors.background}"/>`,
+            `<g transform="translate(${x},${y}) scale(${k})">`,
+        ];
+        for (const { style, dim, s, t } of segments) {
+            const dash = style.dash ? ` stroke-dasharray="${style.dash.join(" ")}"` : "";
+            out.push(`<line x1="${s.x}" y1="${s.y}" x2="${t.x}" y2="${t.y}" stroke="${style.color}" stroke-opacity="${style.alpha * (dim ? DIM_ALPHA : 1)}"${dash}/>`);
+        }
+        for (const n of shown) {
+            const stroke = nodeStroke(n);
+            out.push(`<circle cx="${n.x}" cy="${n.y}" r="${radius(n)}" fill="${fill(n)}" stroke="${stroke.color}" stroke-width="${stroke.width}" opacity="${nodeAlpha(n)}"/>`);
+        }
+        out.push("</g>");
+        for (const n of labels) {
+            const [sx, sy] = transform.apply([n.x, n.y]);
+            out.push(`<text x="${sx + radius(n) * k + 4}" y="${sy}" dy=".35em" font-family="${xmlText(cssVar("--font-mono", "monospace"))}" font-size="10" fill="${colors.text}" stroke="rgba(0,0,0,0.8)" stroke-width="3" paint-order="stroke" opacity="${nodeAlpha(n)}">${xmlText(nodeLabel(n))}</text>`);
+        }
+        out.push("</svg>");
+        return { markup: out.join("\n"), width, height };
+    }
+
+    return {
+        element: el,
+        setGraph,
+        setHighlight,
+        setCenter,
+        setNodeStyle,
+        setLinkStyle,
+        draw,
+        zoomTo,
+        toSVG,
+    };
+}
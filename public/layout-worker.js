@@ -0,0 +1,58 @@
+// Runs the graph's force simulation for layout.js off the main thread.
+//
+// Messages in:  init { width, height, scripts }, graph { generation, nodes,
+//               links }, reheat { alpha }, alphaTarget { value }, fix { id, x, y }
+// Messages out: tick { generation, positions } with x, y per node in the
+//               order of the last `graph` message.
+
+let simulation = null;
+let nodes = [];
+let byId = new Map();
+let generation = 0;
+
+function postPositions() {
+    const positions = new Float32Array(nodes.length * 2);
+    nodes.forEach((n, i) => {
+        positions[2 * i] = n.x;
+        positions[2 * i + 1] = n.y;
+    });
+    self.postMessage({ type: "tick", generation, positions }, [positions.buffer]);
+}
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case "init":
+            importScripts(...data.scripts);
+            simulation = createForceSimulation(data.width, data.height).on("tick", postPositions);
+            break;
+        case "graph": {
+            // Keep the velocity of nodes that were already being simulated.
+            const previous = byId;
+            generation = data.generation;
+            nodes = data.nodes.map(n => {
+                const old = previous.get(n.id);
+                return old ? { ...n, vx: old.vx, vy: old.vy } : { ...n };
+            });
+            byId = new Map(nodes.map(n => [n.id, n]));
+            simulation.nodes(nodes);
+            simulation.force("link").links(data.links.filter(l => byId.has(l.source) && byId.has(l.target)));
+            postPositions();
+            break;
+        }
+        case "reheat":
+            simulation.alpha(Math.max(simulation.alpha(), data.alpha)).restart();
+            break;
+        case "alphaTarget":
+            simulation.alphaTarget(data.value).restart();
+            break;
+        case "fix": {
+            const n = byId.get(data.id);
+            if (!n) break;
+            n.fx = data.x;
+            n.fy = data.y;
+            break;
+        }
+        default:
+            break;
+    }
+};
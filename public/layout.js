@@ -0,0 +1,106 @@
+// Force layout for the graph view.
+//
+// createLayout() runs the d3-force simulation in a Web Worker
+// (layout-worker.js) and copies the positions it streams back onto the node
+// objects before calling `onTick`. Where workers are unavailable or fail to
+// start, the same simulation runs on the main thread instead.
+//
+// This file is also loaded inside the worker, so it must not touch the DOM
+// at load time.
+
+function createForceSimulation(width, height) {
+    return d3.forceSimulation()
+        .force("link", d3.forceLink().id(d => d.id).distance(100))
+        .force("charge", d3.forceManyBody().strength(-150))
+        .force("center", d3.forceCenter(width / 2, height / 2))
+        .force("x", d3.forceX(width / 2).strength(0.05))
+        .force("y", d3.forceY(height / 2).strength(0.05));
+}
+
+function createLayout({ width, height, onTick }) {
+    let nodes = [];
+    let links = [];
+    let generation = 0; // bumped per setGraph so stale worker ticks are dropped
+    let worker = null;
+    let simulation = null;
+
+    function startLocal() {
+        if (worker) worker.terminate();
+        worker = null;
+        simulation = createForceSimulation(width, height).on("tick", onTick);
+        setGraph(nodes, links);
+    }
+
+    // The worker loads d3 from wherever the page got it.
+    const d3Script = document.querySelector('script[src*="d3"]');
+
+    try {
+        if (typeof Worker === "undefined" || !d3Script) throw new Error("Web Workers unavailable");
+        worker = new Worker("layout-worker.js");
+        worker.onmessage = ({ data }) => {
+            if (data.type !== "tick" || data.generation !== generation) return;
+            const p = data.positions;
+            nodes.forEach((n, i) => {
+                n.x = p[2 * i];
+                n.y = p[2 * i + 1];
+            });
+            onTick();
+        };
+        worker.onerror = (event) => {
+            console.error(`Layout worker failed (${event.message}); laying out on the main thread`);
+            event.preventDefault();
+            startLocal();
+        };
+        worker.postMessage({ type: "init", width, height, scripts: [d3Script.src, new URL("layout.js", location.href).href] });
+    } catch (err) {
+        startLocal();
+    }
+
+    /**
+     * Lays out these nodes and links (link endpoints are node objects).
+     */
+    function setGraph(nextNodes, nextLinks) {
+        nodes = nextNodes;
+        links = nextLinks;
+        generation++;
+
+        if (simulation) {
+            simulation.nodes(nodes);
+            simulation.force("link").links(links);
+            return;
+        }
+
+        worker.postMessage({
+            type: "graph",
+            generation,
+            nodes: nodes.map(n => ({ id: n.id, x: n.x, y: n.y, fx: n.fx, fy: n.fy })),
+            links: links.map(l => ({ source: l.source.id, target: l.target.id })),
+        });
+    }
+
+    // Heats the simulation up to at least `alpha`.
+    function reheat(alpha = 0.3) {
+        if (simulation) simulation.alpha(Math.max(simulation.alpha(), alpha)).restart();
+        else worker.postMessage({ type: "reheat", alpha });
+    }
+
+    function alphaTarget(value) {
+        if (simulation) simulation.alphaTarget(value).restart();
+        else worker.postMessage({ type: "alphaTarget", value });
+    }
+
+    /**
+     * Pins a node at (x, y), e.g. while it is dragged; null releases it.
+     */
+    function fix(node, x, y) {
+        node.fx = x;
+        node.fy = y;
+        if (x !== null) {
+            node.x = x;
+            node.y = y;
+        }
+        if (worker) worker.postMessage({ type: "fix", id: node.id, x, y });
+    }
+
+    return { setGraph, reheat, alphaTarget, fix };
+}
@@ -0,0 +1,202 @@
+// Horizontal timeline of daily logs (memory/YYYY-MM-DD.md) and their events.
+//
+// Days are laid out on a time axis with their `##` events stacked above them.
+// The strip below the axis is a brush: selecting a range reports an inclusive
+// [from, to] pair of YYYY-MM-DD strings through `onBrush` (null when cleared).
+// Wheel/drag on the plot zooms and pans horizontally.
+
+const parseDay = d3.timeParse("%Y-%m-%d");
+const formatDay = d3.timeFormat("%Y-%m-%d");
+
+function createTimeline({ root, width, height, onBrush, onSelect }) {
+    const margin = { top: 24, right: 40, bottom: 80, left: 40 };
+    const axisY = height - margin.bottom;
+    const brushHeight = 28;
+    const rowHeight = 16;
+    const rowGap = 3;
+
+    const svg = root.append("svg")
+        .attr("class", "timeline")
+        .attr("width", width)
+        .attr("height", height)
+        .style("display", "none");
+
+    const x0 = d3.scaleTime().range([margin.left, width - margin.right]);
+    let x = x0;
+
+    const plot = svg.append("g").attr("class", "timeline-plot");
+    const axisG = svg.append("g")
+        .attr("class", "timeline-axis")
+        .attr("transform", `translate(0,${axisY})`);
+    const brushG = svg.append("g")
+        .attr("class", "timeline-brush")
+        .attr("transform", `translate(0,${axisY + 24})`);
+
+    let days = [];
+    let selection = null; // [from, to] as YYYY-MM-DD, inclusive
+
+    const brush = d3.brushX()
+        .extent([[margin.left, 0], [width - margin.right, brushHeight]])
+        .on("end", brushed);
+
+    brushG.call(brush);
+
+    const zoom = d3.zoom()
+        .scaleExtent([1, 200])
+        .translateExtent([[margin.left, 0], [width - margin.right, height]])
+        .extent([[margin.left, 0], [width - margin.right, height]])
+        // Leave the brush strip to the brush.
+        .filter((event) =>
+            (!event.ctrlKey || event.type === "wheel") && !event.button &&
+            !event.target.closest(".timeline-brush"))
+        .on("zoom", (event) => {
+            x = event.transform.rescaleX(x0);
+            draw();
+        });
+
+    svg.call(zoom);
+
+    function dayWidth() {
+        if (!days.length) return 0;
+        const first = days[0].day;
+        return Math.max(1, x(d3.timeDay.offset(first, 1)) - x(first));
+    }
+
+    // Snap a pixel selection to whole days.
+    function brushed(event) {
+        if (!event.sourceEvent) return; // programmatic move
+
+        if (!event.selection) {
+            selection = null;
+            onBrush(null);
+            return;
+        }
+
+        const [s0, s1] = event.selection;
+        const from = d3.timeDay.round(x.invert(s0));
+        let to = d3.timeDay.round(x.invert(s1));
+        if (to <= from) to = d3.timeDay.offset(from, 1);
+
+        selection = [formatDay(from), formatDay(d3.timeDay.offset(to, -1))];
+        brushG.call(brush.move, [x(from), x(to)]);
+        onBrush(selection);
+    }
+
+    function moveBrush() {
+        if (!selection) {
+            brushG.call(brush.move, null);
+            return;
+        }
+        const from = parseDay(selection[0]);
+        const to = d3.timeDay.offset(parseDay(selection[1]), 1);
+        brushG.call(brush.move, [x(from), x(to)]);
+    }
+
+    function draw() {
+        const w = dayWidth();
+        const showLabels = w >= 60;
+        const maxRows = Math.floor((axisY - margin.top) / (rowHeight + rowGap));
+
+        axisG.call(d3.axisBottom(x).ticks(Math.max(2, Math.floor(width / 110))));
+
+        const day = plot.selectAll("g.timeline-day")
+            .data(days, d => d.file.id)
+            .join(enter => {
+                const g = enter.append("g").attr("class", "timeline-day");
+                g.append("line").attr("class", "timeline-stem");
+                g.append("circle")
+                    .attr("class", "timeline-file")
+                    .attr("r", 5)
+                    .on("click", (event, d) => onSelect(d.file));
+                g.append("title");
+                return g;
+            });
+
+        day.attr("transform", d => `translate(${x(d.day) + w / 2},0)`);
+        day.select("circle").attr("cy", axisY);
+        day.select("title").text(d => `${d.file.labelFull || d.file.label} (${d.events.length} events)`);
+        day.select("line.timeline-stem")
+            .attr("y1", axisY)
+            .attr("y2", d => axisY - Math.min(d.events.length, maxRows) * (rowHeight + rowGap));
+
+        day.each(function (d) {
+            const visible = d.events.slice(0, maxRows);
+            const overflow = d.events.length - visible.length;
+            const boxWidth = showLabels ? Math.min(w - 6, 180) : Math.max(2, Math.min(w - 2, 10));
+
+            const ev = d3.select(this).selectAll("g.timeline-event")
+                .data(visible, e => e.id)
+                .join(enter => {
+                    const g = enter.append("g").attr("class", "timeline-event");
+                    g.append("rect")
+                        .attr("height", rowHeight)
+                        .attr("rx", 2)
+                        .on("click", (event, e) => onSelect(e));
+                    g.append("text")
+                        .attr("dy", rowHeight - 4)
+                        .attr("dx", 4);
+                    g.append("title");
+                    return g;
+                });
+
+            ev.attr("transform", (e, i) => `translate(${-boxWidth / 2},${axisY - 12 - (i + 1) * (rowHeight + rowGap)})`);
+            ev.select("rect").attr("width", boxWidth);
+            ev.select("text").text(e => showLabels ? (e.labelShort || e.label) : "");
+            ev.select("title").text(e => e.labelFull || e.label);
+
+            d3.select(this).selectAll("text.timeline-overflow")
+                .data(overflow > 0 ? [overflow] : [])
+                .join("text")
+                .attr("class", "timeline-overflow")
+                .attr("text-anchor", "middle")
+                .attr("y", margin.top - 6)
+                .text(n => `+${n}`);
+        });
+
+        moveBrush();
+    }
+
+    /**
+     * Rebuilds the day/event layout from the current graph.
+     */
+    function render(graph) {
+        // Every event of a file, nested headings included, in document order.
+        const eventsByFile = new Map();
+        for (const n of graph.nodes) {
+            if (n.type !== 'event' || !n.source) continue;
+            const fileId = `file:${n.source}`;
+            if (!eventsByFile.has(fileId)) eventsByFile.set(fileId, []);
+            eventsByFile.get(fileId).push(n);
+        }
+        for (const events of eventsByFile.values()) {
+            events.sort((a, b) => (a.line || 0) - (b.line || 0));
+        }
+
+        days = graph.nodes
+            .filter(n => n.type === 'file' && n.date)
+            .map(n => ({ file: n, day: parseDay(n.date), events: eventsByFile.get(n.id) || [] }))
+            .filter(d => d.day)
+            .sort((a, b) => a.day - b.day);
+
+        if (days.length) {
+            x0.domain([days[0].day, d3.timeDay.offset(days[days.length - 1].day, 1)]);
+        } else {
+            const today = d3.timeDay.floor(new Date());
+            x0.domain([d3.timeDay.offset(today, -7), d3.timeDay.offset(today, 1)]);
+        }
+
+        x = d3.zoomTransform(svg.node()).rescaleX(x0);
+        draw();
+    }
+
+    function setSelection(next) {
+        selection = next;
+        moveBrush();
+    }
+
+    function show(on) {
+        svg.style("display", on ? null : "none");
+    }
+
+    return { render, setSelection, show };
+}
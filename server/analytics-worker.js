@@ -0,0 +1,5 @@
+// Runs analyzeGraph off the server's event loop (see analyzeGraphInWorker).
+const { parentPort, workerData } = require('worker_threads');
+const { analyzeGraph } = require('./analytics');
+
+parentPort.postMessage(analyzeGraph(workerData.graph, workerData.options));
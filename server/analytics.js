@@ -0,0 +1,296 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { endpointId } = require('./util');
+
+// `timeline` links only chain daily logs by date; they would make every log a
+// hub, so the metrics leave them out.
+const IGNORED_LINKS = new Set(['timeline']);
+
+const PAGERANK_DAMPING = 0.85;
+const PAGERANK_ITERATIONS = 100;
+const PAGERANK_TOLERANCE = 1e-8;
+const COMMUNITY_ROUNDS = 20;
+// Betweenness start nodes; keeps it linear in the graph size beyond that.
+const BETWEENNESS_SOURCES = 200;
+
+function nodeLabel(n) {
+  return n.labelFull || n.label || n.id;
+}
+
+/**
+ * Undirected adjacency over the links the metrics use: id -> Map(neighbour
+ * id -> number of links between the two).
+ */
+function adjacency(graph) {
+  const adj = new Map(graph.nodes.map(n => [n.id, new Map()]));
+  for (const l of graph.links) {
+    if (IGNORED_LINKS.has(l.type)) continue;
+    const s = endpointId(l.source);
+    const t = endpointId(l.target);
+    if (s === t || !adj.has(s) || !adj.has(t)) continue;
+    adj.get(s).set(t, (adj.get(s).get(t) || 0) + 1);
+    adj.get(t).set(s, (adj.get(t).get(s) || 0) + 1);
+  }
+  return adj;
+}
+
+/**
+ * Brandes' algorithm on the unweighted graph, normalised to 0..1. Up to
+ * BETWEENNESS_SOURCES start nodes, evenly spaced so the result is stable for
+ * a given graph, are walked and scaled up to all nodes; smaller graphs get
+ * the exact value.
+ */
+function betweenness(adj) {
+  const ids = [...adj.keys()];
+  const n = ids.length;
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const neighbours = ids.map(id => [...adj.get(id).keys()].map(w => index.get(w)));
+
+  const score = new Float64Array(n);
+  const dist = new Int32Array(n);
+  const sigma = new Float64Array(n);
+  const delta = new Float64Array(n);
+  const order = new Int32Array(n); // BFS order, reversed for the accumulation
+  const sources = Math.min(n, BETWEENNESS_SOURCES);
+
+  for (let j = 0; j < sources; j++) {
+    const s = Math.floor(j * n / sources);
+    dist.fill(-1);
+    sigma.fill(0);
+    delta.fill(0);
+    dist[s] = 0;
+    sigma[s] = 1;
+    order[0] = s;
+    let tail = 1;
+    for (let head = 0; head < tail; head++) {
+      const v = order[head];
+      for (const w of neighbours[v]) {
+        if (dist[w] < 0) {
+          dist[w] = dist[v] + 1;
+          order[tail++] = w;
+        }
+        if (dist[w] === dist[v] + 1) sigma[w] += sigma[v];
+      }
+    }
+
+    for (let i = tail - 1; i > 0; i--) {
+      const w = order[i];
+      for (const v of neighbours[w]) {
+        if (dist[v] === dist[w] - 1) delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+      }
+      score[w] += delta[w];
+    }
+  }
+
+  // Each pair was counted from both ends.
+  const pairs = n > 2 ? (n - 1) * (n - 2) : 1;
+  const scale = sources ? n / sources : 0;
+  return new Map(ids.map((id, i) => [id, score[i] * scale / pairs]));
+}
+
+function pagerank(adj) {
+  const ids = [...adj.keys()];
+  const n = ids.length || 1;
+  let rank = new Map(ids.map(id => [id, 1 / n]));
+  const degree = new Map(ids.map(id => [id, [...adj.get(id).values()].reduce((a, b) => a + b, 0)]));
+
+  for (let iter = 0; iter < PAGERANK_ITERATIONS; iter++) {
+    // Rank of nodes without links is spread evenly.
+    let dangling = 0;
+    for (const id of ids) if (!degree.get(id)) dangling += rank.get(id);
+
+    const next = new Map(ids.map(id => [id, (1 - PAGERANK_DAMPING) / n + PAGERANK_DAMPING * dangling / n]));
+    for (const id of ids) {
+      const d = degree.get(id);
+      if (!d) continue;
+      const share = PAGERANK_DAMPING * rank.get(id) / d;
+      for (const [w, count] of adj.get(id)) next.set(w, next.get(w) + share * count);
+    }
+
+    let change = 0;
+    for (const id of ids) change += Math.abs(next.get(id) - rank.get(id));
+    rank = next;
+    if (change < PAGERANK_TOLERANCE) break;
+  }
+  return rank;
+}
+
+/**
+ * Label propagation: every node repeatedly takes the label most of its links
+ * point at (ties go to the smallest label) until nothing changes. Nodes are
+ * visited in id order, so the result is stable for a given graph. Returns
+ * id -> community number, numbered from the largest community down.
+ */
+function communities(adj) {
+  const ids = [...adj.keys()].sort();
+  const label = new Map(ids.map(id => [id, id]));
+
+  for (let round = 0; round < COMMUNITY_ROUNDS; round++) {
+    let changed = false;
+    for (const id of ids) {
+      const votes = new Map();
+      for (const [w, count] of adj.get(id)) {
+        const l = label.get(w);
+        votes.set(l, (votes.get(l) || 0) + count);
+      }
+      if (!votes.size) continue;
+
+      let best = null;
+      let bestVotes = -1;
+      for (const [l, v] of votes) {
+        if (v > bestVotes || (v === bestVotes && l < best)) {
+          best = l;
+          bestVotes = v;
+        }
+      }
+      if (best !== label.get(id)) {
+        label.set(id, best);
+        changed = true;
+      }
+    }
+    if (!changed) break;
+  }
+
+  const sizes = new Map();
+  for (const l of label.values()) sizes.set(l, (sizes.get(l) || 0) + 1);
+  const order = [...sizes.keys()].sort((a, b) => sizes.get(b) - sizes.get(a) || (a < b ? -1 : 1));
+  const number = new Map(order.map((l, i) => [l, i]));
+  return new Map(ids.map(id => [id, number.get(label.get(id))]));
+}
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Concepts mentioned in the daily logs of `month` (YYYY-MM), ranked by the
+ * number of days they came up on, then by mentions and PageRank.
+ */
+function conceptsOfMonth(graph, metrics, month, limit) {
+  const nodeById = new Map(graph.nodes.map(n => [n.id, n]));
+  const stats = new Map();
+  for (const l of graph.links) {
+    if (l.type !== 'contains') continue;
+    const file = nodeById.get(endpointId(l.source));
+    const concept = nodeById.get(endpointId(l.target));
+    if (!file || !concept || !file.date || !file.date.startsWith(month)) continue;
+    if (!stats.has(concept.id)) stats.set(concept.id, { days: new Set(), mentions: 0 });
+    const s = stats.get(concept.id);
+    s.days.add(file.date);
+    s.mentions++;
+  }
+
+  return [...stats]
+    .map(([id, s]) => ({
+      id,
+      label: nodeLabel(nodeById.get(id)),
+      days: s.days.size,
+      mentions: s.mentions,
+      pagerank: metrics[id].pagerank,
+    }))
+    .sort((a, b) => b.days - a.days || b.mentions - a.mentions || b.pagerank - a.pagerank)
+    .slice(0, limit);
+}
+
+/**
+ * Structure of the graph: per-node degree, betweenness, PageRank and
+ * community; the top concepts by PageRank; each community's files and
+ * leading concepts; and the concepts of `month` (YYYY-MM).
+ */
+function analyzeGraph(graph, { month, limit = 20 } = {}) {
+  const adj = adjacency(graph);
+  const between = betweenness(adj);
+  const rank = pagerank(adj);
+  const community = communities(adj);
+
+  const metrics = {};
+  for (const n of graph.nodes) {
+    metrics[n.id] = {
+      degree: adj.get(n.id).size,
+      betweenness: round(between.get(n.id)),
+      pagerank: round(rank.get(n.id)),
+      community: community.get(n.id),
+    };
+  }
+
+  const byPagerank = (a, b) => metrics[b.id].pagerank - metrics[a.id].pagerank;
+  const concepts = graph.nodes
+    .filter(n => n.type === 'concept')
+    .sort(byPagerank)
+    .slice(0, limit)
+    .map(n => ({ id: n.id, label: nodeLabel(n), ...metrics[n.id] }));
+
+  const groups = new Map();
+  for (const n of graph.nodes) {
+    const c = metrics[n.id].community;
+    if (!groups.has(c)) groups.set(c, []);
+    groups.get(c).push(n);
+  }
+  const communityList = [...groups]
+    .sort((a, b) => a[0] - b[0])
+    .filter(([, members]) => members.length > 1)
+    .map(([id, members]) => ({
+      id,
+      size: members.length,
+      files: members.filter(n => n.type === 'file').map(n => n.path),
+      concepts: members.filter(n => n.type === 'concept').sort(byPagerank).slice(0, 5).map(n => nodeLabel(n)),
+    }));
+
+  return {
+    metrics,
+    concepts,
+    communities: communityList,
+    month: month ? { month, concepts: conceptsOfMonth(graph, metrics, month, limit) } : null,
+  };
+}
+
+/**
+ * analyzeGraph in a worker thread, so large graphs don't stall requests.
+ */
+function analyzeGraphInWorker(graph, options) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'analytics-worker.js'), { workerData: { graph, options } });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      if (code) reject(new Error(`Analytics worker exited with code ${code}`));
+    });
+  });
+}
+
+/**
+ * A shortest path from `from` to `to`, following links in either direction.
+ * Returns { nodes: [id], links } or null when they are not connected (or
+ * either is missing).
+ */
+function shortestPath(graph, from, to) {
+  const adj = adjacency(graph);
+  if (!adj.has(from) || !adj.has(to)) return null;
+
+  const parent = new Map([[from, null]]);
+  const queue = [from];
+  for (let i = 0; i < queue.length && !parent.has(to); i++) {
+    for (const w of adj.get(queue[i]).keys()) {
+      if (parent.has(w)) continue;
+      parent.set(w, queue[i]);
+      queue.push(w);
+    }
+  }
+  if (!parent.has(to)) return null;
+
+  const nodes = [];
+  for (let id = to; id !== null; id = parent.get(id)) nodes.unshift(id);
+
+  const steps = new Set(nodes.slice(1).map((id, i) => [nodes[i], id].sort().join('\n')));
+  const links = graph.links.filter(l => {
+    if (IGNORED_LINKS.has(l.type)) return false;
+    return steps.has([endpointId(l.source), endpointId(l.target)].sort().join('\n'));
+  });
+  return { nodes, links };
+}
+
+module.exports = {
+  analyzeGraph,
+  analyzeGraphInWorker,
+  shortestPath,
+};
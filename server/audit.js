@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Append-only JSONL audit log of changes made through the API.
+ *
+ * Each line records when, who (name, role and how they authenticated), from
+ * where, the action, the file it touched and the HTTP status it ended with,
+ * plus whatever the route put in `res.locals.audit` (e.g. the backup path).
+ */
+function createAuditLog(file) {
+  function append(entry) {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, `${JSON.stringify(entry)}\n`, 'utf8');
+    } catch (err) {
+      console.error(`Failed to write audit log ${file}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Middleware recording `action` once the response has been sent.
+   */
+  function record(action) {
+    return (req, res, next) => {
+      res.on('finish', () => {
+        const user = req.user || { name: 'anonymous', role: null, via: 'none' };
+        append({
+          time: new Date().toISOString(),
+          user: user.name,
+          role: user.role,
+          via: user.via,
+          ip: req.ip,
+          action,
+          method: req.method,
+          path: (req.body && req.body.path) || req.query.path || null,
+          status: res.statusCode,
+          ...(res.locals.audit || {}),
+        });
+      });
+      next();
+    };
+  }
+
+  /**
+   * The newest `limit` entries, newest first.
+   */
+  function read({ limit = 200 } = {}) {
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const out = [];
+    const lines = text.split('\n');
+    for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+      if (!lines[i].trim()) continue;
+      try {
+        out.push(JSON.parse(lines[i]));
+      } catch (err) {
+        // a torn line from a crash mid-append; skip it
+      }
+    }
+    return out;
+  }
+
+  return {
+    file,
+    record,
+    read,
+  };
+}
+
+module.exports = {
+  createAuditLog,
+};
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const { splitList } = require('./util');
+
+const ROLES = { reader: 1, editor: 2, admin: 3 };
+const SESSION_COOKIE = 'memviz_session';
+const DEFAULT_SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours
+
+function checkRole(role, entry) {
+  if (!ROLES[role]) throw new Error(`Unknown role "${role}" in ${entry} (expected reader, editor or admin)`);
+  return role;
+}
+
+/**
+ * Reads credentials from the environment:
+ *
+ *   MEMORY_AUTH_TOKENS=<token>:<role>[:<name>],...   (Bearer tokens)
+ *   MEMORY_AUTH_USERS=<name>:<password>:<role>,...   (Basic / login form)
+ *
+ * Roles are reader (read-only), editor (create, edit, restore) and admin
+ * (also delete and read the audit log).
+ */
+function loadCredentials(env = process.env) {
+  const tokens = splitList(env.MEMORY_AUTH_TOKENS).map((entry, i) => {
+    const [token, role = 'reader', name = `token-${i + 1}`] = entry.split(':');
+    if (!token) throw new Error('Empty token in MEMORY_AUTH_TOKENS');
+    return { token, role: checkRole(role, 'MEMORY_AUTH_TOKENS'), name };
+  });
+
+  const users = splitList(env.MEMORY_AUTH_USERS).map((entry) => {
+    const parts = entry.split(':');
+    // Passwords may contain ':'; the name is first and the role last.
+    const name = parts[0];
+    const role = parts.length > 2 ? parts[parts.length - 1] : 'reader';
+    const password = parts.slice(1, parts.length > 2 ? -1 : undefined).join(':');
+    if (!name || !password) throw new Error(`Invalid MEMORY_AUTH_USERS entry for "${name}"`);
+    return { name, password, role: checkRole(role, 'MEMORY_AUTH_USERS') };
+  });
+
+  return { tokens, users };
+}
+
+// Constant-time comparison that doesn't leak the secret's length.
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i === -1) continue;
+    try {
+      out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch (err) {
+      // malformed escape; ignore this cookie
+    }
+  }
+  return out;
+}
+
+/**
+ * Authentication and role checks for the API.
+ *
+ * Clients authenticate with `Authorization: Bearer <token>`,
+ * `Authorization: Basic <user:password>`, or the session cookie set by
+ * login() (what the browser UI uses, since EventSource can't send headers).
+ * With no credentials configured auth is off and every request acts as an
+ * anonymous admin, as before; MEMORY_ALLOW_WRITE/DELETE still apply.
+ */
+function createAuth({ tokens = [], users = [], sessionTtl = DEFAULT_SESSION_TTL, secureCookie = false } = {}) {
+  const enabled = tokens.length > 0 || users.length > 0;
+  const sessions = new Map(); // id -> { user, expires }
+
+  function findToken(token) {
+    const match = tokens.find(t => safeEqual(t.token, token));
+    return match ? { name: match.name, role: match.role, via: 'token' } : null;
+  }
+
+  function findUser(name, password) {
+    const match = users.find(u => u.name === name && safeEqual(u.password, password));
+    return match ? { name: match.name, role: match.role, via: 'password' } : null;
+  }
+
+  function fromSession(id) {
+    const session = id && sessions.get(id);
+    if (!session) return null;
+    if (session.expires < Date.now()) {
+      sessions.delete(id);
+      return null;
+    }
+    return session.user;
+  }
+
+  /**
+   * The user a request authenticates as, or null.
+   */
+  function identify(req) {
+    const header = String(req.get('Authorization') || '');
+    const [scheme, value = ''] = header.split(/\s+/, 2);
+
+    if (/^bearer$/i.test(scheme)) return findToken(value);
+    if (/^basic$/i.test(scheme)) {
+      const decoded = Buffer.from(value, 'base64').toString('utf8');
+      const i = decoded.indexOf(':');
+      return i === -1 ? null : findUser(decoded.slice(0, i), decoded.slice(i + 1));
+    }
+
+    return fromSession(parseCookies(req.get('Cookie'))[SESSION_COOKIE]);
+  }
+
+  /**
+   * Middleware: sets req.user or answers 401.
+   */
+  function authenticate(req, res, next) {
+    if (!enabled) {
+      req.user = { name: 'anonymous', role: 'admin', via: 'none' };
+      return next();
+    }
+
+    const user = identify(req);
+    if (!user) {
+      res.set('WWW-Authenticate', 'Bearer realm="openclaw-memory-visualizer"');
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.user = user;
+    next();
+  }
+
+  /**
+   * Middleware: 403 unless req.user has at least `role`.
+   */
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (req.user && ROLES[req.user.role] >= ROLES[role]) return next();
+      return res.status(403).json({ error: `Requires ${role} role` });
+    };
+  }
+
+  /**
+   * Exchanges a token or name/password for a session cookie.
+   */
+  function login(req, res) {
+    if (!enabled) return res.json({ ok: true, user: { name: 'anonymous', role: 'admin' }, auth: false });
+
+    const { token, username, password } = req.body || {};
+    const user = token ? findToken(String(token)) : findUser(String(username || ''), String(password || ''));
+    if (!user) return res.status(401).json({ error: 'Invalid credentials' });
+
+    const id = crypto.randomBytes(32).toString('base64url');
+    sessions.set(id, { user, expires: Date.now() + sessionTtl });
+
+    // SameSite=Strict keeps other sites from riding the session (CSRF).
+    res.cookie(SESSION_COOKIE, id, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: secureCookie,
+      maxAge: sessionTtl,
+      path: '/',
+    });
+    res.json({ ok: true, user: { name: user.name, role: user.role }, auth: true });
+  }
+
+  function logout(req, res) {
+    sessions.delete(parseCookies(req.get('Cookie'))[SESSION_COOKIE]);
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.json({ ok: true });
+  }
+
+  return {
+    enabled,
+    authenticate,
+    requireRole,
+    login,
+    logout,
+  };
+}
+
+/**
+ * CORS options for an allowlist (CORS_ORIGINS, comma-separated). Empty means
+ * same-origin only; `*` allows any origin but never with credentials.
+ */
+function corsOptions(origins) {
+  const list = splitList(origins);
+  const any = list.includes('*');
+  return {
+    origin: any ? '*' : (origin, callback) => callback(null, Boolean(origin) && list.includes(origin)),
+    credentials: !any,
+    exposedHeaders: ['ETag'],
+  };
+}
+
+module.exports = {
+  ROLES,
+  loadCredentials,
+  createAuth,
+  corsOptions,
+};
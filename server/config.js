@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeSimilarity } = require('./similarity');
+const { splitList, toPosix } = require('./util');
+
+const CONFIG_FILE = 'memviz.config.json';
+const DEFAULT_INDEX_FILE = 'MEMORY.md';
+const DEFAULT_DAILY_DIR = 'memory';
+
+/**
+ * Locates the config file: MEMVIZ_CONFIG if set, else memviz.config.json in
+ * the working directory, else in the memory root.
+ */
+function findConfigFile(root, env, cwd) {
+  if (env.MEMVIZ_CONFIG) return path.resolve(cwd, env.MEMVIZ_CONFIG);
+
+  for (const dir of [cwd, root]) {
+    const candidate = path.join(dir, CONFIG_FILE);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Normalises one discovery root. Roots are directories under the memory
+ * root; anything resolving outside it is rejected, since the source API only
+ * serves files under MEMORY_ROOT.
+ */
+function normalizeRoot(entry, root) {
+  const rel = toPosix(path.normalize(String(entry.path || '.'))).replace(/\/$/, '') || '.';
+  const abs = path.resolve(root, rel);
+  if (abs !== root && !abs.startsWith(root + path.sep)) {
+    throw new Error(`Discovery root "${entry.path}" is outside MEMORY_ROOT`);
+  }
+
+  const include = Array.isArray(entry.include) ? entry.include.map(String) : splitList(entry.include);
+  if (!include.length) throw new Error(`Discovery root "${entry.path}" has no include patterns`);
+
+  return {
+    path: rel,
+    label: String(entry.label || (rel === '.' ? 'root' : path.basename(rel))),
+    include,
+    exclude: Array.isArray(entry.exclude) ? entry.exclude.map(String) : splitList(entry.exclude),
+  };
+}
+
+/**
+ * Loads the discovery configuration.
+ *
+ * memviz.config.json:
+ *   {
+ *     "indexFile": "MEMORY.md",
+ *     "roots": [
+ *       { "path": ".", "label": "memory", "include": ["MEMORY.md", "memory/**\/*.md"] },
+ *       { "path": "projects", "label": "projects", "include": ["*\/NOTES.md"] }
+ *     ],
+ *     "exclude": ["memory/archive/**"],
+ *     "dailyDir": "memory",
+ *     "dailyTemplate": "templates/daily.md",
+ *     "similarity": { "backend": "tfidf", "minScore": 0.25, "maxLinks": 120, "sections": true }
+ *   }
+ *
+ * `dailyDir` is where new daily logs are created; `dailyTemplate` (relative
+ * to the memory root) replaces the built-in daily log template. `similarity`
+ * picks the text-similarity backend (`tfidf`, `bm25` or `embedding`, with an
+ * optional `embedModule`), the score a link needs, how many links are kept,
+ * whether sections are compared as well as files, and the terms per vector.
+ *
+ * Environment overrides: MEMORY_INDEX (index file name), MEMORY_INCLUDE
+ * (comma-separated globs replacing the first root's includes) and
+ * MEMORY_EXCLUDE (comma-separated globs added to the global excludes);
+ * MEMORY_SIMILARITY, MEMORY_SIMILARITY_MIN_SCORE, MEMORY_SIMILARITY_MAX_LINKS
+ * and MEMORY_SIMILARITY_EMBED_MODULE override the `similarity` settings.
+ */
+function loadConfig({ root, env = process.env, cwd = process.cwd() }) {
+  const resolvedRoot = path.resolve(root);
+  const file = findConfigFile(resolvedRoot, env, cwd);
+
+  let raw = {};
+  if (file) {
+    try {
+      raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`Invalid config ${file}: ${err.message}`);
+    }
+  }
+
+  const indexFile = env.MEMORY_INDEX || raw.indexFile || DEFAULT_INDEX_FILE;
+
+  const rawRoots = Array.isArray(raw.roots) && raw.roots.length
+    ? raw.roots
+    : [{ path: '.', label: 'memory', include: [indexFile, 'memory/**/*.md'] }];
+
+  const roots = rawRoots.map(entry => normalizeRoot(entry, resolvedRoot));
+
+  const include = splitList(env.MEMORY_INCLUDE);
+  if (include.length) roots[0].include = include;
+
+  const exclude = [
+    ...(Array.isArray(raw.exclude) ? raw.exclude.map(String) : splitList(raw.exclude)),
+    ...splitList(env.MEMORY_EXCLUDE),
+  ];
+
+  const dailyDir = toPosix(path.normalize(String(raw.dailyDir || DEFAULT_DAILY_DIR))).replace(/\/$/, '');
+  const dailyTemplate = raw.dailyTemplate ? path.resolve(resolvedRoot, String(raw.dailyTemplate)) : null;
+
+  const rawSimilarity = raw.similarity && typeof raw.similarity === 'object' ? { ...raw.similarity } : {};
+  if (env.MEMORY_SIMILARITY) rawSimilarity.backend = env.MEMORY_SIMILARITY;
+  if (env.MEMORY_SIMILARITY_MIN_SCORE) rawSimilarity.minScore = env.MEMORY_SIMILARITY_MIN_SCORE;
+  if (env.MEMORY_SIMILARITY_MAX_LINKS) rawSimilarity.maxLinks = env.MEMORY_SIMILARITY_MAX_LINKS;
+  if (env.MEMORY_SIMILARITY_EMBED_MODULE) rawSimilarity.embedModule = env.MEMORY_SIMILARITY_EMBED_MODULE;
+  const similarity = normalizeSimilarity(rawSimilarity);
+  // Module paths in the config file are relative to the memory root.
+  if (similarity.embedModule) similarity.embedModule = path.resolve(env.MEMORY_SIMILARITY_EMBED_MODULE ? cwd : resolvedRoot, similarity.embedModule);
+
+  return {
+    file,
+    indexFile,
+    roots,
+    exclude,
+    dailyDir,
+    dailyTemplate,
+    similarity,
+    raw,
+  };
+}
+
+module.exports = {
+  loadConfig,
+};
@@ -0,0 +1,271 @@
+const path = require('path');
+const { dailyLogDate, ITEM_TAGS } = require('./parser');
+const { conceptKey } = require('./lint');
+const { tokenize } = require('./similarity');
+const { localDate } = require('./daily-log');
+const { toPosix } = require('./util');
+
+// Heading promoted concepts and tags are drafted under in the index file.
+const PROMOTE_SECTION = 'From daily logs';
+// Term overlap (Jaccard) at which two sections read as the same content.
+const DUPLICATE_OVERLAP = 0.8;
+const MIN_DUPLICATE_TERMS = 5;
+const MAX_EXAMPLES = 3;
+// Task/decision markers stay with the daily log, not the promoted line.
+const ITEM_TAG_RE = new RegExp(`\\s*#(${Object.keys(ITEM_TAGS).join('|')})\\b`, 'gi');
+
+function dayCount(n) {
+  return `${n} ${n === 1 ? 'day' : 'days'}`;
+}
+
+// Keys a wikilink to `data` may use: its basename and its front matter aliases.
+function nameKeys(data) {
+  const fileNode = data.nodes.find(n => n.type === 'file');
+  const names = [path.basename(data.relativePath, path.extname(data.relativePath)), ...(fileNode && fileNode.aliases ? fileNode.aliases : [])];
+  return names.map(conceptKey).filter(Boolean);
+}
+
+function daysBefore(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d - days)).toISOString().slice(0, 10);
+}
+
+// A source line as draft prose: no list marker, checkbox, heading hashes or
+// task/decision markers.
+function excerpt(line, max = 160) {
+  const text = String(line || '')
+    .replace(/^\s*(#{1,6}\s+|[-*+]\s+(\[[ xX]\]\s+)?|\d+[.)]\s+)/, '')
+    .replace(ITEM_TAG_RE, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Concepts and tags `data` mentions, keyed so spelling variants
+ * (`[[Monitor]]` / `[[monitors]]`) meet. Wikilinks naming a file in
+ * `fileKeys` and the task/decision marker tags are left out.
+ */
+function mentionsOf(data, fileKeys) {
+  const out = [];
+  for (const e of data.entities) {
+    if (e.kind === 'wikilink') {
+      const key = conceptKey(e.value);
+      if (key && !fileKeys.has(key)) out.push({ type: 'concept', key: `concept:${key}`, name: e.value, line: e.line });
+    } else if (e.kind === 'tag') {
+      const tag = e.value.toLowerCase();
+      if (!ITEM_TAGS[tag]) out.push({ type: 'tag', key: `tag:${tag}`, name: e.value, line: e.line });
+    }
+  }
+  return out;
+}
+
+/**
+ * Heading sections of `data` that hold no sub-headings, below the title
+ * level, with their exact text and the concept/tag keys they cover (their
+ * heading counts as a concept).
+ */
+function leafSections(data, fileKeys) {
+  const lines = data.content.split('\n');
+  const headings = data.entities.filter(e => e.kind === 'heading');
+  const mentions = mentionsOf(data, fileKeys);
+
+  return headings
+    .filter(h => h.level >= 2 && !headings.some(o => o.line > h.line && o.line <= h.endLine))
+    .map(h => {
+      const keys = new Set(mentions.filter(m => m.line >= h.line && m.line <= h.endLine).map(m => m.key));
+      const headingKey = conceptKey(h.value);
+      if (headingKey) keys.add(`concept:${headingKey}`);
+      const body = lines.slice(h.line, h.endLine);
+      let next = h.endLine; // index of the first line after the blank lines following the section
+      while (next < lines.length && !lines[next].trim()) next++;
+      return {
+        heading: h.value,
+        headingKey,
+        line: h.line,
+        endLine: h.endLine,
+        keys,
+        text: lines.slice(h.line - 1, h.endLine).join('\n'),
+        // With the blank lines after it, so removing it leaves one gap.
+        block: next < lines.length ? `${lines.slice(h.line - 1, next).join('\n')}\n` : lines.slice(h.line - 1, h.endLine).join('\n'),
+        body,
+        terms: new Set(tokenize(body.join('\n'))),
+      };
+    });
+}
+
+function overlap(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+function removal(section) {
+  return { op: 'replace', find: section.block, text: '' };
+}
+
+function promoteSuggestions(dailyLogs, indexKeys, { minDays, limit }) {
+  const seen = new Map(); // key -> { type, names, dates, examples }
+  for (const { data, date, mentions } of dailyLogs) {
+    const lines = data.content.split('\n');
+    for (const m of mentions) {
+      if (indexKeys.has(m.key)) continue;
+      if (!seen.has(m.key)) seen.set(m.key, { type: m.type, names: new Map(), dates: new Set(), examples: [] });
+      const entry = seen.get(m.key);
+      entry.names.set(m.name, (entry.names.get(m.name) || 0) + 1);
+      entry.dates.add(date);
+      entry.examples.push({ path: data.relativePath, line: m.line, date, text: excerpt(lines[m.line - 1]) });
+    }
+  }
+
+  return [...seen]
+    .filter(([, e]) => e.dates.size >= minDays)
+    .map(([key, e]) => {
+      const name = [...e.names].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+      const dates = [...e.dates].sort();
+      const first = dates[0];
+      const last = dates[dates.length - 1];
+      const examples = e.examples.sort((a, b) => b.date.localeCompare(a.date) || a.line - b.line).slice(0, MAX_EXAMPLES);
+      const mention = e.type === 'concept' ? `[[${name}]]` : `#${name}`;
+      const note = examples.find(x => x.text && x.text !== mention);
+      const line = !note ? mention : note.text.toLowerCase().includes(mention.toLowerCase()) ? note.text : `${mention}: ${note.text}`;
+      const draft = `- ${line} (seen on ${dayCount(dates.length)}, ${first} to ${last})`;
+      return {
+        id: `promote:${key}`,
+        kind: 'promote',
+        type: e.type,
+        name,
+        days: dates.length,
+        first,
+        last,
+        examples,
+        reason: `${mention} came up on ${dayCount(dates.length)} of daily logs but is not in the index file`,
+        edits: [{ op: 'append', section: PROMOTE_SECTION, text: draft }],
+      };
+    })
+    .sort((a, b) => b.days - a.days || b.last.localeCompare(a.last) || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+function staleSuggestions(sections, dailyLogs, { since, limit }) {
+  return sections
+    .filter(s => s.headingKey !== conceptKey(PROMOTE_SECTION))
+    .map(s => {
+      const dates = dailyLogs.filter(l => l.keys.has(`section:${s.headingKey}`) || [...s.keys].some(k => l.keys.has(k))).map(l => l.date);
+      return { section: s, lastReferenced: dates.length ? dates.sort()[dates.length - 1] : null };
+    })
+    .filter(({ lastReferenced }) => !lastReferenced || lastReferenced < since)
+    .slice(0, limit)
+    .map(({ section: s, lastReferenced }) => ({
+      id: `stale:${s.line}`,
+      kind: 'stale',
+      heading: s.heading,
+      line: s.line,
+      endLine: s.endLine,
+      lastReferenced,
+      reason: lastReferenced
+        ? `Last mentioned in a daily log on ${lastReferenced}`
+        : 'Nothing it covers is mentioned in any daily log',
+      edits: [removal(s)],
+    }));
+}
+
+function duplicateSuggestions(sections, { limit }) {
+  const out = [];
+  sections.forEach((later, j) => {
+    for (const first of sections.slice(0, j)) {
+      const sameHeading = Boolean(first.headingKey) && first.headingKey === later.headingKey;
+      const score = overlap(first.terms, later.terms);
+      const similar = score >= DUPLICATE_OVERLAP && Math.min(first.terms.size, later.terms.size) >= MIN_DUPLICATE_TERMS;
+      if (!sameHeading && !similar) continue;
+
+      // Lines only the later copy has move into the first one.
+      const known = new Set(first.body.map(l => l.trim()));
+      const extra = later.body.filter(l => l.trim() && !known.has(l.trim()));
+      const edits = [];
+      if (extra.length) {
+        const kept = first.text.trimEnd();
+        edits.push({ op: 'replace', find: kept, text: `${kept}\n${extra.join('\n')}` });
+      }
+      edits.push(removal(later));
+
+      out.push({
+        id: `duplicate:${later.line}`,
+        kind: 'duplicate',
+        heading: later.heading,
+        line: later.line,
+        endLine: later.endLine,
+        duplicateOf: { heading: first.heading, line: first.line, endLine: first.endLine },
+        overlap: Math.round(score * 1000) / 1000,
+        reason: sameHeading
+          ? `Same heading as line ${first.line}${extra.length ? `; ${extra.length} line(s) merge into it` : ''}`
+          : `${Math.round(score * 100)}% of its terms repeat the section at line ${first.line}`,
+        edits,
+      });
+      break;
+    }
+  });
+  return out.slice(0, limit);
+}
+
+/**
+ * Suggestions for keeping the index file (`MEMORY.md`) the durable summary
+ * of the daily logs, from parsed files (see parseContent):
+ *
+ * - promote: concepts and tags mentioned on at least `minDays` days of daily
+ *   logs that the index file never mentions;
+ * - stale: index sections none of whose concepts, tags or heading a daily
+ *   log mentioned in the `staleDays` before the latest log (or `today`, if
+ *   earlier), so a pause in logging doesn't make everything stale;
+ * - duplicate: index sections repeating an earlier one's heading or most of
+ *   its terms.
+ *
+ * Each comes with draft `edits` for the index file: `{ op: 'append',
+ * section, text }` adds a line under the `section` heading (created at the
+ * end when missing), `{ op: 'replace', find, text }` replaces the first
+ * occurrence of `find`. Nothing is written; the editor applies them.
+ */
+function suggestConsolidation(files, { indexFile = 'MEMORY.md', minDays = 3, staleDays = 90, limit = 50, today = localDate() } = {}) {
+  const fileKeys = new Set(files.flatMap(nameKeys));
+  const index = files.find(f => toPosix(f.relativePath) === toPosix(indexFile));
+  const indexNames = new Set(index ? nameKeys(index) : [conceptKey(path.basename(indexFile, path.extname(indexFile)))]);
+
+  const dailyLogs = files
+    .filter(f => dailyLogDate(f.relativePath))
+    .map(data => {
+      const mentions = mentionsOf(data, fileKeys);
+      const keys = new Set(mentions.map(m => m.key));
+      // [[MEMORY#Heading]] points straight at an index section.
+      for (const e of data.entities) {
+        if (e.kind === 'wikilink' && e.heading && indexNames.has(conceptKey(e.value))) keys.add(`section:${conceptKey(e.heading)}`);
+      }
+      return { data, date: dailyLogDate(data.relativePath), mentions, keys };
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const sections = index ? leafSections(index, fileKeys) : [];
+  const indexKeys = new Set(index ? mentionsOf(index, fileKeys).map(m => m.key) : []);
+  for (const e of index ? index.entities : []) {
+    if (e.kind === 'heading' && conceptKey(e.value)) indexKeys.add(`concept:${conceptKey(e.value)}`);
+  }
+
+  const latest = dailyLogs.length ? dailyLogs[dailyLogs.length - 1].date : null;
+  const since = latest ? daysBefore(latest < today ? latest : today, staleDays) : null;
+
+  return {
+    indexFile,
+    exists: Boolean(index),
+    dailyLogs: dailyLogs.length,
+    latest,
+    since,
+    promote: promoteSuggestions(dailyLogs, indexKeys, { minDays, limit }),
+    // Without daily logs there is nothing to call a section stale against.
+    stale: latest ? staleSuggestions(sections, dailyLogs, { since, limit }) : [],
+    duplicates: duplicateSuggestions(sections, { limit }),
+  };
+}
+
+module.exports = {
+  suggestConsolidation,
+};
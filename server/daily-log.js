@@ -0,0 +1,68 @@
+const fs = require('fs');
+
+// memory-signal SKILL.md: every entry of a daily log is a `##` event.
+const DEFAULT_TEMPLATE = `## {{title}}
+
+{{body}}
+`;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Today's date (server local time) as YYYY-MM-DD.
+ */
+function localDate(now = new Date()) {
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+function defaultTitle(now = new Date()) {
+  return `Entry ${pad(now.getHours())}:${pad(now.getMinutes())}`;
+}
+
+/**
+ * Event fields with defaults; titles are single-line since they are headings.
+ */
+function normalizeEntry({ title, body } = {}) {
+  return {
+    title: String(title || '').replace(/\s+/g, ' ').trim() || defaultTitle(),
+    body: String(body || '').replace(/\s+$/, '') || '- ',
+  };
+}
+
+/**
+ * Content of a new daily log and the 1-based line of its event heading.
+ * `{{date}}`, `{{title}}` and `{{body}}` in the template are filled in;
+ * `templatePath` overrides the built-in template.
+ */
+function renderDailyLog({ date, title, body, templatePath = null }) {
+  const template = templatePath ? fs.readFileSync(templatePath, 'utf8') : DEFAULT_TEMPLATE;
+  const entry = normalizeEntry({ title, body });
+  const values = { date, ...entry };
+  const content = template.replace(/\{\{(date|title|body)\}\}/g, (m, key) => values[key]);
+
+  const line = content.split('\n').findIndex(l => l.trim() === `## ${entry.title}`) + 1;
+  return { content, line: line || 1 };
+}
+
+/**
+ * Appends a `##` event to an existing log. Returns the new content and the
+ * 1-based line of the added heading.
+ */
+function appendEvent(content, { title, body }) {
+  const entry = normalizeEntry({ title, body });
+  const base = content.replace(/\s+$/, '');
+  const prefix = base ? `${base}\n\n` : '';
+  const line = prefix ? prefix.split('\n').length : 1;
+  return {
+    content: `${prefix}## ${entry.title}\n\n${entry.body}\n`,
+    line,
+  };
+}
+
+module.exports = {
+  localDate,
+  renderDailyLog,
+  appendEvent,
+};
@@ -0,0 +1,217 @@
+const { endpointId } = require('./util');
+
+// Attributes written for every format, in column order.
+const NODE_ATTRS = [
+  { name: 'type', type: 'string' },
+  { name: 'label', type: 'string' },
+  { name: 'path', type: 'string' },
+  { name: 'root', type: 'string' },
+  { name: 'date', type: 'string' },
+  { name: 'source', type: 'string' },
+  { name: 'level', type: 'int' },
+  { name: 'line', type: 'int' },
+  { name: 'endLine', type: 'int' },
+];
+
+const EDGE_ATTRS = [
+  { name: 'type', type: 'string' },
+  { name: 'weight', type: 'double' },
+  { name: 'score', type: 'double' },
+  { name: 'via', type: 'string' },
+  { name: 'reason', type: 'string' },
+  { name: 'alias', type: 'string' },
+  { name: 'line', type: 'int' },
+  { name: 'column', type: 'int' },
+];
+
+function nodeLabel(n) {
+  return n.labelFull || n.label || n.id;
+}
+
+// A node's attribute values, with its full display label as `label`.
+function nodeValues(n) {
+  return { ...n, label: nodeLabel(n) };
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab/newline are not allowed in XML 1.0.
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function present(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function toGraphML(graph) {
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+  ];
+  for (const a of NODE_ATTRS) out.push(`  <key id="n_${a.name}" for="node" attr.name="${a.name}" attr.type="${a.type}"/>`);
+  for (const a of EDGE_ATTRS) out.push(`  <key id="e_${a.name}" for="edge" attr.name="${a.name}" attr.type="${a.type}"/>`);
+  out.push('  <graph id="memory" edgedefault="directed">');
+
+  for (const n of graph.nodes) {
+    const values = nodeValues(n);
+    out.push(`    <node id="${xmlEscape(n.id)}">`);
+    for (const a of NODE_ATTRS) {
+      if (present(values[a.name])) out.push(`      <data key="n_${a.name}">${xmlEscape(values[a.name])}</data>`);
+    }
+    out.push('    </node>');
+  }
+
+  graph.links.forEach((l, i) => {
+    out.push(`    <edge id="e${i}" source="${xmlEscape(endpointId(l.source))}" target="${xmlEscape(endpointId(l.target))}">`);
+    for (const a of EDGE_ATTRS) {
+      if (present(l[a.name])) out.push(`      <data key="e_${a.name}">${xmlEscape(l[a.name])}</data>`);
+    }
+    out.push('    </edge>');
+  });
+
+  out.push('  </graph>', '</graphml>', '');
+  return out.join('\n');
+}
+
+const GEXF_TYPES = { string: 'string', int: 'integer', double: 'double' };
+
+function gexfAttributes(attrs, values, indent) {
+  const set = attrs.filter(a => present(values[a.name]));
+  if (!set.length) return [];
+  return [
+    `${indent}<attvalues>`,
+    ...set.map(a => `${indent}  <attvalue for="${a.name}" value="${xmlEscape(values[a.name])}"/>`),
+    `${indent}</attvalues>`,
+  ];
+}
+
+function toGEXF(graph, { now = new Date() } = {}) {
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta lastmodifieddate="${now.toISOString().slice(0, 10)}">`,
+    '    <creator>openclaw-memory-visualizer</creator>',
+    '  </meta>',
+    '  <graph defaultedgetype="directed" mode="static">',
+    '    <attributes class="node">',
+    ...NODE_ATTRS.filter(a => a.name !== 'label').map(a => `      <attribute id="${a.name}" title="${a.name}" type="${GEXF_TYPES[a.type]}"/>`),
+    '    </attributes>',
+    '    <attributes class="edge">',
+    ...EDGE_ATTRS.map(a => `      <attribute id="${a.name}" title="${a.name}" type="${GEXF_TYPES[a.type]}"/>`),
+    '    </attributes>',
+    '    <nodes>',
+  ];
+
+  const nodeAttrs = NODE_ATTRS.filter(a => a.name !== 'label');
+  for (const n of graph.nodes) {
+    out.push(`      <node id="${xmlEscape(n.id)}" label="${xmlEscape(nodeLabel(n))}">`);
+    out.push(...gexfAttributes(nodeAttrs, n, '        '));
+    out.push('      </node>');
+  }
+  out.push('    </nodes>', '    <edges>');
+
+  graph.links.forEach((l, i) => {
+    // Gephi sizes edges by the native weight; similarity links only have a score.
+    const weight = typeof l.weight === 'number' ? l.weight : (typeof l.score === 'number' ? l.score : 1);
+    out.push(`      <edge id="e${i}" source="${xmlEscape(endpointId(l.source))}" target="${xmlEscape(endpointId(l.target))}" label="${xmlEscape(l.type)}" weight="${weight}">`);
+    out.push(...gexfAttributes(EDGE_ATTRS, l, '        '));
+    out.push('      </edge>');
+  });
+
+  out.push('    </edges>', '  </graph>', '</gexf>', '');
+  return out.join('\n');
+}
+
+function pick(obj, attrs) {
+  const out = {};
+  for (const a of attrs) if (present(obj[a.name])) out[a.name] = obj[a.name];
+  return out;
+}
+
+function toCytoscape(graph) {
+  return `${JSON.stringify({
+    elements: {
+      nodes: graph.nodes.map(n => ({ data: { id: n.id, ...pick(nodeValues(n), NODE_ATTRS) } })),
+      edges: graph.links.map((l, i) => ({
+        data: { id: `e${i}`, source: endpointId(l.source), target: endpointId(l.target), ...pick(l, EDGE_ATTRS) },
+      })),
+    },
+  }, null, 2)}\n`;
+}
+
+function dotQuote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+}
+
+function dotAttrs(values, attrs) {
+  const parts = attrs
+    .filter(a => present(values[a.name]))
+    .map(a => `${a.name}=${a.type === 'string' ? dotQuote(values[a.name]) : values[a.name]}`);
+  return parts.length ? ` [${parts.join(', ')}]` : '';
+}
+
+function toDOT(graph) {
+  const out = ['digraph memory {'];
+  for (const n of graph.nodes) out.push(`  ${dotQuote(n.id)}${dotAttrs(nodeValues(n), NODE_ATTRS)};`);
+  for (const l of graph.links) {
+    out.push(`  ${dotQuote(endpointId(l.source))} -> ${dotQuote(endpointId(l.target))}${dotAttrs(l, EDGE_ATTRS)};`);
+  }
+  out.push('}', '');
+  return out.join('\n');
+}
+
+function csvCell(value) {
+  if (!present(value)) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCSV(header, rows) {
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function toNodesCSV(graph) {
+  const attrs = NODE_ATTRS.map(a => a.name);
+  return toCSV(['id', ...attrs], graph.nodes.map(n => {
+    const values = nodeValues(n);
+    return [n.id, ...attrs.map(a => values[a])];
+  }));
+}
+
+function toEdgesCSV(graph) {
+  const attrs = EDGE_ATTRS.map(a => a.name);
+  return toCSV(['source', 'target', ...attrs], graph.links.map(l => [endpointId(l.source), endpointId(l.target), ...attrs.map(a => l[a])]));
+}
+
+const FORMATS = {
+  graphml: { extension: 'graphml', contentType: 'application/graphml+xml', write: toGraphML },
+  gexf: { extension: 'gexf', contentType: 'application/gexf+xml', write: toGEXF },
+  cytoscape: { extension: 'cyjs', contentType: 'application/json', write: toCytoscape },
+  dot: { extension: 'dot', contentType: 'text/vnd.graphviz', write: toDOT },
+  'csv-nodes': { extension: 'nodes.csv', contentType: 'text/csv', write: toNodesCSV },
+  'csv-edges': { extension: 'edges.csv', contentType: 'text/csv', write: toEdgesCSV },
+};
+
+/**
+ * Serialises a graph ({ nodes, links }) to one of FORMATS. Nodes keep their
+ * type, label, path, root, date and line range; edges their type, weight,
+ * score, via, alias and position. Returns { body, contentType, extension }.
+ */
+function exportGraph(graph, format) {
+  const f = FORMATS[format];
+  if (!f) {
+    const err = new Error(`Unknown format "${format}" (expected ${Object.keys(FORMATS).join(', ')})`);
+    err.status = 400;
+    throw err;
+  }
+  return { body: f.write(graph), contentType: f.contentType, extension: f.extension };
+}
+
+module.exports = {
+  FORMATS,
+  exportGraph,
+};
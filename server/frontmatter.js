@@ -0,0 +1,84 @@
+const yaml = require('js-yaml');
+
+const OPEN_RE = /^---[ \t]*\r?\n/;
+const CLOSE_RE = /^(?:---|\.\.\.)[ \t]*$/;
+
+/**
+ * Splits a leading YAML front matter block off a markdown document.
+ *
+ * Returns the parsed `data` (an object; empty when there is no block or it
+ * is not a mapping), the markdown `body` and `bodyLine`, the number of lines
+ * the block occupies so body positions can be shifted back to file lines.
+ * A block that fails to parse is reported through `error` and its keys are
+ * ignored, but it is still kept out of the body.
+ *
+ * Values are loaded with the core schema, so `created: 2026-03-01` stays a
+ * string instead of becoming a Date.
+ */
+function splitFrontMatter(content) {
+  const src = String(content || '');
+  const none = { data: {}, raw: '', body: src, bodyLine: 0, lines: [], error: null };
+  if (!OPEN_RE.test(src)) return none;
+
+  const lines = src.split('\n');
+  let close = -1;
+  for (let i = 1; i < lines.length; i++) {
+    if (CLOSE_RE.test(lines[i].replace(/\r$/, ''))) {
+      close = i;
+      break;
+    }
+  }
+  if (close === -1) return none;
+
+  const raw = lines.slice(1, close).join('\n');
+  const body = lines.slice(close + 1).join('\n');
+  const fmLines = lines.slice(0, close + 1);
+
+  let data = {};
+  let error = null;
+  try {
+    const loaded = yaml.load(raw, { schema: yaml.CORE_SCHEMA });
+    if (loaded && typeof loaded === 'object' && !Array.isArray(loaded)) data = loaded;
+    else if (loaded != null) error = 'Front matter is not a key/value mapping';
+  } catch (err) {
+    error = err.reason || err.message;
+  }
+
+  return { data, raw, body, bodyLine: close + 1, lines: fmLines, error };
+}
+
+/**
+ * Normalises a front matter field that may be a list, a comma-separated
+ * string or a single scalar into a list of trimmed strings.
+ */
+function listField(value) {
+  if (value == null) return [];
+  // `related: [[Foo]]` unquoted is a nested YAML list, hence the flat().
+  const items = Array.isArray(value) ? value.flat(Infinity) : String(value).split(',');
+  return items
+    .filter(v => v != null && typeof v !== 'object')
+    .map(v => String(v).trim())
+    .filter(Boolean);
+}
+
+/**
+ * 1-based line of a front matter value: the list item or `key:` line
+ * mentioning it, else the key's own line.
+ */
+function frontMatterLine(fmLines, key, value) {
+  const keyRe = new RegExp(`^${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*:`);
+  const keyIndex = fmLines.findIndex(l => keyRe.test(l));
+  if (keyIndex === -1) return 1;
+
+  for (let i = keyIndex; i < fmLines.length; i++) {
+    if (i > keyIndex && /^\S/.test(fmLines[i])) break; // next key
+    if (value && fmLines[i].includes(value)) return i + 1;
+  }
+  return keyIndex + 1;
+}
+
+module.exports = {
+  splitFrontMatter,
+  listField,
+  frontMatterLine,
+};
@@ -0,0 +1,138 @@
+const { endpointId } = require('./util');
+
+/**
+ * Stable identity for every link in a graph.
+ *
+ * Links have no id of their own, and a file may carry several identical links
+ * (one per mention), so the nth duplicate gets a `#n` suffix. The browser
+ * computes the same keys from /api/graph to apply diffs.
+ */
+function keyLinks(links) {
+  const seen = new Map();
+  return links.map((l) => {
+    const base = `${endpointId(l.source)}|${endpointId(l.target)}|${l.type}|${l.via || ''}`;
+    const n = seen.get(base) || 0;
+    seen.set(base, n + 1);
+    return { key: `${base}#${n}`, link: l };
+  });
+}
+
+function sameNode(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function sameLink(a, b) {
+  return a.weight === b.weight && a.score === b.score && a.reason === b.reason;
+}
+
+/**
+ * Computes what changed between two buildGraph results.
+ *
+ * Returns added/changed nodes and links in full, removed ones by id/key.
+ */
+function diffGraphs(prev, next) {
+  const before = prev || { nodes: [], links: [] };
+  const after = next || { nodes: [], links: [] };
+
+  const nodes = { added: [], removed: [], changed: [] };
+  const prevNodes = new Map(before.nodes.map(n => [n.id, n]));
+  const nextIds = new Set();
+
+  for (const n of after.nodes) {
+    nextIds.add(n.id);
+    const old = prevNodes.get(n.id);
+    if (!old) nodes.added.push(n);
+    else if (!sameNode(old, n)) nodes.changed.push(n);
+  }
+  for (const id of prevNodes.keys()) {
+    if (!nextIds.has(id)) nodes.removed.push(id);
+  }
+
+  const links = { added: [], removed: [], changed: [] };
+  const prevLinks = new Map(keyLinks(before.links).map(e => [e.key, e.link]));
+  const nextKeys = new Set();
+
+  for (const { key, link } of keyLinks(after.links)) {
+    nextKeys.add(key);
+    const old = prevLinks.get(key);
+    if (!old) links.added.push({ ...link, key });
+    else if (!sameLink(old, link)) links.changed.push({ ...link, key });
+  }
+  for (const key of prevLinks.keys()) {
+    if (!nextKeys.has(key)) links.removed.push(key);
+  }
+
+  return { nodes, links };
+}
+
+function nodeLabel(n) {
+  return n.labelFull || n.label || n.id;
+}
+
+/**
+ * Lays two graphs over each other for display: every node and link of
+ * `next` plus the ones only `prev` had, each marked with `diff` ('added',
+ * 'removed' or 'changed'; unmarked when unchanged). `summary` counts the
+ * changes and lists the concepts that appeared or vanished and the files
+ * that were added, removed, grew or shrank (by `size`).
+ */
+function compareGraphs(prev, next) {
+  const before = prev || { nodes: [], links: [] };
+  const after = next || { nodes: [], links: [] };
+  const diff = diffGraphs(before, after);
+
+  const status = new Map([
+    ...diff.nodes.added.map(n => [n.id, 'added']),
+    ...diff.nodes.changed.map(n => [n.id, 'changed']),
+    ...diff.nodes.removed.map(id => [id, 'removed']),
+  ]);
+  const linkStatus = new Map([
+    ...diff.links.added.map(l => [l.key, 'added']),
+    ...diff.links.changed.map(l => [l.key, 'changed']),
+    ...diff.links.removed.map(key => [key, 'removed']),
+  ]);
+
+  const mark = (item, s) => (s ? { ...item, diff: s } : item);
+  const removedNodes = new Set(diff.nodes.removed);
+  const nodes = [
+    ...after.nodes.map(n => mark(n, status.get(n.id))),
+    ...before.nodes.filter(n => removedNodes.has(n.id)).map(n => mark(n, 'removed')),
+  ];
+  const removedLinks = new Set(diff.links.removed);
+  const links = [
+    ...keyLinks(after.links).map(({ key, link }) => mark(link, linkStatus.get(key))),
+    ...keyLinks(before.links).filter(({ key }) => removedLinks.has(key)).map(({ link }) => mark(link, 'removed')),
+  ];
+
+  const prevById = new Map(before.nodes.map(n => [n.id, n]));
+  const ofType = (list, type) => list.filter(n => n.type === type);
+  const removedList = before.nodes.filter(n => removedNodes.has(n.id));
+  const sized = diff.nodes.changed
+    .filter(n => n.type === 'file' && typeof n.size === 'number' && typeof (prevById.get(n.id) || {}).size === 'number')
+    .map(n => ({ path: n.path, from: prevById.get(n.id).size, to: n.size }))
+    .filter(f => f.from !== f.to)
+    .sort((a, b) => Math.abs(b.to - b.from) - Math.abs(a.to - a.from));
+
+  const summary = {
+    nodes: { added: diff.nodes.added.length, removed: diff.nodes.removed.length, changed: diff.nodes.changed.length },
+    links: { added: diff.links.added.length, removed: diff.links.removed.length, changed: diff.links.changed.length },
+    concepts: {
+      added: ofType(diff.nodes.added, 'concept').map(n => ({ id: n.id, label: nodeLabel(n) })),
+      removed: ofType(removedList, 'concept').map(n => ({ id: n.id, label: nodeLabel(n) })),
+    },
+    files: {
+      added: ofType(diff.nodes.added, 'file').map(n => n.path),
+      removed: ofType(removedList, 'file').map(n => n.path),
+      grew: sized.filter(f => f.to > f.from),
+      shrank: sized.filter(f => f.to < f.from),
+    },
+  };
+
+  return { nodes, links, summary };
+}
+
+module.exports = {
+  keyLinks,
+  diffGraphs,
+  compareGraphs,
+};
@@ -0,0 +1,434 @@
+const path = require('path');
+const { createSimilarityIndex } = require('./similarity');
+
+// Daily logs are usually memory/YYYY-MM-DD.md
+const DAILY_LOG_RE = /^\d{4}-\d{2}-\d{2}\.md$/;
+
+function stemOf(base) {
+  return base.toLowerCase().endsWith('.md') ? base.slice(0, -3) : base;
+}
+
+// Ids may contain any character, so the ordered pair is JSON-encoded.
+function pairKey(a, b) {
+  return JSON.stringify(a < b ? [a, b] : [b, a]);
+}
+
+function countShared(A, B) {
+  let shared = 0;
+  const [small, big] = A.size <= B.size ? [A, B] : [B, A];
+  for (const t of small) if (big.has(t)) shared++;
+  return shared;
+}
+
+/**
+ * Keys under which a file can be found by a reference: its relative path,
+ * its basename and its extension-less stem.
+ */
+function fileKeys(relativePath) {
+  const base = path.basename(relativePath);
+  return [relativePath, base, `stem:${stemOf(base)}`];
+}
+
+function aliasKey(name) {
+  return `alias:${String(name).trim().toLowerCase()}`;
+}
+
+// Front matter `aliases` of a parsed file, as lookup keys.
+function aliasKeys(data) {
+  const fileNode = data.nodes.find(n => n.id === `file:${data.relativePath}`);
+  return (fileNode && fileNode.aliases ? fileNode.aliases : []).map(aliasKey);
+}
+
+/**
+ * Normalises the raw fileRefs of a parsed file into lookup candidates.
+ * Each entry lists the keys tried, in order, when resolving the reference.
+ */
+function refCandidates(data) {
+  const out = [];
+  const fromDir = path.dirname(data.relativePath);
+
+  for (const rawRef of (data.fileRefs || [])) {
+    // parseContent emits { target, kind, line, column }; plain strings are accepted too.
+    const meta = rawRef && typeof rawRef === 'object' ? rawRef : { target: rawRef };
+    const ref = String(meta.target).trim();
+    if (!ref) continue;
+    if (/^(https?:|mailto:|tel:|data:)/i.test(ref)) continue;
+
+    // Strip fragments and query; a fragment may still name a heading
+    const noFrag = ref.split('#')[0].split('?')[0].trim();
+    if (!noFrag) continue;
+    const fragment = ref.includes('#') ? ref.slice(ref.indexOf('#') + 1).trim() : '';
+
+    // Attempt to resolve relative to current file's directory
+    const normalized = path.normalize(path.join(fromDir, noFrag)).replace(/^\.\//, '');
+
+    out.push({
+      keys: [normalized, noFrag, path.basename(noFrag)],
+      // If link is like (MEMORY) without extension, try stem match
+      stem: `stem:${stemOf(path.basename(noFrag))}`,
+      // Last resort: a front matter alias of some file
+      alias: aliasKey(noFrag),
+      fragment,
+      ref: { target: ref, kind: meta.kind || 'link', line: meta.line || null, column: meta.column || null },
+    });
+  }
+
+  return out;
+}
+
+/**
+ * Incrementally maintained graph over parsed memory files.
+ *
+ * Holds the parseFile result for every file and the derived file<->file links
+ * (`ref`, `related`, `timeline`). Upserting or removing a file only recomputes
+ * the links that involve that file, instead of the full O(n²) rebuild.
+ *
+ * `similarity` configures the text-similarity links (see similarity.js).
+ */
+function createGraphIndex({ similarity: similarityOptions } = {}) {
+  const similarity = createSimilarityIndex(similarityOptions);
+  const files = new Map(); // relativePath -> parsed data
+  const fileTokens = new Map(); // fileId -> Set(tokenId)
+
+  // Lookup of known files for file->file linking
+  const filePathToId = new Map();
+  const fileBasenameToIds = new Map(); // basename -> Set(fileId)
+  const fileStemToIds = new Map(); // stem key -> Set(fileId)
+  const fileAliasToIds = new Map(); // alias key -> Set(fileId)
+  const fileAliases = new Map(); // relativePath -> alias keys it registered
+
+  const refs = new Map(); // relativePath -> { candidates, links }
+  const refKeyToFiles = new Map(); // lookup key -> Set(relativePath) referencing it
+  const staleRefs = new Set(); // relativePath whose refs need resolving
+
+  const tagPairs = new Map(); // pairKey -> { source, target, weight }
+  const pairsByFile = new Map(); // fileId -> Set(pairKey)
+
+  let cachedGraph = null;
+
+  function addToSetMap(map, key, value) {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(value);
+  }
+
+  function deleteFromSetMap(map, key, value) {
+    const set = map.get(key);
+    if (!set) return;
+    set.delete(value);
+    if (!set.size) map.delete(key);
+  }
+
+  function firstOf(set) {
+    if (!set || !set.size) return null;
+    return [...set].sort()[0];
+  }
+
+  function lookup(key) {
+    if (filePathToId.has(key)) return filePathToId.get(key);
+    return firstOf(fileBasenameToIds.get(key));
+  }
+
+  function registerFile(relativePath) {
+    const fileId = `file:${relativePath}`;
+    const [p, base, stem] = fileKeys(relativePath);
+    filePathToId.set(p, fileId);
+    addToSetMap(fileBasenameToIds, base, fileId);
+    addToSetMap(fileStemToIds, stem, fileId);
+
+    const aliases = aliasKeys(files.get(relativePath));
+    for (const key of aliases) addToSetMap(fileAliasToIds, key, fileId);
+    fileAliases.set(relativePath, aliases);
+  }
+
+  function unregisterFile(relativePath) {
+    const fileId = `file:${relativePath}`;
+    const [p, base, stem] = fileKeys(relativePath);
+    filePathToId.delete(p);
+    deleteFromSetMap(fileBasenameToIds, base, fileId);
+    deleteFromSetMap(fileStemToIds, stem, fileId);
+
+    for (const key of fileAliases.get(relativePath) || []) deleteFromSetMap(fileAliasToIds, key, fileId);
+    fileAliases.delete(relativePath);
+  }
+
+  // Any file whose references could resolve to (or away from) this path.
+  function markDependentsStale(relativePath) {
+    for (const key of [...fileKeys(relativePath), ...(fileAliases.get(relativePath) || [])]) {
+      const dependents = refKeyToFiles.get(key);
+      if (!dependents) continue;
+      for (const dep of dependents) staleRefs.add(dep);
+    }
+  }
+
+  function dropRefs(relativePath) {
+    const entry = refs.get(relativePath);
+    if (!entry) return;
+    for (const c of entry.candidates) {
+      for (const key of [...c.keys, c.stem, c.alias]) deleteFromSetMap(refKeyToFiles, key, relativePath);
+    }
+    refs.delete(relativePath);
+  }
+
+  /**
+   * The file a candidate names (`fileId`) and the node it lands on
+   * (`targetId`): the file itself, or for `File#Heading` the heading's event
+   * node when it exists (`missingHeading` otherwise).
+   */
+  function resolveCandidate(c) {
+    let fileId = null;
+    for (const key of c.keys) {
+      fileId = lookup(key);
+      if (fileId) break;
+    }
+    if (!fileId) fileId = firstOf(fileStemToIds.get(c.stem));
+    if (!fileId) fileId = firstOf(fileAliasToIds.get(c.alias));
+    if (!fileId || !c.fragment) return { fileId, targetId: fileId, missingHeading: false };
+
+    // [[File#Heading]] lands on the heading's event node when it exists
+    const target = files.get(fileId.slice('file:'.length));
+    const eventId = `event:${target.relativePath}#${c.fragment}`;
+    const exists = target.nodes.some(n => n.id === eventId);
+    return { fileId, targetId: exists ? eventId : fileId, missingHeading: !exists };
+  }
+
+  function resolveRefs(relativePath) {
+    const data = files.get(relativePath);
+    const entry = refs.get(relativePath);
+    if (!data || !entry) return;
+
+    const sourceFileId = `file:${relativePath}`;
+    const links = [];
+    const unresolved = [];
+
+    for (const c of entry.candidates) {
+      const { fileId, targetId, missingHeading } = resolveCandidate(c);
+      if (missingHeading) unresolved.push({ ...c.ref, reason: 'heading', resolved: fileId });
+      if (!fileId) unresolved.push({ ...c.ref, reason: 'file' });
+
+      if (targetId && targetId !== sourceFileId) {
+        links.push({ source: sourceFileId, target: targetId, type: 'ref' });
+      }
+    }
+
+    entry.links = links;
+    entry.unresolved = unresolved;
+  }
+
+  function resolveStale() {
+    for (const relativePath of staleRefs) resolveRefs(relativePath);
+    staleRefs.clear();
+  }
+
+  function setPair(a, b, weight) {
+    const key = pairKey(a, b);
+    const [source, target] = a < b ? [a, b] : [b, a];
+    tagPairs.set(key, { source, target, weight });
+    addToSetMap(pairsByFile, a, key);
+    addToSetMap(pairsByFile, b, key);
+  }
+
+  function dropPairs(fileId) {
+    const keys = pairsByFile.get(fileId);
+    if (!keys) return;
+    for (const key of keys) {
+      const { source, target } = tagPairs.get(key);
+      tagPairs.delete(key);
+      deleteFromSetMap(pairsByFile, source === fileId ? target : source, key);
+    }
+    pairsByFile.delete(fileId);
+  }
+
+  // Derived file<->file links based on shared concepts/tags. This makes file
+  // connectivity visible even when there are no explicit hyperlinks; text
+  // similarity is left to the similarity index.
+  function computePairs(relativePath) {
+    const fileId = `file:${relativePath}`;
+
+    const A = fileTokens.get(fileId);
+    if (A && A.size) {
+      for (const [otherId, B] of fileTokens) {
+        if (otherId === fileId) continue;
+        const shared = countShared(A, B);
+        if (shared > 0) setPair(fileId, otherId, shared);
+      }
+    }
+  }
+
+  /**
+   * Removes a file and every link derived from it.
+   */
+  function remove(relativePath) {
+    if (!files.has(relativePath)) return false;
+    const fileId = `file:${relativePath}`;
+
+    dropPairs(fileId);
+    similarity.removeFile(fileId);
+    dropRefs(relativePath);
+    staleRefs.delete(relativePath);
+    fileTokens.delete(fileId);
+    files.delete(relativePath);
+    markDependentsStale(relativePath);
+    unregisterFile(relativePath);
+
+    cachedGraph = null;
+    return true;
+  }
+
+  /**
+   * Adds or replaces a file with a fresh parseFile result.
+   */
+  function upsert(data) {
+    const relativePath = data.relativePath;
+    const isNew = !files.has(relativePath);
+    if (!isNew) {
+      dropPairs(`file:${relativePath}`);
+      dropRefs(relativePath);
+      // Aliases may have changed: files that resolved through the old ones re-resolve.
+      markDependentsStale(relativePath);
+      unregisterFile(relativePath);
+    }
+
+    files.set(relativePath, data);
+
+    const fileId = `file:${relativePath}`;
+    const tokens = new Set();
+    for (const l of data.links) {
+      if (String(l.source || '') !== fileId) continue;
+      const tgt = String(l.target);
+      if (tgt.startsWith('concept:') || tgt.startsWith('tag:')) tokens.add(tgt);
+    }
+    fileTokens.set(fileId, tokens);
+
+    const candidates = refCandidates(data);
+    refs.set(relativePath, { candidates, links: [], unresolved: [] });
+    for (const c of candidates) {
+      for (const key of [...c.keys, c.stem, c.alias]) addToSetMap(refKeyToFiles, key, relativePath);
+    }
+    staleRefs.add(relativePath);
+
+    registerFile(relativePath);
+    // Even an existing file may have gained or lost headings that refs point at.
+    markDependentsStale(relativePath);
+
+    computePairs(relativePath);
+    similarity.setDocuments(fileId, data.documents);
+
+    cachedGraph = null;
+  }
+
+  function has(relativePath) {
+    return files.has(relativePath);
+  }
+
+  function get(relativePath) {
+    return files.get(relativePath) || null;
+  }
+
+  function paths() {
+    return [...files.keys()].sort();
+  }
+
+  /**
+   * Brings the similarity links up to date, including embeddings from an
+   * asynchronous embedding module. Call before toGraph when one is configured.
+   */
+  async function prepare() {
+    if (await similarity.prepare()) cachedGraph = null;
+  }
+
+  /**
+   * Assembles the current graph. The result is cached until the next change.
+   */
+  function toGraph() {
+    if (cachedGraph) return cachedGraph;
+
+    resolveStale();
+
+    const nodeMap = new Map();
+    const links = [];
+    const ordered = paths().map(p => files.get(p));
+
+    for (const data of ordered) {
+      for (const node of data.nodes) {
+        // Deduplicate nodes (concepts and tags may appear in many files)
+        if (!nodeMap.has(node.id)) {
+          nodeMap.set(node.id, node);
+        }
+      }
+      links.push(...data.links);
+    }
+
+    for (const data of ordered) {
+      const entry = refs.get(data.relativePath);
+      if (entry) links.push(...entry.links);
+    }
+
+    for (const { source, target, weight } of tagPairs.values()) {
+      links.push({ source, target, type: 'related', weight, via: 'tags' });
+    }
+
+    // Only the strongest similarity links, to avoid hairballs
+    for (const l of similarity.links()) links.push({ ...l });
+
+    // Timeline links between daily logs
+    const dailyLogs = [...nodeMap.values()]
+      .filter((n) =>
+        n.type === 'file' && DAILY_LOG_RE.test(path.basename(String(n.path)))
+      )
+      .sort((a, b) => String(a.label).localeCompare(String(b.label)));
+
+    for (let i = 0; i < dailyLogs.length - 1; i++) {
+      links.push({
+        source: dailyLogs[i].id,
+        target: dailyLogs[i + 1].id,
+        type: 'timeline',
+      });
+    }
+
+    cachedGraph = {
+      nodes: Array.from(nodeMap.values()),
+      links,
+    };
+    return cachedGraph;
+  }
+
+  /**
+   * The node a reference written in `relativePath` lands on (a file or
+   * `File#Heading` event id), or null. Same rules as the `ref` links.
+   */
+  function resolveRef(relativePath, target) {
+    const [c] = refCandidates({ relativePath, fileRefs: [{ target }] });
+    return c ? resolveCandidate(c).targetId : null;
+  }
+
+  /**
+   * References that matched no file (`reason: 'file'`), or matched a file
+   * but not the `#Heading` they name (`reason: 'heading'`), by source path.
+   */
+  function unresolvedRefs() {
+    resolveStale();
+    const out = [];
+    for (const relativePath of paths()) {
+      const entry = refs.get(relativePath);
+      if (!entry) continue;
+      for (const u of entry.unresolved) out.push({ path: relativePath, ...u });
+    }
+    return out;
+  }
+
+  return {
+    upsert,
+    remove,
+    has,
+    get,
+    paths,
+    prepare,
+    toGraph,
+    resolveRef,
+    unresolvedRefs,
+  };
+}
+
+module.exports = {
+  createGraphIndex,
+};
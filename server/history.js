@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const glob = require('fast-glob');
+const { createTwoFilesPatch } = require('diff');
+const { toPosix } = require('./util');
+
+// `<file>.bak-<ms>` is written before an edit, `<file>.del-<ms>` before a delete.
+const BACKUP_RE = /^(.*)\.(bak|del)-(\d+)$/;
+const KINDS = { bak: 'edit', del: 'delete' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Backups of memory files, kept next to the originals.
+ *
+ * Every edit or delete through the API first copies the file to
+ * `<file>.bak-<ms>` / `<file>.del-<ms>`. This lists, diffs and restores
+ * those copies and prunes them by count and age: `maxCount` per file and
+ * `maxAgeDays` (0 disables either). The newest backup of a file that no
+ * longer exists is never pruned, since it is the only way to undelete it.
+ *
+ * `dirs` are the absolute directories scanned for backups of deleted files
+ * and by prune(); backups of a given path are found by listing its folder.
+ */
+function createBackupStore({ root, dirs = [root], maxCount = 0, maxAgeDays = 0 }) {
+  function fullPathOf(relativePath) {
+    return path.resolve(root, relativePath);
+  }
+
+  function describe(fullPath, name) {
+    const match = BACKUP_RE.exec(name);
+    const timestamp = Number(match[3]);
+    let size = null;
+    try {
+      size = fs.statSync(path.join(path.dirname(fullPath), name)).size;
+    } catch (err) {
+      // vanished while listing
+    }
+    return {
+      id: `${match[2]}-${match[3]}`,
+      kind: KINDS[match[2]],
+      timestamp,
+      date: new Date(timestamp).toISOString(),
+      size,
+      backup: toPosix(path.relative(root, path.join(path.dirname(fullPath), name))),
+    };
+  }
+
+  /**
+   * Backups of one file, newest first.
+   */
+  function list(relativePath) {
+    const fullPath = fullPathOf(relativePath);
+    const base = path.basename(fullPath);
+    let names;
+    try {
+      names = fs.readdirSync(path.dirname(fullPath));
+    } catch (err) {
+      return [];
+    }
+
+    return names
+      .filter(name => {
+        const match = BACKUP_RE.exec(name);
+        return match && match[1] === base;
+      })
+      .map(name => describe(fullPath, name))
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  function find(relativePath, id) {
+    const entry = list(relativePath).find(b => b.id === id);
+    if (!entry) {
+      const err = new Error(`No backup ${id} for ${relativePath}`);
+      err.status = 404;
+      throw err;
+    }
+    return entry;
+  }
+
+  function read(relativePath, id) {
+    const entry = find(relativePath, id);
+    return fs.readFileSync(path.resolve(root, entry.backup), 'utf8');
+  }
+
+  /**
+   * Unified diff from the backup to the current file (empty if deleted).
+   */
+  function diff(relativePath, id) {
+    const before = read(relativePath, id);
+    const fullPath = fullPathOf(relativePath);
+    const exists = fs.existsSync(fullPath);
+    const after = exists ? fs.readFileSync(fullPath, 'utf8') : '';
+    return {
+      exists,
+      patch: createTwoFilesPatch(`${relativePath} (${id})`, exists ? `${relativePath} (current)` : '/dev/null', before, after),
+    };
+  }
+
+  /**
+   * Removes backups beyond the retention policy; returns their paths.
+   */
+  function pruneFile(relativePath, now = Date.now()) {
+    const backups = list(relativePath);
+    const exists = fs.existsSync(fullPathOf(relativePath));
+    const removed = [];
+
+    backups.forEach((b, i) => {
+      if (i === 0 && !exists) return; // last copy of a deleted file
+      const tooMany = maxCount > 0 && i >= maxCount;
+      const tooOld = maxAgeDays > 0 && now - b.timestamp > maxAgeDays * DAY_MS;
+      if (!tooMany && !tooOld) return;
+
+      try {
+        fs.unlinkSync(path.resolve(root, b.backup));
+        removed.push(b.backup);
+      } catch (err) {
+        console.error(`Failed to prune ${b.backup}: ${err.message}`);
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * Copies the file to a new backup before it is overwritten or deleted
+   * ('edit' or 'delete'), then applies retention to that file.
+   */
+  function backup(relativePath, kind = 'edit') {
+    const fullPath = fullPathOf(relativePath);
+    const suffix = kind === 'delete' ? 'del' : 'bak';
+    const backupPath = `${fullPath}.${suffix}-${Date.now()}`;
+    fs.copyFileSync(fullPath, backupPath);
+    pruneFile(relativePath);
+    return toPosix(path.relative(root, backupPath));
+  }
+
+  /**
+   * Writes a backup's content back to its file, backing up the current
+   * version first. Restoring a `.del-*` backup of a missing file undeletes it.
+   */
+  function restore(relativePath, id) {
+    const content = read(relativePath, id);
+    const fullPath = fullPathOf(relativePath);
+    const exists = fs.existsSync(fullPath);
+
+    const previous = exists ? backup(relativePath, 'edit') : null;
+    if (!exists) fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content, 'utf8');
+
+    return { restored: id, backup: previous, undeleted: !exists };
+  }
+
+  async function scanOriginals() {
+    const originals = new Set();
+    for (const dir of dirs) {
+      const found = await glob('**/*.md.{bak,del}-*', { cwd: dir, absolute: true, onlyFiles: true, ignore: ['**/node_modules/**', '**/.git/**'] });
+      for (const file of found) {
+        const match = BACKUP_RE.exec(file);
+        if (match) originals.add(toPosix(path.relative(root, match[1])));
+      }
+    }
+    return [...originals].sort();
+  }
+
+  /**
+   * Files that are gone but have backups, with their newest delete backup.
+   */
+  async function deleted() {
+    const out = [];
+    for (const relativePath of await scanOriginals()) {
+      if (fs.existsSync(fullPathOf(relativePath))) continue;
+      const backups = list(relativePath);
+      const last = backups.find(b => b.kind === 'delete') || backups[0];
+      out.push({ path: relativePath, deletedAt: last.date, id: last.id, backups: backups.length });
+    }
+    return out.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  /**
+   * Applies retention to every file with backups.
+   */
+  async function prune() {
+    const removed = [];
+    for (const relativePath of await scanOriginals()) removed.push(...pruneFile(relativePath));
+    return removed;
+  }
+
+  return {
+    list,
+    read,
+    diff,
+    backup,
+    restore,
+    deleted,
+    prune,
+  };
+}
+
+module.exports = {
+  BACKUP_RE,
+  createBackupStore,
+};
@@ -3,148 +3,840 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const { discoverFiles, parseFile, buildGraph } = require('./parser');
+const os = require('os');
+const crypto = require('crypto');
+const { loadConfig } = require('./config');
+const { createMemoryIndex } = require('./memory-index');
+const { diffGraphs, compareGraphs } = require('./graph-diff');
+const { searchMemory } = require('./search');
+const { SEVERITY_ORDER, lintMemory } = require('./lint');
+const { createBackupStore } = require('./history');
+const { matchRoot } = require('./parser');
+const { localDate, renderDailyLog, appendEvent } = require('./daily-log');
+const { contentVersion, ifMatchAccepts, mergeVersions } = require('./versions');
+const { loadCredentials, createAuth, corsOptions } = require('./auth');
+const { createAuditLog } = require('./audit');
+const { planRename } = require('./refactor');
+const { findSection, spliceSection } = require('./sections');
+const { renderMarkdown } = require('./markdown');
+const { splitFrontMatter } = require('./frontmatter');
+const { exportGraph } = require('./export');
+const { MAX_DEPTH, neighborhood } = require('./neighborhood');
+const { analyzeGraphInWorker, shortestPath } = require('./analytics');
+const { createSnapshotStore } = require('./snapshots');
+const { listTasks, toggleTask } = require('./tasks');
+const { suggestConsolidation } = require('./consolidate');
+const { splitList } = require('./util');
 
 const app = express();
 const PORT = process.env.PORT || 18791;
-const MEMORY_ROOT = process.env.MEMORY_ROOT || path.join(__dirname, '../../');
+const MEMORY_ROOT = path.resolve(process.env.MEMORY_ROOT || path.join(__dirname, '../../'));
 const MEMORY_ALLOW_WRITE = process.env.MEMORY_ALLOW_WRITE === 'true';
 const MEMORY_ALLOW_DELETE = process.env.MEMORY_ALLOW_DELETE === 'true';
+// Backup retention per file; 0 (the default) keeps everything.
+const MEMORY_BACKUP_MAX_COUNT = Number(process.env.MEMORY_BACKUP_MAX_COUNT ?? 0);
+const MEMORY_BACKUP_MAX_AGE_DAYS = Number(process.env.MEMORY_BACKUP_MAX_AGE_DAYS ?? 0);
 
-app.use(cors());
+// The server's own files stay out of the memory root by default: one folder
+// per root under ~/.openclaw-memviz, named after it and a hash of its path.
+const MEMORY_STATE_DIR = path.resolve(process.env.MEMORY_STATE_DIR || path.join(
+  os.homedir(),
+  '.openclaw-memviz',
+  `${path.basename(MEMORY_ROOT) || 'root'}-${crypto.createHash('sha1').update(MEMORY_ROOT).digest('hex').slice(0, 8)}`
+));
+const MEMORY_AUDIT_LOG = process.env.MEMORY_AUDIT_LOG
+  ? path.resolve(MEMORY_ROOT, process.env.MEMORY_AUDIT_LOG)
+  : path.join(MEMORY_STATE_DIR, 'audit.jsonl');
+// Graph snapshots for comparing memory over time; an interval of 0 (the default) only records on request.
+const MEMORY_SNAPSHOT_DIR = process.env.MEMORY_SNAPSHOT_DIR
+  ? path.resolve(MEMORY_ROOT, process.env.MEMORY_SNAPSHOT_DIR)
+  : path.join(MEMORY_STATE_DIR, 'snapshots');
+const MEMORY_SNAPSHOT_INTERVAL_MINUTES = Number(process.env.MEMORY_SNAPSHOT_INTERVAL_MINUTES ?? 0);
+const MEMORY_SNAPSHOT_MAX_COUNT = Number(process.env.MEMORY_SNAPSHOT_MAX_COUNT ?? 500);
+
+const auth = createAuth({ ...loadCredentials(), secureCookie: process.env.AUTH_SECURE_COOKIE === 'true' });
+const audit = createAuditLog(MEMORY_AUDIT_LOG);
+const reader = auth.requireRole('reader');
+const editor = auth.requireRole('editor');
+const admin = auth.requireRole('admin');
+
+app.use(cors(corsOptions(process.env.CORS_ORIGINS)));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../public')));
 
-let cachedGraph = null;
-let lastParseTime = 0;
+app.post('/api/login', auth.login);
+app.post('/api/logout', auth.logout);
+
+// Everything else under /api needs a user; each route then checks the role.
+app.use('/api', auth.authenticate);
+
+app.get('/api/me', (req, res) => {
+  res.json({
+    ok: true,
+    auth: auth.enabled,
+    user: { name: req.user.name, role: req.user.role },
+    allowWrite: MEMORY_ALLOW_WRITE,
+    allowDelete: MEMORY_ALLOW_DELETE,
+  });
+});
+
+app.get('/api/audit', admin, (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 200, 5000);
+  try {
+    res.json({ ok: true, entries: audit.read({ limit }) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Fallback rescan interval; the file watcher picks up most changes immediately.
 const CACHE_TTL = Number(process.env.CACHE_TTL) || 30000; // 30 seconds
 
+const config = loadConfig({ root: MEMORY_ROOT });
+const memoryIndex = createMemoryIndex({ root: MEMORY_ROOT, discovery: config, rescanInterval: CACHE_TTL });
+const backups = createBackupStore({
+  root: MEMORY_ROOT,
+  dirs: [...new Set(config.roots.map(r => path.resolve(MEMORY_ROOT, r.path)))],
+  maxCount: MEMORY_BACKUP_MAX_COUNT,
+  maxAgeDays: MEMORY_BACKUP_MAX_AGE_DAYS,
+});
+const snapshots = createSnapshotStore({
+  root: MEMORY_ROOT,
+  dir: MEMORY_SNAPSHOT_DIR,
+  discovery: config,
+  maxCount: MEMORY_SNAPSHOT_MAX_COUNT,
+});
+
+function isWithin(dir, fullPath) {
+  return fullPath === dir || fullPath.startsWith(dir + path.sep);
+}
+
+/**
+ * Resolves an API `path` to a markdown file some configured root includes,
+ * or sends the error response and returns null. The audit log and snapshot
+ * directory are never reachable, whatever they are named.
+ */
+function resolveMarkdownPath(filePath, res) {
+  if (!filePath || typeof filePath !== 'string') {
+    res.status(400).json({ error: 'Missing path' });
+    return null;
+  }
+
+  const fullPath = path.resolve(MEMORY_ROOT, filePath);
+  if (!fullPath.startsWith(MEMORY_ROOT + path.sep) ||
+      fullPath === MEMORY_AUDIT_LOG || isWithin(MEMORY_SNAPSHOT_DIR, fullPath)) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  if (!fullPath.toLowerCase().endsWith('.md')) {
+    res.status(400).json({ error: 'Only .md files are supported' });
+    return null;
+  }
+
+  const relativePath = path.relative(MEMORY_ROOT, fullPath);
+  if (!matchRoot(relativePath, config)) {
+    res.status(403).json({ error: 'Path is not under a configured memory root' });
+    return null;
+  }
+  return relativePath;
+}
+
 async function getGraph() {
-  const now = Date.now();
-  if (cachedGraph && (now - lastParseTime < CACHE_TTL)) {
-    return cachedGraph;
-  }
-
-  console.log(`[${new Date().toISOString()}] Parsing memory at: ${MEMORY_ROOT}`);
-  const files = await discoverFiles(MEMORY_ROOT);
-  const allParsed = files.map(f => {
-    try {
-      return parseFile(f, MEMORY_ROOT);
-    } catch (err) {
-      console.error(`Failed to parse ${f}: ${err.message}`);
-      return { nodes: [], links: [] };
-    }
-  });
+  return memoryIndex.getGraph();
+}
+
+app.get('/api/graph', reader, async (req, res) => {
+  try {
+    const { graph, version } = await memoryIndex.getSnapshot();
+    res.json({ ...graph, version });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// The nodes within `depth` hops of one node, so the UI can explore a large
+// graph without loading all of it. `types` is a comma-separated list of link
+// kinds to walk (`ref`, `related:tags`, ...); all by default.
+app.get('/api/graph/neighborhood', reader, async (req, res) => {
+  const id = String(req.query.id || '');
+  if (!id) return res.status(400).json({ error: 'Missing id' });
 
-  cachedGraph = buildGraph(allParsed);
-  lastParseTime = now;
-  return cachedGraph;
+  const depth = req.query.depth === undefined ? 1 : Number(req.query.depth);
+  if (!Number.isInteger(depth) || depth < 0 || depth > MAX_DEPTH) {
+    return res.status(400).json({ error: `depth must be an integer from 0 to ${MAX_DEPTH}` });
+  }
+  const kinds = splitList(req.query.types);
+  const limit = Math.min(Number(req.query.limit) || 500, 5000);
+
+  try {
+    const { graph, version } = await memoryIndex.getSnapshot();
+    const result = neighborhood(graph, id, { depth, kinds, limit });
+    if (!result) return res.status(404).json({ error: `No node ${id}` });
+    res.json({ ok: true, ...result, version });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Analytics run in a worker thread, one at a time, and are kept per graph
+// version and month. A request waits briefly for a fresh result; past that
+// it gets the last one marked `stale` (or 202 `pending` before the first)
+// and polls again.
+const ANALYTICS_WAIT_MS = 1000;
+let analyticsCache = null; // { version, month, result }
+let analyticsRun = null; // { version, month, promise }
+
+function startAnalytics(graph, version, month) {
+  if (analyticsRun) return analyticsRun;
+  const promise = analyzeGraphInWorker(graph, { month })
+    .then((result) => { analyticsCache = { version, month, result }; })
+    .catch(err => console.error(`Analytics failed: ${err.message}`))
+    .finally(() => { analyticsRun = null; });
+  analyticsRun = { version, month, promise };
+  return analyticsRun;
 }
 
-app.get('/api/graph', async (req, res) => {
+app.get('/api/analytics', reader, async (req, res) => {
+  const month = String(req.query.month || localDate().slice(0, 7));
+  if (!/^\d{4}-\d{2}$/.test(month)) return res.status(400).json({ error: 'month must be YYYY-MM' });
+
+  try {
+    const { graph, version } = await memoryIndex.getSnapshot();
+    const fresh = () => analyticsCache && analyticsCache.version === version && analyticsCache.month === month;
+    if (!fresh()) {
+      const run = startAnalytics(graph, version, month);
+      if (run.version === version && run.month === month) {
+        await Promise.race([run.promise, new Promise(resolve => setTimeout(resolve, ANALYTICS_WAIT_MS))]);
+      }
+    }
+
+    if (fresh()) return res.json({ ok: true, version, ...analyticsCache.result });
+    if (analyticsCache && analyticsCache.month === month) {
+      return res.json({ ok: true, stale: true, version: analyticsCache.version, ...analyticsCache.result });
+    }
+    res.status(202).json({ ok: true, pending: true, version });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.get('/api/analytics/path', reader, async (req, res) => {
+  const from = String(req.query.from || '');
+  const to = String(req.query.to || '');
+  if (!from || !to) return res.status(400).json({ error: 'Missing from or to' });
+
+  try {
+    const { graph } = await memoryIndex.getSnapshot();
+    const ids = new Set(graph.nodes.map(n => n.id));
+    const missing = [from, to].find(id => !ids.has(id));
+    if (missing) return res.status(404).json({ error: `No node ${missing}` });
+
+    const path = shortestPath(graph, from, to);
+    if (!path) return res.status(404).json({ error: `${from} and ${to} are not connected` });
+    res.json({ ok: true, length: path.nodes.length - 1, ...path });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// The graph as GraphML, GEXF, Cytoscape JSON, DOT or CSV node/edge lists,
+// served as a download.
+app.get('/api/export', reader, async (req, res) => {
   try {
     const graph = await getGraph();
-    res.json(graph);
+    const { body, contentType, extension } = exportGraph(graph, String(req.query.format || ''));
+    res.set({
+      'Content-Type': `${contentType}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="memory-graph.${extension}"`,
+    });
+    res.send(body);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Open tasks (`?status=open|done|all`) and decisions (`?since=YYYY-MM-DD`)
+// found in the memory files, newest first.
+app.get('/api/tasks', reader, async (req, res) => {
+  const status = String(req.query.status || 'open');
+  if (!['open', 'done', 'all'].includes(status)) return res.status(400).json({ error: 'status must be open, done or all' });
+  const since = req.query.since ? String(req.query.since) : null;
+  if (since && !/^\d{4}-\d{2}-\d{2}$/.test(since)) return res.status(400).json({ error: 'since must be YYYY-MM-DD' });
+  const limit = Math.min(Number(req.query.limit) || 200, 5000);
+
+  try {
+    const { graph, version } = await memoryIndex.getSnapshot();
+    res.json({ ok: true, version, ...listTasks(graph, { status, since, limit }) });
   } catch (err) {
     res.status(500).json({ ok: false, error: err.message });
   }
 });
 
-app.get('/api/source', (req, res) => {
-  const filePath = req.query.path;
-  if (!filePath) return res.status(400).json({ error: 'Missing path' });
+// Ticks or unticks one task's checkbox in its file. The task is found by id
+// in the file as it is on disk now, so edits elsewhere in the file are fine.
+app.post('/api/tasks/toggle', editor, audit.record('toggle-task'), async (req, res) => {
+  if (!MEMORY_ALLOW_WRITE) return res.status(403).json({ error: 'Write access disabled' });
 
-  const fullPath = path.resolve(MEMORY_ROOT, filePath);
-  // Security check: ensure path is within root
-  if (!fullPath.startsWith(MEMORY_ROOT)) {
-    return res.status(403).json({ error: 'Access denied' });
+  const { path: filePath, id, checked } = req.body || {};
+  const relativePath = resolveMarkdownPath(filePath, res);
+  if (!relativePath) return;
+  if (!id || typeof id !== 'string') return res.status(400).json({ error: 'Missing id' });
+  if (typeof checked !== 'boolean') return res.status(400).json({ error: 'checked must be true or false' });
+
+  const fullPath = path.join(MEMORY_ROOT, relativePath);
+
+  try {
+    if (!fs.existsSync(fullPath)) return res.status(404).json({ error: 'File not found' });
+
+    const current = fs.readFileSync(fullPath, 'utf8');
+    const result = toggleTask(current, relativePath, id, checked);
+    if (!result) return res.status(409).json({ error: 'Task no longer exists; reload' });
+    if (!result.changed) return res.json({ ok: true, changed: false, checked, line: result.line });
+
+    const backup = backups.backup(relativePath, 'edit');
+    res.locals.audit = { backup, task: id, checked };
+
+    fs.writeFileSync(fullPath, result.content, 'utf8');
+    await memoryIndex.refresh();
+
+    res.set('ETag', contentVersion(result.content));
+    return res.json({ ok: true, changed: true, checked, line: result.line, backup });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Draft edits that keep the index file in step with the daily logs:
+// recurring concepts and tags to promote, stale sections and duplicates.
+// Only suggests; the editor applies and saves them.
+app.get('/api/consolidate', reader, async (req, res) => {
+  const minDays = Number(req.query.minDays ?? 3);
+  const staleDays = Number(req.query.staleDays ?? 90);
+  if (!Number.isInteger(minDays) || minDays < 1) return res.status(400).json({ error: 'minDays must be a positive integer' });
+  if (!Number.isInteger(staleDays) || staleDays < 1) return res.status(400).json({ error: 'staleDays must be a positive integer' });
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+
+  try {
+    const files = await memoryIndex.getFiles();
+    res.json({ ok: true, ...suggestConsolidation(files, { indexFile: config.indexFile, minDays, staleDays, limit }) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Recorded snapshots and git commits of the memory root, oldest first.
+app.get('/api/snapshots', reader, async (req, res) => {
+  try {
+    res.json({ ok: true, intervalMinutes: MEMORY_SNAPSHOT_INTERVAL_MINUTES, snapshots: await snapshots.list() });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.post('/api/snapshots', editor, audit.record('snapshot'), async (req, res) => {
+  try {
+    const snapshot = snapshots.record(await getGraph());
+    res.locals.audit = { snapshot: snapshot && snapshot.id };
+    res.json({ ok: true, recorded: Boolean(snapshot), snapshot });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
   }
+});
+
+// The graph at `to` laid over the graph at `from`, every node and link marked
+// added/removed/changed. Each is a snapshot id, a date (the last snapshot by
+// the end of that day) or `current`, the default for `to`.
+app.get('/api/graph/diff', reader, async (req, res) => {
+  const refs = { from: String(req.query.from || ''), to: String(req.query.to || 'current') };
+  if (!refs.from) return res.status(400).json({ error: 'Missing from' });
+
+  try {
+    const ends = {};
+    const graphs = {};
+    for (const [name, ref] of Object.entries(refs)) {
+      if (ref === 'current') {
+        const { graph, version } = await memoryIndex.getSnapshot();
+        ends[name] = { id: 'current', source: 'current', date: new Date().toISOString(), version };
+        graphs[name] = graph;
+        continue;
+      }
+      const snapshot = await snapshots.resolve(ref);
+      if (!snapshot) {
+        return res.status(404).json({ error: /^\d{4}-\d{2}-\d{2}$/.test(ref) ? `No snapshot at or before ${ref}` : `No snapshot ${ref}` });
+      }
+      ends[name] = snapshot;
+      graphs[name] = await snapshots.load(snapshot.id);
+    }
+
+    res.json({ ok: true, from: ends.from, to: ends.to, ...compareGraphs(graphs.from, graphs.to) });
+  } catch (err) {
+    res.status(err.status || 500).json({ ok: false, error: err.message });
+  }
+});
+
+// Live graph updates (Server-Sent Events). Each `diff` event carries the
+// version it applies on top of; clients that fall behind refetch /api/graph.
+const streamClients = new Set();
+const STREAM_KEEPALIVE = 25000;
+
+memoryIndex.onChange(({ previous, graph, version }) => {
+  if (!streamClients.size) return;
+  const diff = diffGraphs(previous, graph);
+  const payload = `event: diff\ndata: ${JSON.stringify({ from: version - 1, to: version, ...diff })}\n\n`;
+  for (const client of streamClients) client.write(payload);
+});
+
+app.get('/api/graph/stream', reader, async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  let snapshot;
+  try {
+    snapshot = await memoryIndex.getSnapshot();
+  } catch (err) {
+    // The headers are already out: report it on the stream and end it; the
+    // browser reconnects and tries again.
+    res.write(`event: error\ndata: ${JSON.stringify({ error: err.message })}\n\n`);
+    return res.end();
+  }
+  if (req.destroyed) return; // went away while the index was loading
+
+  res.write(`event: hello\ndata: ${JSON.stringify({ version: snapshot.version })}\n\n`);
+  streamClients.add(res);
+
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), STREAM_KEEPALIVE);
+  req.on('close', () => {
+    clearInterval(keepalive);
+    streamClients.delete(res);
+  });
+});
+
+app.get('/api/search', reader, async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) return res.status(400).json({ error: 'Missing q' });
+
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+
+  try {
+    const files = await memoryIndex.getFiles();
+    const { query, total, hits } = searchMemory(files, q, { limit });
+    if (query.errors.length) return res.status(400).json({ error: query.errors.join('; ') });
+    res.json({ ok: true, total, hits });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.get('/api/lint', reader, async (req, res) => {
+  const minSeverity = String(req.query.severity || 'info');
+  if (!(minSeverity in SEVERITY_ORDER)) return res.status(400).json({ error: 'severity must be error, warning or info' });
+
+  try {
+    const report = await memoryIndex.withGraph(graph => lintMemory(graph, { minSeverity }));
+    res.json({ ok: true, ...report });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.get('/api/source', reader, (req, res) => {
+  const relativePath = resolveMarkdownPath(req.query.path, res);
+  if (!relativePath) return;
+  const fullPath = path.join(MEMORY_ROOT, relativePath);
 
   try {
     const content = fs.readFileSync(fullPath, 'utf8');
+    // The ETag is what PUT expects back in If-Match.
+    res.set({ ETag: contentVersion(content), 'Cache-Control': 'no-cache' });
     res.send(content);
   } catch (err) {
     res.status(404).json({ error: 'File not found' });
   }
 });
 
-app.put('/api/source', (req, res) => {
+// Rendered preview of a file's body (its front matter is shown as node
+// metadata). Links carry the id of the graph node they point at.
+app.get('/api/render', reader, async (req, res) => {
+  const relativePath = resolveMarkdownPath(req.query.path, res);
+  if (!relativePath) return;
+
+  try {
+    const content = fs.readFileSync(path.join(MEMORY_ROOT, relativePath), 'utf8');
+    const fm = splitFrontMatter(content);
+    const html = await memoryIndex.withGraph(graph => renderMarkdown(fm.body, {
+      path: relativePath,
+      lineOffset: fm.bodyLine,
+      resolve: target => graph.resolveRef(relativePath, target),
+    }));
+    res.set({ ETag: contentVersion(content), 'Cache-Control': 'no-cache' });
+    res.json({ ok: true, path: relativePath, html });
+  } catch (err) {
+    if (err.code === 'ENOENT') return res.status(404).json({ error: 'File not found' });
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Creates a new markdown file. Only paths some discovery root includes are
+// accepted, so everything created here appears in the graph.
+app.post('/api/source', editor, audit.record('create'), async (req, res) => {
   if (!MEMORY_ALLOW_WRITE) return res.status(403).json({ error: 'Write access disabled' });
 
-  const { path: filePath, content } = req.body || {};
-  if (!filePath || typeof filePath !== 'string') return res.status(400).json({ error: 'Missing path' });
-  if (typeof content !== 'string') return res.status(400).json({ error: 'Missing content' });
+  const { path: filePath, content = '' } = req.body || {};
+  if (typeof content !== 'string') return res.status(400).json({ error: 'content must be a string' });
 
-  const fullPath = path.resolve(MEMORY_ROOT, filePath);
+  const relativePath = resolveMarkdownPath(filePath, res);
+  if (!relativePath) return;
 
-  // Security: must remain under root
-  if (!fullPath.startsWith(MEMORY_ROOT)) {
-    return res.status(403).json({ error: 'Access denied' });
+  const fullPath = path.join(MEMORY_ROOT, relativePath);
+
+  try {
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    // `wx` fails instead of overwriting a file that already exists
+    fs.writeFileSync(fullPath, content, { encoding: 'utf8', flag: 'wx' });
+
+    await memoryIndex.refresh();
+
+    return res.status(201).json({ ok: true, path: relativePath, root: matchRoot(relativePath, config).label });
+  } catch (err) {
+    if (err.code === 'EEXIST') return res.status(409).json({ error: 'File already exists' });
+    return res.status(500).json({ ok: false, error: err.message });
   }
+});
 
-  // Safety: only allow editing markdown files
-  if (!fullPath.toLowerCase().endsWith('.md')) {
-    return res.status(400).json({ error: 'Only .md files are editable' });
+// Adds an event to a daily log: creates `<dailyDir>/YYYY-MM-DD.md` from the
+// template, or appends a `##` section when that day's log already exists.
+app.post('/api/daily', editor, audit.record('daily-log'), async (req, res) => {
+  if (!MEMORY_ALLOW_WRITE) return res.status(403).json({ error: 'Write access disabled' });
+
+  const { date = localDate(), title, body } = req.body || {};
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date))) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+
+  const relativePath = path.posix.join(config.dailyDir, `${date}.md`);
+  if (!matchRoot(relativePath, config)) {
+    return res.status(403).json({ error: `${relativePath} is not under a configured memory root` });
+  }
+
+  const fullPath = path.join(MEMORY_ROOT, relativePath);
+
+  try {
+    let result;
+    let created = false;
+    if (fs.existsSync(fullPath)) {
+      result = appendEvent(fs.readFileSync(fullPath, 'utf8'), { title, body });
+      backups.backup(relativePath, 'edit');
+    } else {
+      result = renderDailyLog({ date, title, body, templatePath: config.dailyTemplate });
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      created = true;
+    }
+
+    fs.writeFileSync(fullPath, result.content, 'utf8');
+    res.locals.audit = { path: relativePath, created };
+    await memoryIndex.refresh();
+
+    return res.status(created ? 201 : 200).json({ ok: true, path: relativePath, created, line: result.line });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
   }
+});
+
+// Saves require `If-Match` with the ETag the content was loaded at. When the
+// file changed meanwhile (e.g. an agent appended to it) the reply is a 409
+// carrying the disk version, the submitted one and, if the body includes the
+// `base` content the edit started from, a three-way merge of the two.
+app.put('/api/source', editor, audit.record('edit'), async (req, res) => {
+  if (!MEMORY_ALLOW_WRITE) return res.status(403).json({ error: 'Write access disabled' });
+
+  const { path: filePath, content, base } = req.body || {};
+  const relativePath = resolveMarkdownPath(filePath, res);
+  if (!relativePath) return;
+  if (typeof content !== 'string') return res.status(400).json({ error: 'Missing content' });
+
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch) return res.status(428).json({ error: 'If-Match header required; reload the file to get its ETag' });
+
+  const fullPath = path.join(MEMORY_ROOT, relativePath);
 
   try {
     if (!fs.existsSync(fullPath)) return res.status(404).json({ error: 'File not found' });
 
+    const current = fs.readFileSync(fullPath, 'utf8');
+    const currentVersion = contentVersion(current);
+
+    if (!ifMatchAccepts(ifMatch, currentVersion)) {
+      res.set('ETag', currentVersion);
+      return res.status(409).json({
+        error: 'File changed since it was loaded',
+        etag: currentVersion,
+        current,
+        submitted: content,
+        merge: typeof base === 'string'
+          ? mergeVersions({ base, yours: content, theirs: current, path: relativePath })
+          : null,
+      });
+    }
+
     // Backup before write (same directory)
-    const backupPath = `${fullPath}.bak-${Date.now()}`;
-    fs.copyFileSync(fullPath, backupPath);
+    const backup = backups.backup(relativePath, 'edit');
+    res.locals.audit = { backup };
 
     fs.writeFileSync(fullPath, content, 'utf8');
 
-    // Invalidate cache so the graph refreshes soon
-    cachedGraph = null;
-    lastParseTime = 0;
+    // Re-index now so the next graph request already sees the edit
+    await memoryIndex.refresh();
 
-    return res.json({ ok: true, backup: path.relative(MEMORY_ROOT, backupPath) });
+    const etag = contentVersion(content);
+    res.set('ETag', etag);
+    return res.json({ ok: true, backup, etag });
   } catch (err) {
     return res.status(500).json({ ok: false, error: err.message });
   }
 });
 
-app.delete('/api/source', (req, res) => {
-  if (!MEMORY_ALLOW_DELETE) return res.status(403).json({ error: 'Delete access disabled' });
+// Saves one event's section (`id` is the event node id) by splicing it back
+// into the file. The file may have changed elsewhere since it was loaded:
+// as long as the section itself still reads as `base` the edit is applied to
+// the current file; otherwise the 409 carries the section on disk and a
+// three-way merge, like PUT /api/source.
+app.put('/api/source/section', editor, audit.record('edit-section'), async (req, res) => {
+  if (!MEMORY_ALLOW_WRITE) return res.status(403).json({ error: 'Write access disabled' });
 
-  const filePath = req.query.path;
-  if (!filePath) return res.status(400).json({ error: 'Missing path' });
+  const { path: filePath, id, content, base } = req.body || {};
+  const relativePath = resolveMarkdownPath(filePath, res);
+  if (!relativePath) return;
+  if (!id || typeof id !== 'string') return res.status(400).json({ error: 'Missing id' });
+  if (typeof content !== 'string') return res.status(400).json({ error: 'Missing content' });
 
-  const fullPath = path.resolve(MEMORY_ROOT, filePath);
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch) return res.status(428).json({ error: 'If-Match header required; reload the file to get its ETag' });
 
-  // Security: must remain under root
-  if (!fullPath.startsWith(MEMORY_ROOT)) {
-    return res.status(403).json({ error: 'Access denied' });
-  }
+  const fullPath = path.join(MEMORY_ROOT, relativePath);
 
-  // Safety: only allow deleting markdown files
-  if (!fullPath.toLowerCase().endsWith('.md')) {
-    return res.status(400).json({ error: 'Only .md files can be deleted via this API' });
+  try {
+    if (!fs.existsSync(fullPath)) return res.status(404).json({ error: 'File not found' });
+
+    const current = fs.readFileSync(fullPath, 'utf8');
+    const currentVersion = contentVersion(current);
+    const section = findSection(current, relativePath, id);
+    if (!section) {
+      res.set('ETag', currentVersion);
+      return res.status(409).json({ error: 'Section no longer exists', etag: currentVersion, current: null, submitted: content, merge: null });
+    }
+
+    const unchanged = ifMatchAccepts(ifMatch, currentVersion) || (typeof base === 'string' && base === section.text);
+    if (!unchanged) {
+      res.set('ETag', currentVersion);
+      return res.status(409).json({
+        error: 'Section changed since it was loaded',
+        etag: currentVersion,
+        current: section.text,
+        submitted: content,
+        section: { id, line: section.line, endLine: section.endLine },
+        merge: typeof base === 'string'
+          ? mergeVersions({ base, yours: content, theirs: section.text, path: relativePath })
+          : null,
+      });
+    }
+
+    const spliced = spliceSection(current, section, content);
+    const backup = backups.backup(relativePath, 'edit');
+    res.locals.audit = { backup, section: id };
+
+    fs.writeFileSync(fullPath, spliced.content, 'utf8');
+    await memoryIndex.refresh();
+
+    const etag = contentVersion(spliced.content);
+    res.set('ETag', etag);
+    return res.json({ ok: true, backup, etag, line: spliced.line, endLine: spliced.endLine });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
   }
+});
+
+app.delete('/api/source', admin, audit.record('delete'), async (req, res) => {
+  if (!MEMORY_ALLOW_DELETE) return res.status(403).json({ error: 'Delete access disabled' });
+
+  const relativePath = resolveMarkdownPath(req.query.path, res);
+  if (!relativePath) return;
+  const fullPath = path.join(MEMORY_ROOT, relativePath);
 
   try {
     if (!fs.existsSync(fullPath)) return res.status(404).json({ error: 'File not found' });
 
-    // Move to .trash or just backup and unlink
-    const backupPath = `${fullPath}.del-${Date.now()}`;
-    fs.copyFileSync(fullPath, backupPath);
+    // Backup, then unlink; the backup is what /api/history restores from
+    const backup = backups.backup(relativePath, 'delete');
+    res.locals.audit = { backup };
     fs.unlinkSync(fullPath);
 
-    // Invalidate cache
-    cachedGraph = null;
-    lastParseTime = 0;
+    // Re-index now so the next graph request no longer shows the file
+    await memoryIndex.refresh();
 
-    return res.json({ ok: true, backup: path.relative(MEMORY_ROOT, backupPath) });
+    return res.json({ ok: true, backup });
   } catch (err) {
     return res.status(500).json({ ok: false, error: err.message });
   }
 });
 
+// --- Backup history ---
+
+app.get('/api/history', reader, (req, res) => {
+  const relativePath = resolveMarkdownPath(req.query.path, res);
+  if (!relativePath) return;
+
+  res.json({
+    ok: true,
+    path: relativePath,
+    exists: fs.existsSync(path.join(MEMORY_ROOT, relativePath)),
+    backups: backups.list(relativePath),
+  });
+});
+
+app.get('/api/history/deleted', reader, async (req, res) => {
+  try {
+    res.json({ ok: true, files: await backups.deleted() });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.get('/api/history/content', reader, (req, res) => {
+  const relativePath = resolveMarkdownPath(req.query.path, res);
+  if (!relativePath) return;
+
+  try {
+    res.type('text/plain').send(backups.read(relativePath, String(req.query.id || '')));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.get('/api/history/diff', reader, (req, res) => {
+  const relativePath = resolveMarkdownPath(req.query.path, res);
+  if (!relativePath) return;
+
+  try {
+    res.json({ ok: true, ...backups.diff(relativePath, String(req.query.id || '')) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Restores a backup over the file (backing up the current version first),
+// or recreates a deleted file from its `.del-*` backup.
+app.post('/api/history/restore', editor, audit.record('restore'), async (req, res) => {
+  if (!MEMORY_ALLOW_WRITE) return res.status(403).json({ error: 'Write access disabled' });
+
+  const { path: filePath, id } = req.body || {};
+  const relativePath = resolveMarkdownPath(filePath, res);
+  if (!relativePath) return;
+  if (!id || typeof id !== 'string') return res.status(400).json({ error: 'Missing id' });
+
+  try {
+    const result = backups.restore(relativePath, id);
+    res.locals.audit = result;
+    await memoryIndex.refresh();
+    res.json({ ok: true, path: relativePath, ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ ok: false, error: err.message });
+  }
+});
+
+// --- Refactoring ---
+
+// Plan for renaming a concept or tag everywhere it is mentioned, against
+// the index brought up to date with the disk first.
+async function renamePlan({ kind, from, to }) {
+  await memoryIndex.refresh();
+  return planRename(await memoryIndex.getFiles(), { kind, from, to });
+}
+
+// Preview: per-file diffs and the ETags to send back when applying.
+app.get('/api/refactor/rename', reader, async (req, res) => {
+  try {
+    const plan = await renamePlan(req.query);
+    res.json({ ok: true, ...plan, files: plan.files.map(({ content, ...f }) => f) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Rewrites every mention of a concept or tag, backing each file up first.
+// `versions` ({ path: etag } from the preview) makes the write all-or-nothing
+// against what was previewed: any file that changed, or newly mentions the
+// name, turns the request into a 409.
+app.post('/api/refactor/rename', editor, audit.record('rename'), async (req, res) => {
+  if (!MEMORY_ALLOW_WRITE) return res.status(403).json({ error: 'Write access disabled' });
+
+  const { kind, from, to, versions } = req.body || {};
+
+  try {
+    const plan = await renamePlan({ kind, from, to });
+    if (!plan.files.length) return res.status(404).json({ error: `No file mentions ${kind} "${plan.from}"` });
+
+    const stale = plan.files
+      .filter(f => {
+        const disk = fs.readFileSync(path.join(MEMORY_ROOT, f.path), 'utf8');
+        if (contentVersion(disk) !== f.etag) return true;
+        return Boolean(versions) && versions[f.path] !== f.etag;
+      })
+      .map(f => f.path);
+    if (stale.length) {
+      return res.status(409).json({ error: 'Files changed since the preview; preview again', files: stale });
+    }
+
+    const written = [];
+    for (const f of plan.files) {
+      if (!f.occurrences) continue;
+      const backup = backups.backup(f.path, 'edit');
+      fs.writeFileSync(path.join(MEMORY_ROOT, f.path), f.content, 'utf8');
+      written.push({ path: f.path, occurrences: f.occurrences, skipped: f.skipped, backup });
+    }
+    res.locals.audit = { kind: plan.kind, from: plan.from, to: plan.to, files: written.map(f => f.path) };
+
+    await memoryIndex.refresh();
+
+    res.json({ ok: true, kind: plan.kind, from: plan.from, to: plan.to, merge: plan.merge, occurrences: plan.occurrences, files: written });
+  } catch (err) {
+    res.status(err.status || 500).json({ ok: false, error: err.message });
+  }
+});
+
+memoryIndex.start().catch(err => console.error(`Initial memory index failed: ${err.message}`));
+
+async function recordSnapshot() {
+  try {
+    const snapshot = snapshots.record(await getGraph());
+    if (snapshot) console.log(`Recorded graph snapshot ${snapshot.id}`);
+  } catch (err) {
+    console.error(`Graph snapshot failed: ${err.message}`);
+  }
+}
+
+if (MEMORY_SNAPSHOT_INTERVAL_MINUTES > 0) {
+  recordSnapshot();
+  setInterval(recordSnapshot, MEMORY_SNAPSHOT_INTERVAL_MINUTES * 60 * 1000).unref();
+}
+
+if (MEMORY_BACKUP_MAX_COUNT > 0 || MEMORY_BACKUP_MAX_AGE_DAYS > 0) {
+  backups.prune()
+    .then(removed => { if (removed.length) console.log(`Pruned ${removed.length} old backups`); })
+    .catch(err => console.error(`Backup pruning failed: ${err.message}`));
+}
+
 app.listen(PORT, () => {
   console.log(`openclaw-memory-visualizer server running on http://127.0.0.1:${PORT}`);
   console.log(`Memory root: ${MEMORY_ROOT}`);
+  console.log(`Config: ${config.file || '(defaults)'}`);
+  for (const r of config.roots) console.log(`  root ${r.label}: ${r.path} [${r.include.join(', ')}]`);
+  console.log(`Auth: ${auth.enabled ? 'enabled' : 'DISABLED (set MEMORY_AUTH_TOKENS or MEMORY_AUTH_USERS)'}`);
+  console.log(`CORS origins: ${process.env.CORS_ORIGINS || '(same-origin only)'}`);
+  console.log(`Audit log: ${MEMORY_AUDIT_LOG}`);
   console.log(`Write allowed: ${MEMORY_ALLOW_WRITE}`);
   console.log(`Delete allowed: ${MEMORY_ALLOW_DELETE}`);
+  console.log(`Snapshots: ${MEMORY_SNAPSHOT_DIR} (${MEMORY_SNAPSHOT_INTERVAL_MINUTES > 0 ? `every ${MEMORY_SNAPSHOT_INTERVAL_MINUTES} min` : 'on request'})`);
+  console.log(`Backup retention: ${MEMORY_BACKUP_MAX_COUNT || 'unlimited'} per file, ${MEMORY_BACKUP_MAX_AGE_DAYS || 'unlimited'} days`);
 });
@@ -0,0 +1,183 @@
+const { dailyLogDate } = require('./parser');
+const { splitFrontMatter } = require('./frontmatter');
+const { endpointId } = require('./util');
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+// Links that tie a file to the rest of memory; `timeline` only follows dates.
+const CONNECTING_LINKS = new Set(['ref', 'related']);
+
+/**
+ * Folds a concept name to the form near-duplicates share:
+ * `Monitor`, `monitor`, `Monitors` and `Context-Drift` / `context drift`.
+ */
+function conceptKey(name) {
+  const words = String(name).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const last = words.length - 1;
+  if (last >= 0 && words[last].length > 3) {
+    words[last] = words[last].replace(/([^s])s$/, '$1');
+  }
+  return words.join(' ');
+}
+
+function issue(rule, severity, path, line, column, message, extra = {}) {
+  return { rule, severity, path, line: line || null, column: column || null, message, ...extra };
+}
+
+function unresolvedIssues(index) {
+  const out = [];
+  for (const u of index.unresolvedRefs()) {
+    if (u.reason === 'heading') {
+      // Markdown anchors are slugs, not heading text; only wikilinks name headings.
+      if (u.kind !== 'wikilink') continue;
+      out.push(issue('missing-heading', 'warning', u.path, u.line, u.column,
+        `[[${u.target}]] points at a heading that ${u.resolved.slice('file:'.length)} does not have`,
+        { target: u.target }));
+    } else if (u.kind === 'wikilink') {
+      out.push(issue('unresolved-wikilink', 'info', u.path, u.line, u.column,
+        `[[${u.target}]] matches no file; it is only a concept node`,
+        { target: u.target }));
+    } else {
+      out.push(issue('unresolved-link', 'error', u.path, u.line, u.column,
+        `Link target "${u.target}" does not exist`,
+        { target: u.target }));
+    }
+  }
+  return out;
+}
+
+function duplicateConceptIssues(files) {
+  // key -> name -> { count, first: { path, line, column } }
+  const groups = new Map();
+
+  for (const data of files) {
+    for (const l of data.links) {
+      if (l.type !== 'contains' || !String(l.target).startsWith('concept:')) continue;
+      const name = String(l.target).slice('concept:'.length);
+      const key = conceptKey(name);
+      if (!key) continue;
+
+      if (!groups.has(key)) groups.set(key, new Map());
+      const names = groups.get(key);
+      if (!names.has(name)) names.set(name, { count: 0, first: { path: data.relativePath, line: l.line, column: l.column } });
+      names.get(name).count++;
+    }
+  }
+
+  const out = [];
+  for (const names of groups.values()) {
+    if (names.size < 2) continue;
+
+    // The most used spelling is taken as canonical; the rest are flagged.
+    const ranked = [...names.entries()].sort((a, b) => (b[1].count - a[1].count) || a[0].localeCompare(b[0]));
+    const [canonical, canonicalInfo] = ranked[0];
+    for (const [name, info] of ranked.slice(1)) {
+      out.push(issue('duplicate-concept', 'warning', info.first.path, info.first.line, info.first.column,
+        `[[${name}]] (${info.count}×) looks like a duplicate of [[${canonical}]] (${canonicalInfo.count}×)`,
+        { target: name, canonical, variants: ranked.map(([n]) => n) }));
+    }
+  }
+  return out;
+}
+
+function singleUseTagIssues(files) {
+  const uses = new Map(); // tag id -> [{ path, line, column }]
+  for (const data of files) {
+    for (const l of data.links) {
+      if (l.type !== 'tagged') continue;
+      if (!uses.has(l.target)) uses.set(l.target, []);
+      uses.get(l.target).push({ path: data.relativePath, line: l.line, column: l.column });
+    }
+  }
+
+  const out = [];
+  for (const [tagId, at] of uses) {
+    if (at.length !== 1) continue;
+    const tag = tagId.slice('tag:'.length);
+    out.push(issue('single-use-tag', 'info', at[0].path, at[0].line, at[0].column,
+      `#${tag} is used only once`, { target: tag }));
+  }
+  return out;
+}
+
+function fileIssues(files, graph) {
+  const connected = new Set();
+  for (const l of graph.links) {
+    if (!CONNECTING_LINKS.has(l.type)) continue;
+    // Refs may land on an event; count its file as connected.
+    for (const end of [l.source, l.target]) {
+      const id = String(endpointId(end));
+      if (id.startsWith('file:')) connected.add(id);
+      else if (id.startsWith('event:')) connected.add(`file:${id.slice('event:'.length).split('#')[0]}`);
+    }
+  }
+
+  const out = [];
+  for (const data of files) {
+    const relativePath = data.relativePath;
+    const fm = splitFrontMatter(data.content);
+
+    if (!fm.body.trim()) {
+      out.push(issue('empty-file', 'warning', relativePath, 1, 1,
+        fm.raw ? 'File has front matter but no content' : 'File is empty'));
+      continue;
+    }
+
+    if (fm.error) {
+      out.push(issue('invalid-front-matter', 'error', relativePath, 1, 1, `Front matter is not valid YAML: ${fm.error}`));
+    }
+
+    // memory-signal SKILL.md: every daily log entry goes under a `##` header.
+    if (dailyLogDate(relativePath) && !data.nodes.some(n => n.type === 'event' && n.level === 2)) {
+      out.push(issue('daily-log-no-header', 'warning', relativePath, fm.bodyLine + 1, 1,
+        'Daily log has no `##` header, so it shows no events'));
+    }
+
+    if (!connected.has(`file:${relativePath}`)) {
+      out.push(issue('orphan-file', 'info', relativePath, 1, 1,
+        'No references to or from other files, and nothing in common with them'));
+    }
+  }
+  return out;
+}
+
+/**
+ * Memory hygiene report over a graph index (see graph-index.js).
+ *
+ * Rules: unresolved-link, unresolved-wikilink, missing-heading,
+ * duplicate-concept, single-use-tag, daily-log-no-header, empty-file,
+ * invalid-front-matter and orphan-file. Issues are sorted by severity, then
+ * location, and counted per rule and per severity. `minSeverity` drops
+ * anything less severe (e.g. 'warning' hides info).
+ */
+function lintMemory(index, { minSeverity = 'info' } = {}) {
+  if (!(minSeverity in SEVERITY_ORDER)) throw new Error(`Unknown severity: ${minSeverity}`);
+  const files = index.paths().map(p => index.get(p));
+  const graph = index.toGraph();
+
+  const issues = [
+    ...unresolvedIssues(index),
+    ...duplicateConceptIssues(files),
+    ...singleUseTagIssues(files),
+    ...fileIssues(files, graph),
+  ].filter(i => SEVERITY_ORDER[i.severity] <= SEVERITY_ORDER[minSeverity]).sort((a, b) =>
+    (SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]) ||
+    a.path.localeCompare(b.path) ||
+    ((a.line || 0) - (b.line || 0)) ||
+    a.rule.localeCompare(b.rule)
+  );
+
+  const counts = { error: 0, warning: 0, info: 0, rules: {} };
+  for (const i of issues) {
+    counts[i.severity]++;
+    counts.rules[i.rule] = (counts.rules[i.rule] || 0) + 1;
+  }
+
+  return { files: files.length, counts, issues };
+}
+
+module.exports = {
+  SEVERITY_ORDER,
+  conceptKey,
+  lintMemory,
+};
@@ -0,0 +1,349 @@
+const MarkdownIt = require('markdown-it');
+
+const TAG_CHAR_RE = /[a-zA-Z0-9_-]/;
+const URL_SCHEME_RE = /^[a-z][a-z0-9+.-]{1,31}:/i;
+
+function isSpace(ch) {
+  return ch === undefined || /\s/.test(ch);
+}
+
+/**
+ * Inline rule for `[[Target]]`, `[[Target|alias]]` and `[[Target#Heading]]`.
+ */
+function wikilinkRule(state, silent) {
+  const start = state.pos;
+  const src = state.src;
+  if (src.charCodeAt(start) !== 0x5B /* [ */ || src.charCodeAt(start + 1) !== 0x5B) return false;
+
+  const end = src.indexOf(']]', start + 2);
+  if (end === -1 || end > state.posMax) return false;
+
+  const inner = src.slice(start + 2, end);
+  if (!inner.trim() || inner.includes('\n') || inner.includes('[')) return false;
+
+  if (!silent) {
+    const pipe = inner.indexOf('|');
+    const targetPart = pipe === -1 ? inner : inner.slice(0, pipe);
+    const alias = pipe === -1 ? '' : inner.slice(pipe + 1).trim();
+    const hash = targetPart.indexOf('#');
+
+    const token = state.push('wikilink', '', 0);
+    token.content = alias || targetPart.trim();
+    token.markup = src.slice(start, end + 2);
+    token.meta = {
+      offset: start,
+      target: (hash === -1 ? targetPart : targetPart.slice(0, hash)).trim(),
+      heading: hash === -1 ? '' : targetPart.slice(hash + 1).trim(),
+      alias,
+    };
+  }
+
+  state.pos = end + 2;
+  return true;
+}
+
+/**
+ * Inline rule for `#tag` at the start of a line or after whitespace.
+ */
+function hashtagRule(state, silent) {
+  const start = state.pos;
+  const src = state.src;
+  if (src.charCodeAt(start) !== 0x23 /* # */) return false;
+  if (!isSpace(src[start - 1])) return false;
+
+  let end = start + 1;
+  while (end < state.posMax && TAG_CHAR_RE.test(src[end])) end++;
+  if (end === start + 1) return false;
+
+  if (!silent) {
+    const token = state.push('hashtag', '', 0);
+    token.content = src.slice(start + 1, end);
+    token.markup = src.slice(start, end);
+    token.meta = { offset: start };
+  }
+
+  state.pos = end;
+  return true;
+}
+
+/**
+ * Inline rule for bare `<path/to/file.md>` references. CommonMark only knows
+ * URL/email autolinks and HTML, so anything path-like (has a `/` or `.`, no
+ * spaces, no scheme) is taken here; `<br>` and friends stay HTML.
+ */
+function angleRefRule(state, silent) {
+  const start = state.pos;
+  const src = state.src;
+  if (src.charCodeAt(start) !== 0x3C /* < */) return false;
+
+  const end = src.indexOf('>', start + 1);
+  if (end === -1 || end > state.posMax) return false;
+
+  const inner = src.slice(start + 1, end);
+  if (!inner || /[\s<]/.test(inner)) return false;
+  if (!/[/.]/.test(inner) || URL_SCHEME_RE.test(inner) || inner.includes('@')) return false;
+  if (/^\/?[a-zA-Z][a-zA-Z0-9-]*\/?$/.test(inner)) return false; // <br>, </div>, <hr/>
+
+  if (!silent) {
+    const token = state.push('angle_ref', '', 0);
+    token.content = inner;
+    token.markup = src.slice(start, end + 1);
+    token.meta = { offset: start };
+  }
+
+  state.pos = end + 1;
+  return true;
+}
+
+/**
+ * markdown-it with the memory syntax rules. Extraction parses with `html`
+ * on so raw HTML is recognised (and skipped); rendering turns it off so
+ * HTML in a memory file is shown as text, never injected into the page.
+ */
+function createMarkdown({ html = true } = {}) {
+  const md = new MarkdownIt({ html, linkify: false });
+  md.inline.ruler.before('link', 'wikilink', wikilinkRule);
+  md.inline.ruler.before('autolink', 'angle_ref', angleRefRule);
+  md.inline.ruler.push('hashtag', hashtagRule);
+  return md;
+}
+
+const md = createMarkdown();
+const renderer = createRenderer();
+
+function escapeAttr(s) {
+  return renderer.utils.escapeHtml(String(s));
+}
+
+function nodeLink(nodeId, className, label) {
+  const cls = nodeId ? className : `${className} unresolved`;
+  const attr = nodeId ? ` data-node="${escapeAttr(nodeId)}"` : '';
+  return `<a href="#" class="${cls}"${attr}>${escapeAttr(label)}</a>`;
+}
+
+/**
+ * Renderer for the preview. Wikilinks, tags and links to memory files become
+ * `<a data-node="...">` naming the graph node they stand for, resolved by
+ * `env.resolve(target)` (a file or event id, or null); other links open in a
+ * new tab. Block elements carry `data-line` (1-based, in the whole file).
+ */
+function createRenderer() {
+  const r = createMarkdown({ html: false });
+  const rules = r.renderer.rules;
+
+  rules.wikilink = (tokens, idx, options, env) => {
+    const { target, heading } = tokens[idx].meta;
+    const ref = heading ? `${target}#${heading}` : target;
+    const nodeId = (target ? env.resolve(ref) : env.resolve(`${env.path}#${heading}`)) || (target ? `concept:${target}` : null);
+    return nodeLink(nodeId, 'md-wikilink', tokens[idx].content);
+  };
+
+  rules.hashtag = (tokens, idx) => nodeLink(`tag:${tokens[idx].content}`, 'md-tag', tokens[idx].markup);
+
+  rules.angle_ref = (tokens, idx, options, env) => nodeLink(env.resolve(tokens[idx].content), 'md-file-link', tokens[idx].content);
+
+  rules.link_open = (tokens, idx, options, env, self) => {
+    const token = tokens[idx];
+    const href = token.attrGet('href') || '';
+    if (URL_SCHEME_RE.test(href) || href.startsWith('//')) {
+      token.attrSet('target', '_blank');
+      token.attrSet('rel', 'noopener noreferrer');
+    } else if (href && !href.startsWith('#')) {
+      const nodeId = env.resolve(decodeHref(href));
+      token.attrSet('href', '#');
+      token.attrSet('class', nodeId ? 'md-file-link' : 'md-file-link unresolved');
+      if (nodeId) token.attrSet('data-node', nodeId);
+    }
+    return self.renderToken(tokens, idx, options);
+  };
+
+  r.core.ruler.push('source_lines', (state) => {
+    for (const token of state.tokens) {
+      if (token.map && token.nesting === 1) token.attrSet('data-line', String(token.map[0] + 1 + state.env.lineOffset));
+    }
+  });
+
+  return r;
+}
+
+/**
+ * Renders a memory file's markdown body to HTML for the preview.
+ * `path` is the file's relative path, `lineOffset` the line the body starts
+ * after (front matter) and `resolve(target)` maps a reference to a node id.
+ */
+function renderMarkdown(content, { path = '', lineOffset = 0, resolve = () => null } = {}) {
+  return renderer.render(String(content || ''), { path, lineOffset, resolve });
+}
+
+function decodeHref(href) {
+  try {
+    return decodeURI(href);
+  } catch (err) {
+    return href;
+  }
+}
+
+/**
+ * Tokenizes markdown and extracts the entities the graph is built from.
+ *
+ * Everything carries a 1-based `line` and `column` in the original content.
+ * Code spans, fenced/indented code and raw HTML are never scanned. Headings
+ * of every level get the `endLine` of their section (up to the next heading
+ * of the same or a higher level, without the blank lines before it) and the
+ * index of their parent heading.
+ *
+ * `lineOffset` shifts reported lines when `content` is a slice of a larger
+ * file (e.g. the body after front matter). `passages` holds the prose of each
+ * block (paragraph, list item, heading) with the line it starts on.
+ * `listItems` are the list items with their first paragraph's text, tags and
+ * wikilinks; `checked` is true/false for `[x]`/`[ ]` items and null otherwise.
+ */
+function extractEntities(content, { lineOffset = 0 } = {}) {
+  const src = String(content || '');
+  const lines = src.split('\n');
+  const lineCount = lines.length - (src.endsWith('\n') ? 1 : 0);
+  const tokens = md.parse(src, {});
+
+  const headings = [];
+  const wikilinks = [];
+  const tags = [];
+  const links = [];
+  const textParts = [];
+  const passages = []; // prose of each block, with the line it starts on
+  const listItems = [];
+
+  // Per-line search cursor so repeated entities on one line get distinct columns.
+  const cursors = new Map();
+
+  function column(lineIndex, raw) {
+    const text = lines[lineIndex] || '';
+    const from = cursors.get(lineIndex) || 0;
+    let at = text.indexOf(raw, from);
+    if (at === -1) at = text.indexOf(raw);
+    if (at === -1) return 1;
+    cursors.set(lineIndex, at + raw.length);
+    return at + 1;
+  }
+
+  function position(block, offset, raw) {
+    const lineIndex = block.map[0] + (block.content.slice(0, offset).match(/\n/g) || []).length;
+    return { line: lineIndex + 1 + lineOffset, column: column(lineIndex, raw) };
+  }
+
+  let pendingHeading = null;
+  let pendingItem = false; // the next inline block opens a list item
+
+  for (const block of tokens) {
+    if (block.type === 'heading_open') {
+      pendingHeading = { level: Number(block.tag.slice(1)), lineIndex: block.map[0] };
+      continue;
+    }
+    if (block.type === 'list_item_open') {
+      pendingItem = true;
+      continue;
+    }
+
+    if (block.type !== 'inline' || !block.map) continue;
+    const firstPart = textParts.length;
+    const firstTag = tags.length;
+    const firstWikilink = wikilinks.length;
+
+    if (pendingHeading) {
+      const text = block.content.trim();
+      if (text) {
+        headings.push({
+          text,
+          level: pendingHeading.level,
+          line: pendingHeading.lineIndex + 1 + lineOffset,
+          column: (lines[pendingHeading.lineIndex] || '').indexOf(text) + 1 || 1,
+        });
+        textParts.push(text);
+      }
+      pendingHeading = null;
+    }
+
+    for (const child of block.children || []) {
+      switch (child.type) {
+        case 'text':
+          textParts.push(child.content);
+          break;
+        case 'wikilink': {
+          const { offset, target, heading, alias } = child.meta;
+          textParts.push(child.content);
+          wikilinks.push({ target, heading, alias, raw: child.markup, ...position(block, offset, child.markup) });
+          break;
+        }
+        case 'hashtag':
+          tags.push({ tag: child.content, ...position(block, child.meta.offset, child.markup) });
+          break;
+        case 'angle_ref':
+          links.push({ href: child.content, kind: 'angle', ...position(block, child.meta.offset, child.markup) });
+          break;
+        case 'link_open': {
+          if (child.markup === 'autolink') break; // URL/email autolinks are never files
+          const rawHref = child.attrGet('href') || '';
+          const href = decodeHref(rawHref);
+
+          // Link tokens carry no offset; find the `](href` in the block's lines.
+          const needles = [`](${href}`, `](${rawHref}`, `](<${href}>`];
+          let hrefLine = block.map[0];
+          let needle = needles[0];
+          for (let i = block.map[0]; i < block.map[1]; i++) {
+            const found = needles.find(n => (lines[i] || '').includes(n));
+            if (found) {
+              hrefLine = i;
+              needle = found;
+              break;
+            }
+          }
+          links.push({ href, kind: 'link', line: hrefLine + 1 + lineOffset, column: column(hrefLine, needle) + 2 });
+          break;
+        }
+        default:
+          break;
+      }
+    }
+
+    const prose = textParts.slice(firstPart).join(' ');
+    if (prose.trim()) passages.push({ line: block.map[0] + 1 + lineOffset, text: prose });
+
+    if (pendingItem) {
+      pendingItem = false;
+      const box = /^\[([ xX])\]\s+/.exec(block.content);
+      const lineIndex = block.map[0];
+      const raw = lines[lineIndex] || '';
+      const firstLine = block.content.split('\n')[0];
+      listItems.push({
+        text: block.content.slice(box ? box[0].length : 0).replace(/\s*\n\s*/g, ' ').trim(),
+        checked: box ? box[1] !== ' ' : null,
+        line: lineIndex + 1 + lineOffset,
+        // The checkbox when there is one, else the start of the item's text
+        column: (box ? raw.indexOf(`[${box[1]}]`) : raw.indexOf(firstLine)) + 1 || 1,
+        tags: tags.slice(firstTag).map(t => t.tag),
+        wikilinks: wikilinks.slice(firstWikilink).map(w => w.target).filter(Boolean),
+      });
+    }
+  }
+
+  // Section ranges and nesting
+  const stack = [];
+  headings.forEach((h, i) => {
+    while (stack.length && headings[stack[stack.length - 1]].level >= h.level) {
+      headings[stack.pop()].endLine = h.line - 1;
+    }
+    h.parent = stack.length ? stack[stack.length - 1] : null;
+    stack.push(i);
+  });
+  for (const i of stack) headings[i].endLine = lineCount + lineOffset;
+  for (const h of headings) {
+    while (h.endLine > h.line && !(lines[h.endLine - 1 - lineOffset] || '').trim()) h.endLine--;
+  }
+
+  return { headings, wikilinks, tags, links, text: textParts.join(' '), passages, listItems };
+}
+
+module.exports = {
+  md,
+  extractEntities,
+  renderMarkdown,
+};
@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const picomatch = require('picomatch');
+const { discoverEntries, parseFile } = require('./parser');
+const { createGraphIndex } = require('./graph-index');
+const { BACKUP_RE } = require('./history');
+
+/**
+ * Directories the watcher needs for `discovery`: absolute path -> whether to
+ * watch it recursively. That is the fixed part of each include glob
+ * (recursively when the glob reaches into subdirectories) and the directory
+ * of each plain file include such as MEMORY.md, so node_modules, .git and
+ * the like next to the memory files are never watched. Without `discovery`
+ * the whole root is.
+ */
+function watchTargets(root, discovery) {
+  if (!discovery) return new Map([[root, true]]);
+
+  const targets = new Map();
+  for (const r of discovery.roots) {
+    for (const pattern of r.include) {
+      const { base, glob, isGlob } = picomatch.scan(pattern);
+      const dir = path.resolve(root, r.path, isGlob ? base : path.dirname(base));
+      const recursive = isGlob && (glob.includes('/') || glob.includes('**'));
+      targets.set(dir, targets.get(dir) || recursive);
+    }
+  }
+
+  // Nothing inside a recursively watched directory needs its own watcher.
+  const covered = dir => [...targets].some(([other, recursive]) =>
+    recursive && other !== dir && dir.startsWith(other + path.sep));
+  return new Map([...targets].filter(([dir]) => !covered(dir)));
+}
+
+/**
+ * Watcher-driven index over the memory root.
+ *
+ * Keeps the parseFile result of every discovered file keyed by relative path,
+ * together with the mtime/size it was parsed at. A refresh re-globs the root,
+ * re-parses only files that were added or changed, and drops removed ones;
+ * the graph index then updates just the links touching those files.
+ *
+ * Filesystem events in the configured roots (see watchTargets) schedule a
+ * refresh; a slow periodic rescan covers platforms or mounts where fs.watch
+ * misses events.
+ */
+function createMemoryIndex({ root, discovery, rescanInterval = 30000, debounce = 150 }) {
+  const graph = createGraphIndex({ similarity: discovery && discovery.similarity });
+  const stamps = new Map(); // relativePath -> "mtimeMs:size:rootLabel"
+  const listeners = new Set();
+
+  let running = null;
+  let queued = null;
+  let ready = null;
+  const watchers = new Map(); // directory -> FSWatcher, kept after errors so it isn't retried
+  let watching = false;
+  let debounceTimer = null;
+  let rescanTimer = null;
+
+  // The last fully assembled graph. Readers always get a complete snapshot,
+  // never a graph caught halfway through a scan.
+  let snapshot = { version: 0, graph: { nodes: [], links: [] } };
+
+  function emit(changes) {
+    for (const listener of listeners) {
+      try {
+        listener(changes);
+      } catch (err) {
+        console.error(`Memory index listener failed: ${err.message}`);
+      }
+    }
+  }
+
+  async function scan() {
+    const entries = await discoverEntries(root, discovery);
+    const seen = new Set();
+    const changes = { added: [], changed: [], removed: [] };
+
+    for (const { filePath, rootLabel } of entries) {
+      const relativePath = path.relative(root, filePath);
+      seen.add(relativePath);
+
+      let stat;
+      try {
+        stat = await fs.promises.stat(filePath);
+      } catch (err) {
+        continue; // vanished between glob and stat; the next scan removes it
+      }
+
+      const stamp = `${stat.mtimeMs}:${stat.size}:${rootLabel}`;
+      if (stamps.get(relativePath) === stamp) continue;
+
+      const known = stamps.has(relativePath);
+      stamps.set(relativePath, stamp);
+
+      try {
+        graph.upsert(parseFile(filePath, root, { rootLabel }));
+      } catch (err) {
+        console.error(`Failed to parse ${filePath}: ${err.message}`);
+        graph.remove(relativePath);
+      }
+
+      (known ? changes.changed : changes.added).push(relativePath);
+    }
+
+    for (const relativePath of [...stamps.keys()]) {
+      if (seen.has(relativePath)) continue;
+      stamps.delete(relativePath);
+      graph.remove(relativePath);
+      changes.removed.push(relativePath);
+    }
+
+    // Directories created since the last scan can be watched now.
+    if (watching) syncWatchers();
+
+    const total = changes.added.length + changes.changed.length + changes.removed.length;
+    if (total || !snapshot.version) {
+      console.log(`[${new Date().toISOString()}] Memory index: +${changes.added.length} ~${changes.changed.length} -${changes.removed.length}`);
+      const previous = snapshot.graph;
+      try {
+        await graph.prepare();
+      } catch (err) {
+        console.error(`Similarity embedding failed: ${err.message}`);
+      }
+      snapshot = { version: snapshot.version + 1, graph: graph.toGraph() };
+      emit({ ...changes, version: snapshot.version, previous, graph: snapshot.graph });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Brings the index up to date with the disk. Concurrent calls share the
+   * running scan, and a call made mid-scan queues exactly one follow-up.
+   */
+  function refresh() {
+    if (!running) {
+      running = scan().finally(() => { running = null; });
+      return running;
+    }
+
+    if (!queued) {
+      queued = running
+        .catch(() => {})
+        .then(() => {
+          queued = null;
+          return refresh();
+        });
+    }
+    return queued;
+  }
+
+  function scheduleRefresh() {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      refresh().catch(err => console.error(`Memory index refresh failed: ${err.message}`));
+    }, debounce);
+    debounceTimer.unref();
+  }
+
+  function onWatchEvent(eventType, filename) {
+    const name = filename ? String(filename) : '';
+    if (name && BACKUP_RE.test(name)) return; // editor backups; never worth a rescan
+    // Directory renames arrive without a .md suffix, so only skip other files.
+    if (name && path.extname(name) && !name.toLowerCase().endsWith('.md')) return;
+    scheduleRefresh();
+  }
+
+  function syncWatchers() {
+    for (const [dir, recursive] of watchTargets(root, discovery)) {
+      if (watchers.has(dir) || !fs.existsSync(dir)) continue;
+      try {
+        const watcher = fs.watch(dir, { recursive }, onWatchEvent);
+        watcher.on('error', (err) => {
+          console.error(`Memory watcher error on ${dir}: ${err.message}; relying on periodic rescan`);
+          watcher.close();
+        });
+        watchers.set(dir, watcher);
+      } catch (err) {
+        console.error(`Memory watcher unavailable for ${dir} (${err.message}); relying on periodic rescan`);
+        watchers.set(dir, null);
+      }
+    }
+  }
+
+  /**
+   * Starts the initial scan, the filesystem watchers and the fallback rescan.
+   * A failed initial scan is retried by the next start() or getGraph().
+   */
+  function start() {
+    if (!ready) {
+      console.log(`[${new Date().toISOString()}] Indexing memory at: ${root}`);
+      ready = refresh().catch((err) => {
+        ready = null;
+        throw err;
+      });
+    }
+
+    if (!watching) {
+      watching = true;
+      syncWatchers();
+    }
+
+    if (!rescanTimer && rescanInterval > 0) {
+      rescanTimer = setInterval(scheduleRefresh, rescanInterval);
+      rescanTimer.unref();
+    }
+
+    return ready;
+  }
+
+  function stop() {
+    for (const watcher of watchers.values()) if (watcher) watcher.close();
+    watchers.clear();
+    watching = false;
+    clearInterval(rescanTimer);
+    rescanTimer = null;
+    clearTimeout(debounceTimer);
+  }
+
+  async function getGraph() {
+    await (ready || start());
+    return snapshot.graph;
+  }
+
+  /**
+   * Same as getGraph, plus the version the browser uses to apply diffs.
+   */
+  async function getSnapshot() {
+    await (ready || start());
+    return snapshot;
+  }
+
+  /**
+   * Calls `fn(graph, snapshot)` once no scan is running, so the live graph
+   * index is the one `snapshot` was built from. `fn` must not await.
+   */
+  async function withGraph(fn) {
+    await (ready || start());
+    while (running) await running.catch(() => {});
+    return fn(graph, snapshot);
+  }
+
+  /**
+   * The parseFile results of every indexed file, ordered by path.
+   */
+  function getFiles() {
+    return withGraph(g => g.paths().map(p => g.get(p)));
+  }
+
+  /**
+   * Subscribes to index changes; returns an unsubscribe function.
+   * Listeners receive the changed paths plus the previous and new graph.
+   */
+  function onChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  return {
+    start,
+    stop,
+    refresh,
+    getGraph,
+    getSnapshot,
+    getFiles,
+    withGraph,
+    onChange,
+  };
+}
+
+module.exports = {
+  createMemoryIndex,
+  watchTargets,
+};
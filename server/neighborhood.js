@@ -0,0 +1,61 @@
+const { endpointId, linkKind } = require('./util');
+
+const MAX_DEPTH = 5;
+
+/**
+ * The part of `graph` within `depth` hops of node `id`, following links in
+ * either direction. `kinds` (e.g. `ref`, `related:tags`) limits which links
+ * are walked and returned; empty means all. At most `limit` nodes are kept,
+ * nearest first, and `truncated` says whether any were left out. Each node
+ * gets its distance as `hops`. Returns null when `id` is not in the graph.
+ */
+function neighborhood(graph, id, { depth = 1, kinds = [], limit = 500 } = {}) {
+  const nodeById = new Map(graph.nodes.map(n => [n.id, n]));
+  if (!nodeById.has(id)) return null;
+
+  const allowed = kinds.length ? new Set(kinds) : null;
+  const links = graph.links.filter(l => !allowed || allowed.has(linkKind(l)));
+
+  const adjacent = new Map();
+  const connect = (a, b) => {
+    if (!adjacent.has(a)) adjacent.set(a, []);
+    adjacent.get(a).push(b);
+  };
+  for (const l of links) {
+    connect(endpointId(l.source), endpointId(l.target));
+    connect(endpointId(l.target), endpointId(l.source));
+  }
+
+  const hops = new Map([[id, 0]]);
+  let frontier = [id];
+  let truncated = false;
+  for (let d = 1; d <= depth && frontier.length && !truncated; d++) {
+    const next = [];
+    for (const from of frontier) {
+      for (const to of adjacent.get(from) || []) {
+        if (hops.has(to)) continue;
+        if (hops.size >= limit) {
+          truncated = true;
+          break;
+        }
+        hops.set(to, d);
+        next.push(to);
+      }
+      if (truncated) break;
+    }
+    frontier = next;
+  }
+
+  return {
+    center: id,
+    depth,
+    truncated,
+    nodes: [...hops].map(([nodeId, h]) => ({ ...nodeById.get(nodeId), hops: h })),
+    links: links.filter(l => hops.has(endpointId(l.source)) && hops.has(endpointId(l.target))),
+  };
+}
+
+module.exports = {
+  MAX_DEPTH,
+  neighborhood,
+};
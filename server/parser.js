@@ -1,6 +1,11 @@
 const fs = require('fs');
 const path = require('path');
 const glob = require('fast-glob');
+const picomatch = require('picomatch');
+const { createGraphIndex } = require('./graph-index');
+const { extractEntities } = require('./markdown');
+const { splitFrontMatter, listField, frontMatterLine } = require('./frontmatter');
+const { toPosix } = require('./util');
 
 function shorten(text, max = 42) {
   const s = String(text ?? '').trim();
@@ -9,352 +14,349 @@ function shorten(text, max = 42) {
   return s.slice(0, Math.max(0, max - 1)).trimEnd() + '…';
 }
 
-const STOPWORDS = new Set([
-  'the','and','that','with','this','from','have','your','you','for','are','was','were','will','just','not','but','what','when','where','who','why','how','into','onto','over','under','than','then','them','they','their','there','here','been','being','can','could','should','would','about','also','only','some','more','most','much','very','like','its','itself','our','out','off','because','while','within','without','into','across','after','before','during','between','through','these','those','such','may','might','must','shall','dont','doesnt','didnt','cant','wont','im','ive','id','we','us'
-]);
-
-function extractKeywords(markdown) {
-  // Strip code blocks and inline code to reduce noise
-  let text = String(markdown || '');
-  text = text.replace(/```[\s\S]*?```/g, ' ');
-  text = text.replace(/`[^`]*`/g, ' ');
-  // Strip markdown links but keep visible text
-  text = text.replace(/\[([^\]]+)\]\([^\)]*\)/g, '$1');
-  // Drop URLs
-  text = text.replace(/https?:\/\/\S+/g, ' ');
-
-  const words = text
-    .toLowerCase()
-    .replace(/[^a-z0-9_\-\s]/g, ' ')
-    .split(/\s+/)
-    .map(w => w.trim())
-    .filter(w => w.length >= 4 && !STOPWORDS.has(w));
-
-  // Cap size to keep pairwise costs low
-  return new Set(words.slice(0, 4000));
+// Tags that turn a list item into a tracked item, by node type and kind.
+const ITEM_TAGS = {
+  todo: { type: 'task', kind: 'todo' },
+  decision: { type: 'decision', kind: 'decision' },
+  milestone: { type: 'decision', kind: 'milestone' },
+};
+const ITEM_TAG_RE = /\s*#(todo|decision|milestone)\b/gi;
+
+/**
+ * What a list item is tracked as: a checkbox makes it a task, otherwise
+ * `#todo`, `#decision` or `#milestone` decide. Null for plain items.
+ */
+function itemKind(item) {
+  if (item.checked !== null) return { type: 'task', kind: 'checkbox' };
+  for (const tag of item.tags) {
+    const kind = ITEM_TAGS[tag.toLowerCase()];
+    if (kind) return kind;
+  }
+  return null;
 }
 
 /**
- * Discovers markdown files in the given root directory.
+ * Returns the YYYY-MM-DD date of a daily log (memory/YYYY-MM-DD.md), or null.
+ */
+function dailyLogDate(relativePath) {
+  const m = /^(\d{4}-\d{2}-\d{2})\.md$/.exec(path.basename(String(relativePath || '')));
+  return m ? m[1] : null;
+}
+
+// What discoverFiles looks at when no configuration is given.
+const DEFAULT_DISCOVERY = {
+  roots: [{ path: '.', label: 'memory', include: ['MEMORY.md', 'memory/**/*.md'], exclude: [] }],
+  exclude: [],
+};
+
+/**
+ * Discovers markdown files in the given root directory, tagged with the
+ * label of the discovery root that matched them.
  *
  * openclaw-memory-visualizer is intended to visualize OpenClaw memory, not the entire workspace.
- * So we default to just:
+ * So by default we only look at:
  *   - memory/ (daily logs)
  *   - MEMORY.md      (durable memory)
+ * Other roots and include/exclude globs come from loadConfig (server/config.js).
+ * A file matched by several roots belongs to the first one.
  */
-async function discoverFiles(root) {
-  const patterns = [
-    'MEMORY.md',
-    'memory/\*\*/\*.md'
-  ];
-
-  const files = await glob(patterns, {
-    cwd: root,
-    absolute: true,
-    onlyFiles: true,
-    followSymbolicLinks: false,
-  });
+async function discoverEntries(root, discovery = DEFAULT_DISCOVERY) {
+  const seen = new Set();
+  const entries = [];
+
+  for (const r of discovery.roots) {
+    const prefix = r.path === '.' ? '' : `${r.path}/`;
+    const files = await glob(r.include.map(p => prefix + p), {
+      cwd: root,
+      absolute: true,
+      onlyFiles: true,
+      followSymbolicLinks: false,
+      ignore: [...(discovery.exclude || []), ...(r.exclude || []).map(p => prefix + p)],
+    });
+
+    for (const filePath of files.sort()) {
+      if (seen.has(filePath)) continue;
+      seen.add(filePath);
+      entries.push({ filePath, rootLabel: r.label });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * The discovery root a relative path would be found under, or null when no
+ * root includes it (or it is excluded). Mirrors discoverEntries, so a file
+ * created at an accepted path shows up in the graph.
+ */
+function matchRoot(relativePath, discovery = DEFAULT_DISCOVERY) {
+  const file = toPosix(relativePath);
+  const isExcluded = picomatch(discovery.exclude || []);
+
+  for (const r of discovery.roots) {
+    const prefix = r.path === '.' ? '' : `${r.path}/`;
+    const included = picomatch(r.include.map(p => prefix + p));
+    const excluded = picomatch((r.exclude || []).map(p => prefix + p));
+    if (included(file) && !excluded(file) && !isExcluded(file)) return r;
+  }
+  return null;
+}
+
+/**
+ * Discovers markdown files in the given root directory (absolute paths).
+ */
+async function discoverFiles(root, discovery) {
+  const entries = await discoverEntries(root, discovery);
+  return entries.map(e => e.filePath);
+}
 
-  return files;
+/**
+ * Turns front matter `tags` and `related` into the same shapes
+ * extractEntities produces for inline syntax, marked with `via: 'frontmatter'`.
+ * `related` entries may be `[[Concept]]`, `Concept` or a path; paths become
+ * plain file references.
+ */
+function frontMatterEntities(fm) {
+  const tags = listField(fm.data.tags).map(tag => ({
+    tag: tag.replace(/^#/, ''),
+    line: frontMatterLine(fm.lines, 'tags', tag),
+    column: 1,
+    via: 'frontmatter',
+  }));
+
+  const wikilinks = [];
+  const links = [];
+  for (const entry of listField(fm.data.related)) {
+    const line = frontMatterLine(fm.lines, 'related', entry);
+    const inner = entry.replace(/^\[\[/, '').replace(/\]\]$/, '').trim();
+
+    if (/\.md$/i.test(inner) || inner.includes('/')) {
+      links.push({ href: inner, kind: 'link', line, column: 1, via: 'frontmatter' });
+      continue;
+    }
+
+    const [targetPart, alias = ''] = inner.split('|');
+    const [target, heading = ''] = targetPart.split('#');
+    wikilinks.push({ target: target.trim(), heading: heading.trim(), alias: alias.trim(), raw: entry, line, column: 1, via: 'frontmatter' });
+  }
+
+  return { tags, wikilinks, links };
 }
 
 /**
  * Parses a single markdown file for concepts, tags, and headers.
+ * `rootLabel` names the discovery root the file came from.
  */
-function parseFile(filePath, root) {
+function parseFile(filePath, root, { rootLabel } = {}) {
   const content = fs.readFileSync(filePath, 'utf8');
   const relativePath = path.relative(root, filePath);
+  return parseContent(content, relativePath, { rootLabel });
+}
 
+/**
+ * Builds the nodes, links and file references of one markdown document.
+ *
+ * Extraction runs on the markdown-it token stream (server/markdown.js), so
+ * code is ignored and every mention carries its line/column: on the
+ * `contains`/`tagged` link it produced and in `entities`.
+ *
+ * A leading YAML front matter block becomes the file node's `meta`; its
+ * `aliases` make the file resolvable by those names.
+ *
+ * `documents` is the prose the similarity index compares: the whole body for
+ * the file node and each heading's section for its event node.
+ *
+ * Checkbox items (`- [ ]` / `- [x]`) and list items tagged `#todo` become
+ * `task` nodes; items tagged `#decision` or `#milestone` become `decision`
+ * nodes. Each hangs off its section (`item` link), carries the file's date
+ * and links to the concepts it mentions (`mentions`).
+ */
+function parseContent(content, relativePath, { rootLabel } = {}) {
   const nodes = [];
   const links = [];
   const fileRefs = [];
-  const keywords = extractKeywords(content);
-
-  // 1. File node
+  // Front matter is metadata, not prose: only the body is tokenized, and
+  // front matter tags/related entries are merged in as if written inline.
+  const fm = splitFrontMatter(content);
+  const extracted = extractEntities(fm.body, { lineOffset: fm.bodyLine });
+  const fmEntities = frontMatterEntities(fm);
+  extracted.wikilinks.unshift(...fmEntities.wikilinks);
+  extracted.tags.unshift(...fmEntities.tags);
+  extracted.links.unshift(...fmEntities.links);
+
+  // 1. File node (daily logs also carry their date)
   const fileId = `file:${relativePath}`;
-  nodes.push({
+  const fileNode = {
     id: fileId,
     type: 'file',
     label: relativePath,
     labelShort: shorten(path.basename(relativePath), 24),
     labelFull: relativePath,
     path: relativePath,
-  });
-
-  // 2. Extract wikilinks [[Concept]]
+    size: Buffer.byteLength(content, 'utf8'),
+  };
+  const date = dailyLogDate(relativePath);
+  if (date) fileNode.date = date;
+  if (rootLabel) fileNode.root = rootLabel;
+  if (Object.keys(fm.data).length) fileNode.meta = fm.data;
+  const aliases = listField(fm.data.aliases);
+  if (aliases.length) fileNode.aliases = aliases;
+  if (fm.error) fileNode.frontMatterError = fm.error;
+  nodes.push(fileNode);
+
+  // 2. Wikilinks [[Concept]], [[Concept|alias]], [[Concept#Heading]]
   // We treat these as concept nodes AND as potential file references.
   // File resolution happens later in buildGraph.
-  const wikilinkRegex = /\[\[(.*?)\]\]/g;
-  let match;
-  while ((match = wikilinkRegex.exec(content)) !== null) {
-    const concept = match[1].trim();
-    if (!concept) continue;
+  for (const w of extracted.wikilinks) {
+    if (!w.target) continue; // [[#Heading]] points into this file
 
-    const conceptId = `concept:${concept}`;
+    const conceptId = `concept:${w.target}`;
 
     nodes.push({
       id: conceptId,
       type: 'concept',
-      label: concept,
-      labelShort: shorten(concept, 24),
-      labelFull: concept,
+      label: w.target,
+      labelShort: shorten(w.target, 24),
+      labelFull: w.target,
     });
 
-    links.push({
-      source: fileId,
-      target: conceptId,
-      type: 'contains',
-    });
+    const link = { source: fileId, target: conceptId, type: 'contains', line: w.line, column: w.column };
+    if (w.alias) link.alias = w.alias;
+    if (w.via) link.via = w.via;
+    links.push(link);
 
-    // Also collect as a potential file reference (e.g. [[2026-02-14]] or [[MEMORY]])
-    fileRefs.push(concept);
+    // Also collect as a potential file reference (e.g. [[2026-02-14]] or [[MEMORY#Projects]])
+    fileRefs.push({ target: w.heading ? `${w.target}#${w.heading}` : w.target, kind: 'wikilink', line: w.line, column: w.column });
   }
 
-  // 3. Extract tags #tag
-  const tagRegex = /(?:^|\s)#([a-zA-Z0-9_-]+)/g;
-  while ((match = tagRegex.exec(content)) !== null) {
-    const tag = match[1].trim();
-    if (!tag) continue;
-
-    const tagId = `tag:${tag}`;
+  // 3. Tags #tag
+  for (const t of extracted.tags) {
+    const tagId = `tag:${t.tag}`;
 
     nodes.push({
       id: tagId,
       type: 'tag',
-      label: `#${tag}`,
-      labelShort: shorten(`#${tag}`, 18),
-      labelFull: `#${tag}` ,
+      label: `#${t.tag}`,
+      labelShort: shorten(`#${t.tag}`, 18),
+      labelFull: `#${t.tag}` ,
     });
 
-    links.push({
-      source: fileId,
-      target: tagId,
-      type: 'tagged',
-    });
+    const link = { source: fileId, target: tagId, type: 'tagged', line: t.line, column: t.column };
+    if (t.via) link.via = t.via;
+    links.push(link);
   }
 
-  // 4. Extract headers ## Header
-  const headerRegex = /^##\s+(.*)$/gm;
-  while ((match = headerRegex.exec(content)) !== null) {
-    const header = match[1].trim();
-    if (!header) continue;
-
-    const headerId = `event:${relativePath}#${header}`;
+  // 4. Headings of every level become event nodes. Nested headings hang off
+  // their parent heading; top-level ones off the file. Repeated heading text
+  // gets a ~n suffix so each section keeps its own node.
+  const headingIds = [];
+  const documents = [{ id: fileId, text: extracted.text }];
+  const seenHeadings = new Map();
+  extracted.headings.forEach((h, i) => {
+    const n = (seenHeadings.get(h.text) || 0) + 1;
+    seenHeadings.set(h.text, n);
+    const headerId = n === 1 ? `event:${relativePath}#${h.text}` : `event:${relativePath}#${h.text}~${n}`;
+    headingIds[i] = headerId;
 
     nodes.push({
       id: headerId,
       type: 'event',
-      label: header,
-      labelShort: shorten(header, 28),
-      labelFull: header,
+      label: h.text,
+      labelShort: shorten(h.text, 28),
+      labelFull: h.text,
       source: relativePath,
+      level: h.level,
+      line: h.line,
+      endLine: h.endLine,
     });
 
+    const section = extracted.passages.filter(p => p.line >= h.line && p.line <= h.endLine);
+    documents.push({ id: headerId, text: section.map(p => p.text).join(' ') });
+
     links.push({
-      source: fileId,
+      source: h.parent === null ? fileId : headingIds[h.parent],
       target: headerId,
       type: 'header',
     });
+  });
+
+  // 5. Tasks and decisions: tracked list items, keyed by their text like events
+  const itemDate = date || (typeof fm.data.date === 'string' ? fm.data.date : null);
+  const seenItems = new Map();
+  for (const item of extracted.listItems) {
+    const kind = itemKind(item);
+    if (!kind) continue;
+    // Wikilinks read as their alias or target, e.g. "ship [[Monitor|the monitor]]" -> "ship the monitor"
+    const plain = item.text.replace(/\[\[([^\]|#]*)(?:#[^\]|]*)?(?:\|([^\]]*))?\]\]/g, (m, target, alias) => alias || target);
+    const text = plain.replace(ITEM_TAG_RE, '').trim() || plain;
+
+    const key = `${kind.type}:${text}`;
+    const n = (seenItems.get(key) || 0) + 1;
+    seenItems.set(key, n);
+    const itemId = n === 1 ? `${kind.type}:${relativePath}#${text}` : `${kind.type}:${relativePath}#${text}~${n}`;
+
+    const node = {
+      id: itemId,
+      type: kind.type,
+      kind: kind.kind,
+      label: text,
+      labelShort: shorten(text, 28),
+      labelFull: text,
+      source: relativePath,
+      line: item.line,
+      column: item.column,
+    };
+    if (kind.type === 'task') node.checked = Boolean(item.checked);
+    if (itemDate) node.date = itemDate;
+    nodes.push(node);
+
+    // The innermost heading whose section holds the item
+    let parent = fileId;
+    extracted.headings.forEach((h, i) => {
+      if (h.line <= item.line && item.line <= h.endLine) parent = headingIds[i];
+    });
+    links.push({ source: parent, target: itemId, type: 'item' });
+
+    for (const target of new Set(item.wikilinks)) {
+      links.push({ source: itemId, target: `concept:${target}`, type: 'mentions' });
+    }
   }
 
-  // 5. Extract markdown links to local files: [text](path) and <path>
+  // 6. Markdown links to local files: [text](path) and <path>
   // We don't resolve here; we just collect references for buildGraph to map to known file nodes.
-  const mdLinkRegex = /\[[^\]]*\]\(([^)]+)\)/g;
-  while ((match = mdLinkRegex.exec(content)) !== null) {
-    const raw = String(match[1] || '').trim();
+  for (const l of extracted.links) {
+    const raw = String(l.href || '').trim();
     if (!raw) continue;
-    fileRefs.push(raw);
+    fileRefs.push({ target: raw, kind: 'link', line: l.line, column: l.column });
   }
 
-  const autoLinkRegex = /<([^>]+)>/g;
-  while ((match = autoLinkRegex.exec(content)) !== null) {
-    const raw = String(match[1] || '').trim();
-    if (!raw) continue;
-    fileRefs.push(raw);
-  }
+  const entities = [
+    ...extracted.wikilinks.map(w => ({ kind: 'wikilink', value: w.target, heading: w.heading, alias: w.alias, line: w.line, column: w.column, via: w.via })),
+    ...extracted.tags.map(t => ({ kind: 'tag', value: t.tag, line: t.line, column: t.column, via: t.via })),
+    ...extracted.headings.map(h => ({ kind: 'heading', value: h.text, level: h.level, line: h.line, column: h.column, endLine: h.endLine })),
+    ...extracted.links.map(l => ({ kind: l.kind === 'angle' ? 'autolink' : 'link', value: l.href, line: l.line, column: l.column, via: l.via })),
+  ].sort((a, b) => (a.line - b.line) || (a.column - b.column));
 
-  return { nodes, links, fileRefs, relativePath, keywords };
+  return { nodes, links, fileRefs, entities, relativePath, documents, content };
 }
 
 /**
- * Generates the full graph from a list of files.
+ * Generates the full graph from a list of files. `options` are passed to
+ * createGraphIndex (e.g. `similarity`).
  */
-function buildGraph(allParsed) {
-  const nodeMap = new Map();
-  const links = [];
-
-  for (const data of allParsed) {
-    for (const node of data.nodes) {
-      // Deduplicate nodes (concepts and tags may appear in many files)
-      if (!nodeMap.has(node.id)) {
-        nodeMap.set(node.id, node);
-      }
-    }
-    links.push(...data.links);
-  }
-
-  // Build lookup of known files for file->file linking
-  const filePathToId = new Map();
-  const fileBasenameToId = new Map();
-  const fileStemToId = new Map();
-
-  for (const n of nodeMap.values()) {
-    if (n.type !== 'file') continue;
-    const p = String(n.path || n.label || '');
-    if (!p) continue;
-    filePathToId.set(p, n.id);
-
-    const base = path.basename(p);
-    fileBasenameToId.set(base, n.id);
-
-    const stem = base.toLowerCase().endsWith('.md') ? base.slice(0, -3) : base;
-    fileStemToId.set(stem, n.id);
-  }
-
-  // Resolve collected fileRefs into file->file links
-  for (const data of allParsed) {
-    const sourceFileId = `file:${data.relativePath}`;
-    if (!filePathToId.has(data.relativePath)) continue;
-
-    for (const rawRef of (data.fileRefs || [])) {
-      const ref = String(rawRef).trim();
-      if (!ref) continue;
-      if (/^(https?:|mailto:|tel:|data:)/i.test(ref)) continue;
-
-      // Strip fragments and query
-      const noFrag = ref.split('#')[0].split('?')[0].trim();
-      if (!noFrag) continue;
-
-      // Attempt to resolve relative to current file's directory
-      const fromDir = path.dirname(data.relativePath);
-      const normalized = path.normalize(path.join(fromDir, noFrag)).replace(/^\.\//, '');
-
-      // Candidate mappings
-      const candidates = [
-        normalized,
-        noFrag,
-        path.basename(noFrag),
-      ];
-
-      let targetId = null;
-      for (const c of candidates) {
-        if (filePathToId.has(c)) { targetId = filePathToId.get(c); break; }
-        if (fileBasenameToId.has(c)) { targetId = fileBasenameToId.get(c); break; }
-      }
-
-      // If link is like (MEMORY) without extension, try stem match
-      if (!targetId) {
-        const base = path.basename(noFrag);
-        const stem = base.toLowerCase().endsWith('.md') ? base.slice(0, -3) : base;
-        if (fileStemToId.has(stem)) targetId = fileStemToId.get(stem);
-      }
-
-      if (targetId && targetId !== sourceFileId) {
-        links.push({ source: sourceFileId, target: targetId, type: 'ref' });
-      }
-    }
-  }
-
-  // Derived file<->file links based on shared concepts/tags and/or text similarity.
-  // This makes file connectivity visible even when there are no explicit hyperlinks.
-
-  // (A) shared concepts/tags
-  const fileToTokens = new Map(); // fileId -> Set(tokenId)
-
-  for (const l of links) {
-    if (!String(l.source || '').startsWith('file:')) continue;
-    const src = String(l.source);
-    const tgt = String(l.target);
-    const isToken = tgt.startsWith('concept:') || tgt.startsWith('tag:');
-    if (!isToken) continue;
-
-    if (!fileToTokens.has(src)) fileToTokens.set(src, new Set());
-    fileToTokens.get(src).add(tgt);
-  }
-
-  const tokenPairWeights = new Map();
-  const tokenFileIds = Array.from(fileToTokens.keys());
-  for (let i = 0; i < tokenFileIds.length; i++) {
-    for (let j = i + 1; j < tokenFileIds.length; j++) {
-      const a = tokenFileIds[i];
-      const b = tokenFileIds[j];
-      const A = fileToTokens.get(a);
-      const B = fileToTokens.get(b);
-      if (!A || !B) continue;
-
-      let shared = 0;
-      const [small, big] = A.size <= B.size ? [A, B] : [B, A];
-      for (const t of small) if (big.has(t)) shared++;
-
-      if (shared > 0) tokenPairWeights.set(`${a}|${b}`, shared);
-    }
-  }
-
-  for (const [key, weight] of tokenPairWeights.entries()) {
-    const [source, target] = key.split('|');
-    links.push({ source, target, type: 'related', weight, via: 'tags' });
-  }
-
-  // (B) text similarity (fallback): Jaccard overlap on keyword sets
-  // Thresholds tuned for short-ish memory logs.
-  const fileToKeywords = new Map();
-  for (const data of allParsed) {
-    const fileId = `file:${data.relativePath}`;
-    if (data.keywords && data.keywords.size) fileToKeywords.set(fileId, data.keywords);
-  }
-
-  const simLinks = [];
-  const simFileIds = Array.from(fileToKeywords.keys());
-  for (let i = 0; i < simFileIds.length; i++) {
-    for (let j = i + 1; j < simFileIds.length; j++) {
-      const a = simFileIds[i];
-      const b = simFileIds[j];
-      const A = fileToKeywords.get(a);
-      const B = fileToKeywords.get(b);
-      if (!A || !B) continue;
-
-      let shared = 0;
-      const [small, big] = A.size <= B.size ? [A, B] : [B, A];
-      for (const t of small) if (big.has(t)) shared++;
-
-      if (shared < 8) continue; // avoid noisy edges
-
-      const union = A.size + B.size - shared;
-      const jaccard = union ? (shared / union) : 0;
-      if (jaccard < 0.03) continue;
-
-      simLinks.push({ source: a, target: b, type: 'related', weight: shared, score: jaccard, via: 'text' });
-    }
-  }
-
-  // Keep only top N similarity links to avoid hairballs
-  simLinks.sort((x, y) => (y.score - x.score) || (y.weight - x.weight));
-  for (const l of simLinks.slice(0, 120)) links.push(l);
-
-  // Timeline links between daily logs
-  // Daily logs are usually memory/YYYY-MM-DD.md
-  const dailyLogs = [...nodeMap.values()]
-    .filter((n) =>
-      n.type === 'file' && /^\d{4}-\d{2}-\d{2}\.md$/.test(path.basename(String(n.path)))
-    )
-    .sort((a, b) => String(a.label).localeCompare(String(b.label)));
-
-  for (let i = 0; i < dailyLogs.length - 1; i++) {
-    links.push({
-      source: dailyLogs[i].id,
-      target: dailyLogs[i + 1].id,
-      type: 'timeline',
-    });
-  }
-
-  return {
-    nodes: Array.from(nodeMap.values()),
-    links,
-  };
+function buildGraph(allParsed, options) {
+  const index = createGraphIndex(options);
+  for (const data of allParsed) index.upsert(data);
+  return index.toGraph();
 }
 
 module.exports = {
+  ITEM_TAGS,
+  dailyLogDate,
+  discoverEntries,
   discoverFiles,
+  matchRoot,
   parseFile,
+  parseContent,
   buildGraph,
 };
@@ -0,0 +1,190 @@
+const { createTwoFilesPatch } = require('diff');
+const { contentVersion } = require('./versions');
+
+const TAG_RE = /^[a-zA-Z0-9_-]+$/;
+const TAG_CHAR_RE = /[a-zA-Z0-9_-]/;
+// Characters a concept name can't contain without breaking `[[...]]` syntax.
+const CONCEPT_FORBIDDEN_RE = /[[\]|#\n\r]/;
+
+// Which entities a rename of each node type rewrites.
+const ENTITY_KIND = { concept: 'wikilink', tag: 'tag' };
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Validates and normalises a rename request (`#` is optional on tags).
+ */
+function normalizeRename({ kind, from, to }) {
+  if (!ENTITY_KIND[kind]) throw badRequest('kind must be concept or tag');
+
+  const clean = v => {
+    const s = String(v ?? '').trim();
+    return kind === 'tag' ? s.replace(/^#/, '') : s;
+  };
+  const source = clean(from);
+  const target = clean(to);
+
+  if (!source || !target) throw badRequest('from and to are required');
+  if (source === target) throw badRequest('from and to are the same');
+  if (kind === 'tag' && !TAG_RE.test(target)) throw badRequest('Tags may only contain letters, digits, - and _');
+  if (kind === 'concept' && CONCEPT_FORBIDDEN_RE.test(target)) throw badRequest('Concept names cannot contain [ ] | # or line breaks');
+
+  return { kind, from: source, to: target };
+}
+
+/**
+ * Rewrites an inline `[[from...]]` starting at `column`, keeping any
+ * `#Heading` and `|alias`. Returns the new line, or null if the text there
+ * is not the expected wikilink.
+ */
+function renameWikilink(line, column, from, to) {
+  const start = column - 1;
+  if (!line.startsWith('[[', start)) return null;
+  const end = line.indexOf(']]', start + 2);
+  if (end === -1) return null;
+
+  const inner = line.slice(start + 2, end);
+  const pipe = inner.indexOf('|');
+  const targetPart = pipe === -1 ? inner : inner.slice(0, pipe);
+  const hash = targetPart.indexOf('#');
+  const target = hash === -1 ? targetPart : targetPart.slice(0, hash);
+  if (target.trim() !== from) return null;
+
+  const renamed = target.replace(from, to) + inner.slice(target.length);
+  return `${line.slice(0, start + 2)}${renamed}${line.slice(end)}`;
+}
+
+/**
+ * Rewrites an inline `#from` at `column`. Returns the new line or null.
+ */
+function renameHashtag(line, column, from, to) {
+  const start = column - 1;
+  if (!line.startsWith(`#${from}`, start)) return null;
+  if (TAG_CHAR_RE.test(line[start + from.length + 1] || '')) return null;
+  return `${line.slice(0, start + 1)}${to}${line.slice(start + 1 + from.length)}`;
+}
+
+/**
+ * Rewrites the first `from` at or after `cursor` on a front matter line that
+ * stands as a whole YAML value (`tags: [a, from]`, `- "[[from]]"`).
+ * Returns { text, cursor } or null.
+ */
+function renameFrontMatterValue(line, cursor, kind, from, to) {
+  const prefix = kind === 'tag' ? '#?' : '';
+  const re = new RegExp(`(^|[\\s[,"':])(${prefix})${escapeRegExp(from)}(?=$|[\\s\\],"'|#])`, 'g');
+  re.lastIndex = cursor;
+  const m = re.exec(line);
+  if (!m) return null;
+
+  const at = m.index + m[1].length + m[2].length;
+  return {
+    text: `${line.slice(0, at)}${to}${line.slice(at + from.length)}`,
+    cursor: at + to.length,
+  };
+}
+
+/**
+ * Applies a rename to one file's content using the parser's entity positions.
+ * Returns { content, occurrences, skipped } where `skipped` lists entities
+ * whose text no longer matched their recorded position.
+ */
+function renameInContent(content, entities, { kind, from, to }) {
+  const entityKind = ENTITY_KIND[kind];
+  const matches = entities.filter(e => e.kind === entityKind && e.value === from);
+  const lines = content.split('\n');
+  const skipped = [];
+  let occurrences = 0;
+
+  // Right to left within a line so earlier columns stay valid; front
+  // matter entities have no column and are found left to right instead.
+  const byLine = new Map();
+  for (const e of matches) {
+    if (!byLine.has(e.line)) byLine.set(e.line, []);
+    byLine.get(e.line).push(e);
+  }
+
+  for (const [lineNo, list] of byLine) {
+    let text = lines[lineNo - 1];
+    if (text === undefined) {
+      list.forEach(e => skipped.push({ line: e.line, column: e.column }));
+      continue;
+    }
+
+    const inline = list.filter(e => e.via !== 'frontmatter').sort((a, b) => b.column - a.column);
+    for (const e of inline) {
+      const next = kind === 'tag'
+        ? renameHashtag(text, e.column, from, to)
+        : renameWikilink(text, e.column, from, to);
+      if (next === null) skipped.push({ line: e.line, column: e.column });
+      else {
+        text = next;
+        occurrences++;
+      }
+    }
+
+    let cursor = 0;
+    for (const e of list.filter(e => e.via === 'frontmatter')) {
+      const next = renameFrontMatterValue(text, cursor, kind, from, to);
+      if (!next) skipped.push({ line: e.line, column: e.column });
+      else {
+        ({ text, cursor } = next);
+        occurrences++;
+      }
+    }
+
+    lines[lineNo - 1] = text;
+  }
+
+  return { content: lines.join('\n'), occurrences, skipped };
+}
+
+/**
+ * Plans renaming (or merging, when `to` already exists) a concept or tag
+ * across the given parseFile results.
+ *
+ * Every file mentioning `from` inline or in front matter gets its new
+ * content, a unified diff and the ETag of the content the plan was made
+ * from, so a caller can refuse to write files that changed since.
+ */
+function planRename(files, request) {
+  const rename = normalizeRename(request);
+  const entityKind = ENTITY_KIND[rename.kind];
+  const planned = [];
+  let merge = false;
+
+  for (const data of files) {
+    const entities = data.entities || [];
+    if (entities.some(e => e.kind === entityKind && e.value === rename.to)) merge = true;
+    if (!entities.some(e => e.kind === entityKind && e.value === rename.from)) continue;
+
+    const result = renameInContent(data.content, entities, rename);
+    planned.push({
+      path: data.relativePath,
+      etag: contentVersion(data.content),
+      occurrences: result.occurrences,
+      skipped: result.skipped,
+      patch: createTwoFilesPatch(data.relativePath, data.relativePath, data.content, result.content),
+      content: result.content,
+    });
+  }
+
+  return {
+    ...rename,
+    merge,
+    occurrences: planned.reduce((sum, f) => sum + f.occurrences, 0),
+    files: planned,
+  };
+}
+
+module.exports = {
+  planRename,
+  renameInContent,
+};
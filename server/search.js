@@ -0,0 +1,291 @@
+const { dailyLogDate } = require('./parser');
+
+const NODE_TYPES = new Set(['file', 'event', 'task', 'decision', 'concept', 'tag']);
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Score multipliers: a hit in a name beats a hit in running text.
+const WEIGHT_LABEL = 4;
+const WEIGHT_HEADER = 3;
+const WEIGHT_BODY = 1;
+const EXACT_LABEL_BONUS = 10;
+
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Splits a search string into free-text terms and `key:value` filters.
+ *
+ * Supported filters: type: (file, event, task, decision, concept, tag),
+ * tag: (repeatable), after:, before: (inclusive YYYY-MM-DD, matched against
+ * daily log dates) and path: (substring).
+ * Double quotes keep a phrase together as a single term.
+ */
+function parseQuery(q) {
+  const query = { terms: [], types: [], tags: [], after: null, before: null, paths: [], errors: [] };
+  const tokenRegex = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = tokenRegex.exec(String(q || ''))) !== null) {
+    const key = (match[1] || match[3] || '').toLowerCase();
+    const value = (match[2] ?? match[4] ?? '').trim();
+    const term = (match[5] ?? match[6] ?? '').trim();
+
+    if (!key) {
+      if (term) query.terms.push(term.toLowerCase());
+      continue;
+    }
+
+    switch (key) {
+      case 'type':
+        if (NODE_TYPES.has(value.toLowerCase())) query.types.push(value.toLowerCase());
+        else query.errors.push(`Unknown type: ${value}`);
+        break;
+      case 'tag':
+        query.tags.push(value.replace(/^#/, '').toLowerCase());
+        break;
+      case 'after':
+      case 'before':
+        if (DATE_RE.test(value)) query[key] = value;
+        else query.errors.push(`${key}: expects YYYY-MM-DD`);
+        break;
+      case 'path':
+        query.paths.push(value.toLowerCase());
+        break;
+      default:
+        // Not a filter we know (e.g. "note:foo" in text): search it verbatim.
+        query.terms.push(`${key}:${value}`.toLowerCase());
+    }
+  }
+
+  return query;
+}
+
+function countOccurrences(haystack, needle) {
+  if (!needle) return 0;
+  let count = 0;
+  let i = haystack.indexOf(needle);
+  while (i !== -1) {
+    count++;
+    i = haystack.indexOf(needle, i + needle.length);
+  }
+  return count;
+}
+
+/**
+ * Scores text against every term; all terms must match (AND semantics).
+ */
+function scoreText(text, terms, weight) {
+  if (!terms.length) return 0;
+  const lower = String(text || '').toLowerCase();
+  let score = 0;
+  for (const term of terms) {
+    const n = countOccurrences(lower, term);
+    if (!n) return 0;
+    score += n * weight;
+  }
+  return score;
+}
+
+function snippetFor(line, terms) {
+  const text = String(line || '').trim();
+  if (text.length <= SNIPPET_RADIUS * 2) return text;
+
+  const lower = text.toLowerCase();
+  const at = terms.length ? Math.max(0, lower.indexOf(terms[0])) : 0;
+  const start = Math.max(0, at - SNIPPET_RADIUS);
+  const end = Math.min(text.length, at + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * First line (1-based) matching any term, or the first line when no terms.
+ */
+function firstMatchingLine(lines, terms, from = 0, to = lines.length) {
+  for (let i = from; i < to; i++) {
+    const lower = lines[i].toLowerCase();
+    if (!terms.length || terms.some(t => lower.includes(t))) return i + 1;
+  }
+  return null;
+}
+
+// File-level tag test on the parsed links, so front matter `tags` count too.
+function fileHasTag(data, tag) {
+  return data.links.some(l => l.type === 'tagged' && String(l.target).toLowerCase() === `tag:${tag}`);
+}
+
+// Section-level tag test on the same links, by line, so a `#tag` inside
+// code (which the parser skips) doesn't count.
+function sectionHasTag(data, tag, from, to) {
+  return data.links.some(l =>
+    l.type === 'tagged' && l.line >= from && l.line <= to && String(l.target).toLowerCase() === `tag:${tag}`
+  );
+}
+
+/**
+ * Keeps one of several file/event/item hits on the same line: the most
+ * specific (the item, the innermost section, then the file), scored as the
+ * best of them.
+ */
+function addLineHit(byLine, hit, span) {
+  const key = `${hit.path}\n${hit.line}`;
+  const existing = byLine.get(key);
+  if (!existing) {
+    byLine.set(key, { hit, span });
+    return;
+  }
+  const score = Math.max(existing.hit.score, hit.score);
+  if (span < existing.span) Object.assign(existing, { hit, span });
+  existing.hit.score = score;
+}
+
+/**
+ * Searches file contents, event headings, tasks, decisions, wikilink
+ * concepts and tags.
+ *
+ * `files` are parseFile results. Returns hits ranked by score, each pointing
+ * at a graph node id with the best matching line and a snippet.
+ */
+function searchMemory(files, q, { limit = 50 } = {}) {
+  const query = typeof q === 'string' ? parseQuery(q) : q;
+  const { terms } = query;
+  const wants = (type) => !query.types.length || query.types.includes(type);
+  const filtering = query.tags.length || query.after || query.before || query.paths.length || query.types.length;
+
+  const hits = [];
+  const lineHits = new Map(); // "path\nline" -> file/event/item hit reported there
+  const tokenHits = new Map(); // concept/tag id -> hit, merged across files
+
+  if (!terms.length && !filtering) return { query, total: 0, hits: [] };
+
+  for (const data of files) {
+    const relativePath = data.relativePath;
+    const content = String(data.content || '');
+    const lines = content.split('\n');
+    const date = dailyLogDate(relativePath);
+
+    if (query.paths.length && !query.paths.some(p => relativePath.toLowerCase().includes(p))) continue;
+    if ((query.after || query.before) && !date) continue;
+    if (query.after && date < query.after) continue;
+    if (query.before && date > query.before) continue;
+    if (!query.tags.every(tag => fileHasTag(data, tag))) continue;
+
+    // Files: full-text over the whole content
+    if (wants('file')) {
+      const score = terms.length ? scoreText(content, terms, WEIGHT_BODY) + scoreText(relativePath, terms, WEIGHT_LABEL) : 1;
+      if (score > 0) {
+        const line = firstMatchingLine(lines, terms) || 1;
+        addLineHit(lineHits, { id: `file:${relativePath}`, type: 'file', label: relativePath, path: relativePath, line, snippet: snippetFor(lines[line - 1], terms), date, score }, Infinity);
+      }
+    }
+
+    // Events: header text plus the body of their section. A tag filter
+    // applies to the section, so `type:event tag:decision` finds the
+    // decision entries rather than every header in a tagged file.
+    if (wants('event')) {
+      for (const event of data.nodes) {
+        if (event.type !== 'event' || !event.line) continue;
+        if (!query.tags.every(tag => sectionHasTag(data, tag, event.line, event.endLine))) continue;
+        const body = lines.slice(event.line, event.endLine).join('\n');
+
+        const headerScore = scoreText(event.label, terms, WEIGHT_HEADER);
+        const score = terms.length
+          ? headerScore + scoreText(`${event.label}\n${body}`, terms, WEIGHT_BODY)
+          : 1;
+        if (!score) continue;
+
+        const line = headerScore || !terms.length
+          ? event.line
+          : firstMatchingLine(lines, terms, event.line, event.endLine);
+        addLineHit(lineHits, {
+          id: event.id,
+          type: 'event',
+          label: event.label,
+          path: relativePath,
+          line,
+          snippet: snippetFor(lines[line - 1], terms),
+          date,
+          score,
+        }, event.endLine - event.line);
+      }
+    }
+
+    // Tasks and decisions: their item text; a tag filter applies to the
+    // item's own line.
+    for (const item of data.nodes) {
+      if (item.type !== 'task' && item.type !== 'decision') continue;
+      if (!wants(item.type)) continue;
+      if (!query.tags.every(tag => sectionHasTag(data, tag, item.line, item.line))) continue;
+
+      const score = terms.length ? scoreText(item.label, terms, WEIGHT_HEADER) : 1;
+      if (!score) continue;
+
+      addLineHit(lineHits, {
+        id: item.id,
+        type: item.type,
+        label: item.label,
+        path: relativePath,
+        line: item.line,
+        snippet: snippetFor(lines[item.line - 1], terms),
+        date: item.date || date,
+        score,
+      }, 0);
+    }
+
+    // Concepts and tags: matched on their name, merged across files
+    for (const n of data.nodes) {
+      if (n.type !== 'concept' && n.type !== 'tag') continue;
+      if (!wants(n.type)) continue;
+
+      const name = n.type === 'tag' ? n.label.replace(/^#/, '') : n.label;
+      let score = terms.length ? scoreText(name, terms, WEIGHT_LABEL) : 1;
+      if (!score) continue;
+      if (terms.length === 1 && name.toLowerCase() === terms[0]) score += EXACT_LABEL_BONUS;
+
+      // First mention, from the position recorded on the file's link to it
+      const mention = data.links.find(l => l.target === n.id && l.line);
+      const line = mention ? mention.line : null;
+      const lineIndex = line ? line - 1 : -1;
+
+      const existing = tokenHits.get(n.id);
+      if (existing) {
+        existing.mentions++;
+        // Prefer the most recent mention as the representative location
+        if (date && (!existing.date || date > existing.date)) {
+          Object.assign(existing, { path: relativePath, line, snippet: snippetFor(lines[lineIndex], terms), date });
+        }
+        continue;
+      }
+
+      const hit = {
+        id: n.id,
+        type: n.type,
+        label: n.label,
+        path: relativePath,
+        line,
+        snippet: lineIndex === -1 ? '' : snippetFor(lines[lineIndex], terms),
+        date,
+        score,
+        mentions: 1,
+      };
+      tokenHits.set(n.id, hit);
+      hits.push(hit);
+    }
+  }
+
+  for (const { hit } of lineHits.values()) hits.push(hit);
+
+  // A concept named in many files outranks a one-off.
+  for (const hit of tokenHits.values()) hit.score += Math.log2(hit.mentions);
+
+  hits.sort((a, b) =>
+    (b.score - a.score) ||
+    String(b.date || '').localeCompare(String(a.date || '')) ||
+    a.id.localeCompare(b.id)
+  );
+
+  return { query, total: hits.length, hits: hits.slice(0, limit) };
+}
+
+module.exports = {
+  parseQuery,
+  searchMemory,
+};
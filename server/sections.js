@@ -0,0 +1,40 @@
+const { parseContent } = require('./parser');
+
+/**
+ * The section of an event node in `content`: its heading line through the
+ * line before the next heading of the same or a higher level (nested
+ * headings included). Returns { id, line, endLine, text } or null when the
+ * event no longer exists.
+ */
+function findSection(content, relativePath, id) {
+  const event = parseContent(content, relativePath).nodes.find(n => n.type === 'event' && n.id === id);
+  if (!event) return null;
+
+  const lines = content.split('\n');
+  return {
+    id,
+    line: event.line,
+    endLine: event.endLine,
+    text: lines.slice(event.line - 1, event.endLine).join('\n'),
+  };
+}
+
+/**
+ * Replaces the lines of `section` with `text`. Returns the new content and
+ * the section's new line range.
+ */
+function spliceSection(content, section, text) {
+  const lines = content.split('\n');
+  const replacement = String(text).split('\n');
+  lines.splice(section.line - 1, section.endLine - section.line + 1, ...replacement);
+  return {
+    content: lines.join('\n'),
+    line: section.line,
+    endLine: section.line + replacement.length - 1,
+  };
+}
+
+module.exports = {
+  findSection,
+  spliceSection,
+};
@@ -0,0 +1,409 @@
+const path = require('path');
+
+// Used when memviz.config.json has no `similarity` section.
+const DEFAULT_SIMILARITY = {
+  backend: 'tfidf',
+  minScore: 0.25,
+  maxLinks: 120,
+  sections: true,
+  maxTerms: 64,
+};
+
+const BACKENDS = ['tfidf', 'bm25', 'embedding'];
+
+// Documents shorter than this say too little to be compared.
+const MIN_TERMS = 6;
+// Sparse backends also need this many shared terms before two documents link.
+const MIN_SHARED = 2;
+// Terms listed in a link's `reason`.
+const REASON_TERMS = 5;
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const EMBED_DIMENSIONS = 256;
+
+const STOPWORDS = new Set([
+  'the','and','that','with','this','from','have','your','you','for','are','was','were','will','just','not','but','what','when','where','who','why','how','into','onto','over','under','than','then','them','they','their','there','here','been','being','can','could','should','would','about','also','only','some','more','most','much','very','like','its','itself','our','out','off','because','while','within','without','across','after','before','during','between','through','these','those','such','may','might','must','shall','dont','doesnt','didnt','cant','wont','ive','all','any','one','two','get','got','did','does','had','has','use','used','using','new','now','still','yet','each','other'
+]);
+
+function endsWithAny(word, suffixes) {
+  return suffixes.some(s => word.endsWith(s));
+}
+
+// Light plural folding, so "decision" and "decisions" count as one term.
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 5 && endsWithAny(word, ['sses', 'xes', 'ches', 'shes', 'oes'])) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !endsWithAny(word, ['ss', 'us', 'is'])) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Terms of a piece of prose: lowercased words of three or more characters,
+ * without URLs, numbers-only tokens and stopwords, plurals folded.
+ */
+function tokenize(text) {
+  return String(text || '')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}_-]+/u)
+    .map(w => w.replace(/^[-_]+|[-_]+$/g, ''))
+    .filter(w => w.length >= 3 && !/^[\d_-]+$/.test(w) && !STOPWORDS.has(w))
+    .map(stem);
+}
+
+function termCounts(terms) {
+  const tf = new Map();
+  for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+  return tf;
+}
+
+// FNV-1a, for the feature hashing of the built-in embedding.
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function normalizeDense(vector) {
+  let norm = 0;
+  for (const v of vector) norm += v * v;
+  norm = Math.sqrt(norm);
+  if (norm) for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  return vector;
+}
+
+/**
+ * Stand-in for a local embedding model: terms and their character trigrams
+ * hashed into a fixed number of dimensions. Related spellings ("deploy",
+ * "deployment") land close together, which plain term matching misses.
+ */
+function hashedEmbedding(tf) {
+  const vector = new Float32Array(EMBED_DIMENSIONS);
+  for (const [term, count] of tf) {
+    const weight = 1 + Math.log(count);
+    const h = hash(term);
+    vector[h % EMBED_DIMENSIONS] += (h & 0x80000000 ? -1 : 1) * weight;
+
+    const padded = `^${term}$`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      const g = hash(padded.slice(i, i + 3));
+      vector[g % EMBED_DIMENSIONS] += (g & 0x80000000 ? -1 : 1) * weight * 0.5;
+    }
+  }
+  return normalizeDense(vector);
+}
+
+/**
+ * Loads an embedding module: a file exporting `embed(texts)`, which returns
+ * (or resolves to) one numeric vector per text, e.g. a wrapper around an
+ * offline sentence-embedding model.
+ */
+function loadEmbedder(modulePath) {
+  const mod = require(path.resolve(modulePath));
+  const embed = typeof mod === 'function' ? mod : mod && mod.embed;
+  if (typeof embed !== 'function') throw new Error(`Embedding module ${modulePath} does not export embed(texts)`);
+  return embed;
+}
+
+// Keeps the `max` heaviest entries of a sparse vector and rescales it to unit length.
+function topTerms(weights, max) {
+  const kept = [...weights].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1)).slice(0, max);
+  const norm = Math.sqrt(kept.reduce((sum, [, w]) => sum + w * w, 0));
+  return new Map(norm ? kept.map(([t, w]) => [t, w / norm]) : []);
+}
+
+function cosineDense(a, b) {
+  if (a.length !== b.length) return 0;
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+// Ids may contain any character, so the ordered pair is JSON-encoded.
+function pairKey(a, b) {
+  return JSON.stringify(a < b ? [a, b] : [b, a]);
+}
+
+/**
+ * Normalises a `similarity` config section over DEFAULT_SIMILARITY.
+ */
+function normalizeSimilarity(raw = {}) {
+  const opts = { ...DEFAULT_SIMILARITY, ...raw };
+  if (!BACKENDS.includes(opts.backend)) {
+    throw new Error(`Unknown similarity backend "${opts.backend}" (expected ${BACKENDS.join(', ')})`);
+  }
+  const minScore = Number(opts.minScore);
+  const maxLinks = Number(opts.maxLinks);
+  const maxTerms = Number(opts.maxTerms);
+  return {
+    backend: opts.backend,
+    minScore: Number.isFinite(minScore) ? Math.min(Math.max(minScore, 0), 1) : DEFAULT_SIMILARITY.minScore,
+    maxLinks: Number.isInteger(maxLinks) && maxLinks >= 0 ? maxLinks : DEFAULT_SIMILARITY.maxLinks,
+    sections: opts.sections !== false,
+    maxTerms: Number.isInteger(maxTerms) && maxTerms > 0 ? maxTerms : DEFAULT_SIMILARITY.maxTerms,
+    embedModule: opts.embedModule ? String(opts.embedModule) : null,
+  };
+}
+
+/**
+ * Incremental similarity index over the prose of files and their sections.
+ *
+ * Every document (a file body, or one heading's section) is turned into a
+ * vector by the configured backend:
+ *   - `tfidf`: log-scaled term frequency times smoothed inverse document
+ *     frequency;
+ *   - `bm25`: BM25 term weights (k1 1.2, b 0.75);
+ *   - `embedding`: a dense vector from `embedModule`, or a hashed term and
+ *     trigram embedding when no module is configured.
+ * Documents are compared by cosine; files only with files and sections only
+ * with sections of other files. Each link carries its `score`, the number of
+ * shared terms as `weight` and the strongest of them in `reason`.
+ *
+ * Changed documents are recomputed against all others on update(). Vectors
+ * use the document frequencies at the time a document was last indexed, so
+ * scores of untouched documents drift slightly until they change again.
+ */
+function createSimilarityIndex(options) {
+  const opts = normalizeSimilarity(options);
+  const embedder = opts.backend === 'embedding' && opts.embedModule ? loadEmbedder(opts.embedModule) : null;
+
+  const docs = new Map(); // docId -> { fileId, kind, text, tf, length, vector }
+  const docsByFile = new Map(); // fileId -> [docId]
+  const df = new Map(); // term -> number of documents containing it
+  let totalLength = 0;
+
+  const postings = new Map(); // term -> Map(docId -> weight), sparse backends only
+  const dirty = new Set(); // docIds whose vector and links need recomputing
+  const pairs = new Map(); // pairKey -> link
+  const pairsByDoc = new Map(); // docId -> Set(pairKey)
+
+  let cachedLinks = null;
+
+  function addToSetMap(map, key, value) {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(value);
+  }
+
+  function dropPostings(docId, doc) {
+    if (!(doc.vector instanceof Map)) return;
+    for (const term of doc.vector.keys()) {
+      const list = postings.get(term);
+      if (!list) continue;
+      list.delete(docId);
+      if (!list.size) postings.delete(term);
+    }
+  }
+
+  function dropPairs(docId) {
+    for (const key of pairsByDoc.get(docId) || []) {
+      const { source, target } = pairs.get(key);
+      pairs.delete(key);
+      const other = pairsByDoc.get(source === docId ? target : source);
+      if (other) other.delete(key);
+    }
+    pairsByDoc.delete(docId);
+  }
+
+  function removeDoc(docId) {
+    const doc = docs.get(docId);
+    if (!doc) return;
+    dropPostings(docId, doc);
+    dropPairs(docId);
+    for (const term of doc.tf.keys()) {
+      const n = df.get(term) - 1;
+      if (n) df.set(term, n);
+      else df.delete(term);
+    }
+    totalLength -= doc.length;
+    docs.delete(docId);
+    dirty.delete(docId);
+  }
+
+  /**
+   * Replaces the documents of a file: `[{ id, text }]`, the first being the
+   * file itself and the rest its sections (see parseContent).
+   */
+  function setDocuments(fileId, documents = []) {
+    removeFile(fileId);
+    const ids = [];
+    for (const d of opts.sections ? documents : documents.slice(0, 1)) {
+      // A section spanning the whole file (e.g. a lone top-level heading) adds nothing.
+      if (d.id !== fileId && documents[0] && d.text === documents[0].text) continue;
+      const terms = tokenize(d.text);
+      if (terms.length < MIN_TERMS) continue;
+      const tf = termCounts(terms);
+      for (const term of tf.keys()) df.set(term, (df.get(term) || 0) + 1);
+      totalLength += terms.length;
+      docs.set(d.id, { fileId, kind: d.id === fileId ? 'file' : 'section', text: d.text, tf, length: terms.length, vector: null });
+      dirty.add(d.id);
+      ids.push(d.id);
+    }
+    docsByFile.set(fileId, ids);
+    cachedLinks = null;
+  }
+
+  function removeFile(fileId) {
+    for (const docId of docsByFile.get(fileId) || []) removeDoc(docId);
+    docsByFile.delete(fileId);
+    cachedLinks = null;
+  }
+
+  function idf(term) {
+    const n = df.get(term) || 0;
+    return opts.backend === 'bm25'
+      ? Math.log(1 + (docs.size - n + 0.5) / (n + 0.5))
+      : Math.log((docs.size + 1) / (n + 1)) + 1;
+  }
+
+  function sparseVector(doc) {
+    const avgLength = docs.size ? totalLength / docs.size : 1;
+    const weights = new Map();
+    for (const [term, count] of doc.tf) {
+      const w = opts.backend === 'bm25'
+        ? (count * (BM25_K1 + 1)) / (count + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength))
+        : 1 + Math.log(count);
+      weights.set(term, w * idf(term));
+    }
+    return topTerms(weights, opts.maxTerms);
+  }
+
+  // Shared terms, strongest first by their lower weight in either document.
+  function sharedTerms(a, b) {
+    const [small, big] = a.tf.size <= b.tf.size ? [a, b] : [b, a];
+    const shared = [];
+    for (const [term, count] of small.tf) {
+      if (big.tf.has(term)) shared.push([term, Math.min(count, big.tf.get(term)) * idf(term)]);
+    }
+    return shared.sort((x, y) => y[1] - x[1] || (x[0] < y[0] ? -1 : 1)).map(([term]) => term);
+  }
+
+  function candidates(docId, doc) {
+    const scores = new Map();
+    if (doc.vector instanceof Map) {
+      for (const [term, w] of doc.vector) {
+        for (const [otherId, ow] of postings.get(term) || []) {
+          if (otherId !== docId) scores.set(otherId, (scores.get(otherId) || 0) + w * ow);
+        }
+      }
+    } else {
+      for (const [otherId, other] of docs) {
+        if (otherId !== docId && other.vector) scores.set(otherId, cosineDense(doc.vector, other.vector));
+      }
+    }
+    return scores;
+  }
+
+  function linkDoc(docId) {
+    const doc = docs.get(docId);
+    dropPairs(docId);
+    for (const [otherId, raw] of candidates(docId, doc)) {
+      const other = docs.get(otherId);
+      if (other.fileId === doc.fileId || other.kind !== doc.kind) continue;
+      const score = Math.min(raw, 1);
+      if (score < opts.minScore) continue;
+
+      const shared = sharedTerms(doc, other);
+      if (doc.vector instanceof Map && shared.length < MIN_SHARED) continue;
+
+      const key = pairKey(docId, otherId);
+      const [source, target] = docId < otherId ? [docId, otherId] : [otherId, docId];
+      pairs.set(key, {
+        source,
+        target,
+        type: 'related',
+        via: 'text',
+        score: Math.round(score * 1000) / 1000,
+        weight: shared.length,
+        reason: shared.length ? `shared terms: ${shared.slice(0, REASON_TERMS).join(', ')}` : 'similar wording',
+      });
+      addToSetMap(pairsByDoc, docId, key);
+      addToSetMap(pairsByDoc, otherId, key);
+    }
+  }
+
+  function vectorize(docId, vector) {
+    const doc = docs.get(docId);
+    dropPostings(docId, doc);
+    doc.vector = vector;
+    if (vector instanceof Map) {
+      for (const [term, w] of vector) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        postings.get(term).set(docId, w);
+      }
+    }
+  }
+
+  /**
+   * Vectorizes changed documents and recomputes their links. Documents waiting
+   * for an embedding module (see prepare) are left for later.
+   */
+  function update() {
+    const ready = [...dirty].filter(id => !embedder || docs.get(id).vector);
+    if (!ready.length) return false;
+    if (!embedder) {
+      for (const docId of ready) {
+        const doc = docs.get(docId);
+        vectorize(docId, opts.backend === 'embedding' ? hashedEmbedding(doc.tf) : sparseVector(doc));
+      }
+    }
+    for (const docId of ready) {
+      linkDoc(docId);
+      dirty.delete(docId);
+    }
+    cachedLinks = null;
+    return true;
+  }
+
+  /**
+   * Runs the embedding module over changed documents, then update(). A no-op
+   * apart from update() for the built-in backends.
+   */
+  async function prepare() {
+    const pending = [...dirty].filter(id => !docs.get(id).vector);
+    if (embedder && pending.length) {
+      const embedded = pending.map(id => docs.get(id));
+      const vectors = await embedder(embedded.map(doc => doc.text));
+      pending.forEach((docId, i) => {
+        // The file may have changed while the module was working: a removed
+        // or re-added document is no longer the one that was embedded.
+        if (docs.get(docId) !== embedded[i] || !vectors || !vectors[i]) return;
+        vectorize(docId, normalizeDense(Float32Array.from(vectors[i])));
+      });
+    }
+    return update();
+  }
+
+  /**
+   * The strongest `maxLinks` similarity links, best first.
+   */
+  function links() {
+    update();
+    if (!cachedLinks) {
+      cachedLinks = [...pairs.values()]
+        .sort((x, y) => (y.score - x.score) || (y.weight - x.weight) || (x.source < y.source ? -1 : 1))
+        .slice(0, opts.maxLinks);
+    }
+    return cachedLinks;
+  }
+
+  return {
+    options: opts,
+    setDocuments,
+    removeFile,
+    update,
+    prepare,
+    links,
+  };
+}
+
+module.exports = {
+  BACKENDS,
+  DEFAULT_SIMILARITY,
+  createSimilarityIndex,
+  normalizeSimilarity,
+  tokenize,
+};
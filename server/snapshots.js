@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { execFile, spawn } = require('child_process');
+const { parseContent, matchRoot } = require('./parser');
+const { createGraphIndex } = require('./graph-index');
+
+// `<ms>.json.gz` holds the graph recorded at that time.
+const SNAPSHOT_RE = /^(\d+)\.json\.gz$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+// Graphs rebuilt from git commits kept in memory.
+const GIT_CACHE_SIZE = 8;
+
+function graphHash(graph) {
+  return crypto.createHash('sha1').update(JSON.stringify(graph)).digest('hex');
+}
+
+function git(args, cwd) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, maxBuffer: 64 * 1024 * 1024 }, (err, stdout) => (err ? reject(err) : resolve(stdout)));
+  });
+}
+
+/**
+ * Reads many blobs through one `git cat-file --batch`. `names` are
+ * `<rev>:./<path>` object names; returns their contents in the same order,
+ * null for any that are missing.
+ */
+function catFiles(names, cwd) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', ['cat-file', '--batch'], { cwd });
+    const chunks = [];
+    child.stdout.on('data', chunk => chunks.push(chunk));
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code) return reject(new Error(`git cat-file exited with ${code}`));
+      const out = Buffer.concat(chunks);
+      const contents = [];
+      let pos = 0;
+      for (let i = 0; i < names.length; i++) {
+        const eol = out.indexOf(10, pos);
+        const header = out.slice(pos, eol).toString();
+        pos = eol + 1;
+        if (header.endsWith(' missing')) {
+          contents.push(null);
+          continue;
+        }
+        const size = Number(header.split(' ')[2]);
+        contents.push(out.slice(pos, pos + size).toString('utf8'));
+        pos += size + 1;
+      }
+      resolve(contents);
+    });
+    child.stdin.end(names.map(n => `${n}\n`).join(''));
+  });
+}
+
+/**
+ * Points in time the memory graph can be compared at.
+ *
+ * Recorded snapshots are gzipped buildGraph results in `dir`, written by
+ * record() (periodically by the server) and skipped when nothing changed
+ * since the last one; `maxCount` keeps only the newest (0 keeps all). When
+ * `root` is inside a git repository, the last `gitLimit` commits touching it
+ * are listed too and their graphs are rebuilt from the committed files with
+ * the same discovery and similarity settings.
+ *
+ * Ids are `snap-<ms>` and `git-<sha>`.
+ */
+function createSnapshotStore({ root, dir, discovery, maxCount = 0, gitLimit = 200 }) {
+  const gitGraphs = new Map(); // sha -> Promise(graph), oldest first
+  let lastHash = null;
+
+  function fileOf(timestamp) {
+    return path.join(dir, `${timestamp}.json.gz`);
+  }
+
+  function recorded() {
+    let names;
+    try {
+      names = fs.readdirSync(dir);
+    } catch (err) {
+      return [];
+    }
+    return names
+      .map(name => SNAPSHOT_RE.exec(name))
+      .filter(Boolean)
+      .map(m => {
+        const timestamp = Number(m[1]);
+        return { id: `snap-${timestamp}`, source: 'snapshot', timestamp, date: new Date(timestamp).toISOString() };
+      });
+  }
+
+  async function commits() {
+    let out;
+    try {
+      out = await git(['log', `-n${gitLimit}`, '--format=%H%x09%ct%x09%s', '--', '.'], root);
+    } catch (err) {
+      return []; // not a repository, or git is not installed
+    }
+    return out.split('\n').filter(Boolean).map(line => {
+      const [sha, seconds, ...subject] = line.split('\t');
+      const timestamp = Number(seconds) * 1000;
+      return { id: `git-${sha}`, source: 'git', timestamp, date: new Date(timestamp).toISOString(), commit: sha, subject: subject.join('\t') };
+    });
+  }
+
+  /**
+   * Every snapshot and commit, oldest first.
+   */
+  async function list() {
+    const all = [...recorded(), ...await commits()];
+    return all.sort((a, b) => a.timestamp - b.timestamp || a.id.localeCompare(b.id));
+  }
+
+  function readSnapshot(timestamp) {
+    return JSON.parse(zlib.gunzipSync(fs.readFileSync(fileOf(timestamp))).toString('utf8'));
+  }
+
+  async function buildAtCommit(sha) {
+    const out = await git(['ls-tree', '-r', '--name-only', sha, '--', '.'], root);
+    const files = out.split('\n').filter(Boolean)
+      .map(relativePath => ({ relativePath, match: matchRoot(relativePath, discovery) }))
+      .filter(f => f.match && f.relativePath.toLowerCase().endsWith('.md'));
+
+    const contents = await catFiles(files.map(f => `${sha}:./${f.relativePath}`), root);
+    const index = createGraphIndex({ similarity: discovery && discovery.similarity });
+    files.forEach((f, i) => {
+      if (contents[i] === null) return;
+      index.upsert(parseContent(contents[i], f.relativePath.split('/').join(path.sep), { rootLabel: f.match.label }));
+    });
+    await index.prepare();
+    return index.toGraph();
+  }
+
+  function graphAtCommit(sha) {
+    if (!gitGraphs.has(sha)) {
+      const pending = buildAtCommit(sha);
+      pending.catch(() => gitGraphs.delete(sha));
+      gitGraphs.set(sha, pending);
+      if (gitGraphs.size > GIT_CACHE_SIZE) gitGraphs.delete(gitGraphs.keys().next().value);
+    }
+    return gitGraphs.get(sha);
+  }
+
+  /**
+   * The graph of snapshot `id`. Throws with `status` 404 for unknown ids.
+   */
+  async function load(id) {
+    const snap = /^snap-(\d+)$/.exec(id);
+    if (snap && fs.existsSync(fileOf(snap[1]))) return readSnapshot(snap[1]);
+
+    const commit = /^git-([0-9a-f]{7,40})$/.exec(id);
+    if (commit) {
+      try {
+        return await graphAtCommit(commit[1]);
+      } catch (err) {
+        // not a commit of this repository
+      }
+    }
+
+    const err = new Error(`No snapshot ${id}`);
+    err.status = 404;
+    throw err;
+  }
+
+  /**
+   * The snapshot a `from`/`to` parameter names: an id, or a date
+   * (YYYY-MM-DD, local time) meaning the last snapshot taken by the end of
+   * that day. Returns null when there is none.
+   */
+  async function resolve(ref) {
+    const value = String(ref || '');
+    const all = await list();
+    if (!DATE_RE.test(value)) return all.find(s => s.id === value) || null;
+
+    const [y, m, d] = value.split('-').map(Number);
+    const endOfDay = new Date(y, m - 1, d + 1).getTime();
+    const before = all.filter(s => s.timestamp < endOfDay);
+    return before.length ? before[before.length - 1] : null;
+  }
+
+  function prune() {
+    if (!maxCount) return [];
+    const removed = recorded().sort((a, b) => b.timestamp - a.timestamp).slice(maxCount);
+    for (const s of removed) fs.rmSync(fileOf(s.timestamp), { force: true });
+    return removed;
+  }
+
+  /**
+   * Stores `graph` as a new snapshot unless it equals the last one recorded.
+   * Returns the new entry, or null when nothing changed.
+   */
+  function record(graph, now = Date.now()) {
+    const hash = graphHash(graph);
+    if (lastHash === null) {
+      const latest = recorded().sort((a, b) => b.timestamp - a.timestamp)[0];
+      try {
+        lastHash = latest ? graphHash(readSnapshot(latest.timestamp)) : '';
+      } catch (err) {
+        lastHash = '';
+      }
+    }
+    if (hash === lastHash) return null;
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(fileOf(now), zlib.gzipSync(JSON.stringify(graph)));
+    lastHash = hash;
+    prune();
+    return { id: `snap-${now}`, source: 'snapshot', timestamp: now, date: new Date(now).toISOString() };
+  }
+
+  return {
+    list,
+    load,
+    resolve,
+    record,
+    prune,
+  };
+}
+
+module.exports = {
+  createSnapshotStore,
+};
@@ -0,0 +1,83 @@
+const { parseContent } = require('./parser');
+const { endpointId } = require('./util');
+
+// Newest first; undated items last, then by file and line.
+function byDateDesc(a, b) {
+  return (b.date || '').localeCompare(a.date || '') || a.path.localeCompare(b.path) || a.line - b.line;
+}
+
+/**
+ * Tasks and decisions in `graph` (see parseContent): tasks filtered by
+ * `status` ('open', 'done' or 'all'), decisions dated on or after `since`
+ * (YYYY-MM-DD) when given. Each comes with its file, line, date, section and
+ * the concepts it mentions; at most `limit` of each, newest first.
+ */
+function listTasks(graph, { status = 'open', since = null, limit = 200 } = {}) {
+  const nodeById = new Map(graph.nodes.map(n => [n.id, n]));
+  const sections = new Map();
+  const concepts = new Map();
+  for (const l of graph.links) {
+    const source = nodeById.get(endpointId(l.source));
+    const target = nodeById.get(endpointId(l.target));
+    if (!source || !target) continue;
+    if (l.type === 'item' && source.type === 'event') sections.set(target.id, source.label);
+    if (l.type === 'mentions') {
+      if (!concepts.has(source.id)) concepts.set(source.id, []);
+      concepts.get(source.id).push(target.label);
+    }
+  }
+
+  const entry = n => ({
+    id: n.id,
+    type: n.type,
+    kind: n.kind,
+    text: n.label,
+    ...(n.type === 'task' ? { checked: n.checked } : {}),
+    path: n.source,
+    line: n.line,
+    date: n.date || null,
+    section: sections.get(n.id) || null,
+    concepts: concepts.get(n.id) || [],
+  });
+
+  const tasks = graph.nodes
+    .filter(n => n.type === 'task' && (status === 'all' || n.checked === (status === 'done')))
+    .map(entry)
+    .sort(byDateDesc);
+  const decisions = graph.nodes
+    .filter(n => n.type === 'decision' && (!since || (n.date && n.date >= since)))
+    .map(entry)
+    .sort(byDateDesc);
+
+  return {
+    tasks: tasks.slice(0, limit),
+    decisions: decisions.slice(0, limit),
+    counts: { tasks: tasks.length, decisions: decisions.length },
+  };
+}
+
+/**
+ * Ticks (`checked` true) or unticks task `id` in `content`. A `#todo` item
+ * without a checkbox gets one. Returns { content, line, changed } or null
+ * when the task no longer exists.
+ */
+function toggleTask(content, relativePath, id, checked) {
+  const task = parseContent(content, relativePath).nodes.find(n => n.type === 'task' && n.id === id);
+  if (!task) return null;
+  if (task.checked === checked && task.kind === 'checkbox') return { content, line: task.line, changed: false };
+
+  const lines = content.split('\n');
+  const text = lines[task.line - 1];
+  const at = task.column - 1;
+  const box = checked ? '[x]' : '[ ]';
+  lines[task.line - 1] = task.kind === 'checkbox'
+    ? text.slice(0, at) + box + text.slice(at + 3)
+    : `${text.slice(0, at)}${box} ${text.slice(at)}`;
+
+  return { content: lines.join('\n'), line: task.line, changed: true };
+}
+
+module.exports = {
+  listTasks,
+  toggleTask,
+};
@@ -0,0 +1,34 @@
+const path = require('path');
+
+/**
+ * Small helpers shared by the server modules and the CLI.
+ */
+
+// A link endpoint as a node id; d3 replaces ids with node objects.
+function endpointId(v) {
+  return v && typeof v === 'object' ? v.id : v;
+}
+
+// `related` links split by how they were derived, as in the UI legend.
+function linkKind(l) {
+  return l.type === 'related' ? `related:${l.via}` : l.type;
+}
+
+// "a, b,,c" -> ['a', 'b', 'c']
+function splitList(value) {
+  return String(value || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function toPosix(p) {
+  return String(p).split(path.sep).join('/');
+}
+
+module.exports = {
+  endpointId,
+  linkKind,
+  splitList,
+  toPosix,
+};
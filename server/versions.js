@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const { createTwoFilesPatch } = require('diff');
+const { mergeDiff3 } = require('node-diff3');
+
+/**
+ * Strong ETag for a file's content. Content-based rather than mtime-based,
+ * so a rewrite with identical bytes is not a conflict.
+ */
+function contentVersion(content) {
+  return `"${crypto.createHash('sha256').update(content, 'utf8').digest('base64url').slice(0, 22)}"`;
+}
+
+/**
+ * Whether an If-Match header accepts the given version (`*` or a listed
+ * ETag; weak validators never match, as RFC 9110 requires for If-Match).
+ */
+function ifMatchAccepts(header, version) {
+  return String(header)
+    .split(',')
+    .map(v => v.trim())
+    .some(v => v === '*' || v === version);
+}
+
+function splitLines(text) {
+  return String(text).split('\n');
+}
+
+/**
+ * Three-way merge of an edit (`yours`) and the file on disk (`theirs`)
+ * against the version the edit started from (`base`). Conflicting hunks are
+ * written with git-style `<<<<<<< yours` / `||||||| base` / `>>>>>>> disk`
+ * markers. Also returns what each side changed, as unified diffs.
+ */
+function mergeVersions({ base, yours, theirs, path = 'file' }) {
+  const merged = mergeDiff3(splitLines(yours), splitLines(base), splitLines(theirs), {
+    label: { a: 'yours', o: 'base', b: 'disk' },
+  });
+  const content = merged.result.join('\n');
+
+  return {
+    content,
+    conflict: merged.conflict,
+    conflicts: merged.result.filter(l => l.startsWith('<<<<<<< ')).length,
+    yours: createTwoFilesPatch(`${path} (base)`, `${path} (yours)`, base, yours),
+    theirs: createTwoFilesPatch(`${path} (base)`, `${path} (disk)`, base, theirs),
+  };
+}
+
+module.exports = {
+  contentVersion,
+  ifMatchAccepts,
+  mergeVersions,
+};
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCredentials, createAuth, corsOptions } = require('../server/auth');
+
+// Just enough of Express's req/res for the middleware.
+function request(headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { get: name => lower[name.toLowerCase()] };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    set(name, value) { this.headers[name] = value; return this; },
+  };
+}
+
+// Runs a middleware; returns whether it called next().
+function run(middleware, req, res) {
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return passed;
+}
+
+const credentials = loadCredentials({
+  MEMORY_AUTH_TOKENS: 'r-token:reader:bot, e-token:editor',
+  MEMORY_AUTH_USERS: 'alice:pa:ss:admin',
+});
+
+test('loadCredentials: parses tokens and users, passwords may contain ":"', () => {
+  assert.deepEqual(credentials.tokens, [
+    { token: 'r-token', role: 'reader', name: 'bot' },
+    { token: 'e-token', role: 'editor', name: 'token-2' },
+  ]);
+  assert.deepEqual(credentials.users, [{ name: 'alice', password: 'pa:ss', role: 'admin' }]);
+});
+
+test('loadCredentials: rejects unknown roles', () => {
+  assert.throws(() => loadCredentials({ MEMORY_AUTH_TOKENS: 't:owner' }), /Unknown role "owner"/);
+});
+
+test('authenticate: Bearer and Basic credentials identify the user', () => {
+  const auth = createAuth(credentials);
+
+  const bearer = request({ Authorization: 'Bearer e-token' });
+  assert.ok(run(auth.authenticate, bearer, response()));
+  assert.deepEqual(bearer.user, { name: 'token-2', role: 'editor', via: 'token' });
+
+  const basic = request({ Authorization: `Basic ${Buffer.from('alice:pa:ss').toString('base64')}` });
+  assert.ok(run(auth.authenticate, basic, response()));
+  assert.equal(basic.user.role, 'admin');
+});
+
+test('authenticate: 401 without valid credentials', () => {
+  const auth = createAuth(credentials);
+  for (const headers of [{}, { Authorization: 'Bearer nope' }, { Authorization: `Basic ${Buffer.from('alice:wrong').toString('base64')}` }]) {
+    const res = response();
+    assert.ok(!run(auth.authenticate, request(headers), res));
+    assert.equal(res.statusCode, 401);
+    assert.match(res.headers['WWW-Authenticate'], /^Bearer/);
+  }
+});
+
+test('authenticate: with no credentials configured everyone is an anonymous admin', () => {
+  const auth = createAuth({});
+  const req = request();
+  assert.equal(auth.enabled, false);
+  assert.ok(run(auth.authenticate, req, response()));
+  assert.equal(req.user.role, 'admin');
+});
+
+test('requireRole: each role reaches its own level and below', () => {
+  const auth = createAuth(credentials);
+  const allowed = (role, needed) => {
+    const res = response();
+    const passed = run(auth.requireRole(needed), { user: { name: 'x', role } }, res);
+    if (!passed) assert.equal(res.statusCode, 403);
+    return passed;
+  };
+
+  assert.deepEqual(['reader', 'editor', 'admin'].map(r => allowed(r, 'reader')), [true, true, true]);
+  assert.deepEqual(['reader', 'editor', 'admin'].map(r => allowed(r, 'editor')), [false, true, true]);
+  assert.deepEqual(['reader', 'editor', 'admin'].map(r => allowed(r, 'admin')), [false, false, true]);
+
+  const res = response();
+  assert.ok(!run(auth.requireRole('reader'), {}, res));
+  assert.equal(res.statusCode, 403);
+});
+
+test('corsOptions: only listed origins, and never credentials with *', (t, done) => {
+  const options = corsOptions('http://localhost:3000');
+  assert.equal(options.credentials, true);
+  options.origin('http://evil.example', (err, allowed) => {
+    assert.equal(allowed, false);
+    options.origin('http://localhost:3000', (err2, allowed2) => {
+      assert.equal(allowed2, true);
+      assert.deepEqual(corsOptions('*'), { origin: '*', credentials: false, exposedHeaders: ['ETag'] });
+      done();
+    });
+  });
+});
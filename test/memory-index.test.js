@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryIndex, watchTargets } = require('../server/memory-index');
+
+const ROOT = path.resolve('/srv/memory');
+
+test('watchTargets: the fixed part of each include, recursive when the glob reaches into subdirectories', () => {
+  const targets = watchTargets(ROOT, {
+    roots: [
+      { label: 'memory', path: '.', include: ['MEMORY.md', 'memory/**/*.md'] },
+      { label: 'projects', path: 'projects', include: ['*/NOTES.md'] },
+      { label: 'notes', path: 'notes', include: ['*.md'] },
+    ],
+    exclude: [],
+  });
+
+  assert.deepEqual([...targets], [
+    [ROOT, false],
+    [path.join(ROOT, 'memory'), true],
+    [path.join(ROOT, 'projects'), true],
+    [path.join(ROOT, 'notes'), false],
+  ]);
+});
+
+test('watchTargets: never the whole root for a plain file include, so node_modules and .git stay unwatched', () => {
+  const targets = watchTargets(ROOT, { roots: [{ label: 'memory', path: '.', include: ['MEMORY.md'] }], exclude: [] });
+  assert.deepEqual([...targets], [[ROOT, false]]);
+});
+
+test('watchTargets: directories inside a recursively watched one are dropped', () => {
+  const targets = watchTargets(ROOT, {
+    roots: [
+      { label: 'all', path: '.', include: ['memory/**/*.md'] },
+      { label: 'daily', path: 'memory/daily', include: ['*.md'] },
+    ],
+    exclude: [],
+  });
+  assert.deepEqual([...targets], [[path.join(ROOT, 'memory'), true]]);
+});
+
+test('watchTargets: the whole root, recursively, without a discovery config', () => {
+  assert.deepEqual([...watchTargets(ROOT)], [[ROOT, true]]);
+});
+
+test('createMemoryIndex: indexes what the roots include, minus excludes', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'memviz-index-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  };
+  write('MEMORY.md', '# Memory\n\n[[Alpha]]\n');
+  write('memory/2026-03-01.md', '## Log\n\n[[Alpha]] #ops\n');
+  write('memory/archive/old.md', '## Old\n');
+  write('node_modules/pkg/README.md', '# Readme\n');
+
+  const index = createMemoryIndex({
+    root,
+    discovery: {
+      roots: [{ label: 'memory', path: '.', include: ['MEMORY.md', 'memory/**/*.md'] }],
+      exclude: ['memory/archive/**'],
+    },
+    rescanInterval: 0,
+  });
+  t.after(() => index.stop());
+
+  const files = await index.getFiles();
+  assert.deepEqual(files.map(f => f.relativePath), ['MEMORY.md', path.join('memory', '2026-03-01.md')]);
+
+  write('memory/2026-03-02.md', '## Log\n\n#ops again\n');
+  fs.rmSync(path.join(root, 'MEMORY.md'));
+  const changes = await index.refresh();
+  assert.deepEqual(changes, { added: [path.join('memory', '2026-03-02.md')], changed: [], removed: ['MEMORY.md'] });
+
+  const { graph, version } = await index.getSnapshot();
+  assert.equal(version, 2);
+  assert.ok(graph.nodes.some(n => n.id === 'tag:ops'));
+  assert.ok(!graph.nodes.some(n => n.id === 'file:MEMORY.md'));
+});
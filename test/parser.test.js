@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseContent, dailyLogDate, matchRoot } = require('../server/parser');
+
+const DAILY = [
+  '---',
+  'tags: [ops]',
+  'aliases: [Index]',
+  '---',
+  '# Memory',
+  '',
+  'Working on [[Protocol Black|the protocol]] #infra',
+  '',
+  '## Decisions',
+  '',
+  '- [ ] write runbook [[Monitor]] #todo',
+  '- use postgres #decision',
+  '',
+  '```',
+  '#notatag [[NotALink]]',
+  '```',
+  '',
+  '### Sub',
+  '',
+  'see [[MEMORY#Decisions]] and `#inline`',
+  '',
+].join('\n');
+
+const ids = (items, type) => items.filter(n => n.type === type).map(n => n.id);
+
+test('parseContent: file node carries the daily log date and front matter aliases', () => {
+  const { nodes } = parseContent(DAILY, 'memory/2026-03-01.md');
+  const file = nodes.find(n => n.type === 'file');
+  assert.equal(file.id, 'file:memory/2026-03-01.md');
+  assert.equal(file.date, '2026-03-01');
+  assert.deepEqual(file.aliases, ['Index']);
+});
+
+test('parseContent: wikilinks become concepts, by target rather than alias or heading', () => {
+  const { nodes } = parseContent(DAILY, 'memory/2026-03-01.md');
+  assert.deepEqual(ids(nodes, 'concept').sort(), ['concept:MEMORY', 'concept:Monitor', 'concept:Protocol Black']);
+});
+
+test('parseContent: tags come from the text and front matter, never from code', () => {
+  const { nodes, links } = parseContent(DAILY, 'memory/2026-03-01.md');
+  assert.deepEqual(ids(nodes, 'tag').sort(), ['tag:decision', 'tag:infra', 'tag:ops', 'tag:todo']);
+
+  const ops = links.find(l => l.type === 'tagged' && l.target === 'tag:ops');
+  assert.equal(ops.via, 'frontmatter');
+  assert.equal(ops.line, 2);
+  assert.equal(links.find(l => l.target === 'tag:infra').line, 7);
+});
+
+test('parseContent: headings become nested events with their line range', () => {
+  const { nodes, links } = parseContent(DAILY, 'memory/2026-03-01.md');
+  const events = nodes.filter(n => n.type === 'event');
+  assert.deepEqual(events.map(e => [e.label, e.level, e.line, e.endLine]), [
+    ['Memory', 1, 5, 20],
+    ['Decisions', 2, 9, 20],
+    ['Sub', 3, 18, 20],
+  ]);
+
+  const parentOf = id => links.find(l => l.type === 'header' && l.target === id).source;
+  assert.equal(parentOf('event:memory/2026-03-01.md#Memory'), 'file:memory/2026-03-01.md');
+  assert.equal(parentOf('event:memory/2026-03-01.md#Sub'), 'event:memory/2026-03-01.md#Decisions');
+});
+
+test('parseContent: repeated headings get their own ids', () => {
+  const { nodes } = parseContent('## Notes\n\na\n\n## Notes\n\nb\n', 'MEMORY.md');
+  assert.deepEqual(ids(nodes, 'event'), ['event:MEMORY.md#Notes', 'event:MEMORY.md#Notes~2']);
+});
+
+test('parseContent: checkbox and #todo items are tasks, #decision items decisions', () => {
+  const { nodes, links } = parseContent(DAILY, 'memory/2026-03-01.md');
+  const task = nodes.find(n => n.type === 'task');
+  assert.equal(task.label, 'write runbook Monitor');
+  assert.equal(task.checked, false);
+  assert.equal(task.line, 11);
+  assert.equal(task.date, '2026-03-01');
+
+  const decision = nodes.find(n => n.type === 'decision');
+  assert.equal(decision.label, 'use postgres');
+
+  const item = links.find(l => l.type === 'item' && l.target === task.id);
+  assert.equal(item.source, 'event:memory/2026-03-01.md#Decisions');
+  assert.ok(links.some(l => l.type === 'mentions' && l.source === task.id && l.target === 'concept:Monitor'));
+});
+
+test('parseContent: front matter date dates the items of a non-daily file', () => {
+  const { nodes } = parseContent('---\ndate: 2026-02-03\n---\n- [x] shipped\n', 'notes.md');
+  const task = nodes.find(n => n.type === 'task');
+  assert.equal(task.date, '2026-02-03');
+  assert.equal(task.checked, true);
+});
+
+test('parseContent: entities record positions for rename and lint', () => {
+  const { entities } = parseContent(DAILY, 'memory/2026-03-01.md');
+  const link = entities.find(e => e.kind === 'wikilink' && e.value === 'MEMORY');
+  assert.deepEqual([link.heading, link.line, link.column], ['Decisions', 20, 5]);
+  assert.ok(!entities.some(e => e.value === 'NotALink' || e.value === 'notatag' || e.value === 'inline'));
+});
+
+test('dailyLogDate: only YYYY-MM-DD file names are daily logs', () => {
+  assert.equal(dailyLogDate('memory/2026-03-01.md'), '2026-03-01');
+  assert.equal(dailyLogDate('MEMORY.md'), null);
+});
+
+test('matchRoot: includes and excludes decide which root a path belongs to', () => {
+  const discovery = {
+    roots: [
+      { label: 'memory', path: '.', include: ['MEMORY.md', 'memory/**/*.md'] },
+      { label: 'projects', path: 'projects', include: ['*/NOTES.md'] },
+    ],
+    exclude: ['memory/archive/**'],
+  };
+  assert.equal(matchRoot('memory/2026-03-01.md', discovery).label, 'memory');
+  assert.equal(matchRoot('projects/alpha/NOTES.md', discovery).label, 'projects');
+  assert.equal(matchRoot('memory/archive/old.md', discovery), null);
+  assert.equal(matchRoot('node_modules/x/README.md', discovery), null);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseContent } = require('../server/parser');
+const { planRename, renameInContent } = require('../server/refactor');
+
+function rename(content, request) {
+  return renameInContent(content, parseContent(content, 'MEMORY.md').entities, request);
+}
+
+test('renameInContent: rewrites wikilinks, keeping #Heading and |alias parts', () => {
+  const content = 'See [[Monitor]], [[Monitor#Setup]] and [[Monitor|the monitor]].\n';
+  const result = rename(content, { kind: 'concept', from: 'Monitor', to: 'Watchdog' });
+  assert.equal(result.content, 'See [[Watchdog]], [[Watchdog#Setup]] and [[Watchdog|the monitor]].\n');
+  assert.equal(result.occurrences, 3);
+  assert.deepEqual(result.skipped, []);
+});
+
+test('renameInContent: rewrites whole tags only, inline and in front matter', () => {
+  const content = '---\ntags: [ops, ops-team]\n---\n#ops and #ops-team\n';
+  const result = rename(content, { kind: 'tag', from: 'ops', to: 'infra' });
+  assert.equal(result.content, '---\ntags: [infra, ops-team]\n---\n#infra and #ops-team\n');
+  assert.equal(result.occurrences, 2);
+});
+
+test('renameInContent: leaves code alone', () => {
+  const content = '[[Monitor]]\n\n```\n[[Monitor]]\n```\n\n`[[Monitor]]`\n';
+  const result = rename(content, { kind: 'concept', from: 'Monitor', to: 'Watchdog' });
+  assert.equal(result.content, '[[Watchdog]]\n\n```\n[[Monitor]]\n```\n\n`[[Monitor]]`\n');
+});
+
+test('renameInContent: skips entities whose text moved since parsing', () => {
+  const original = 'a [[Monitor]]\n';
+  const { entities } = parseContent(original, 'MEMORY.md');
+  const result = renameInContent('changed line\n', entities, { kind: 'concept', from: 'Monitor', to: 'Watchdog' });
+  assert.equal(result.content, 'changed line\n');
+  assert.equal(result.occurrences, 0);
+  assert.deepEqual(result.skipped, [{ line: 1, column: 3 }]);
+});
+
+test('planRename: plans every mentioning file and flags merges', () => {
+  const files = [
+    parseContent('[[Monitor]] #ops\n', 'MEMORY.md'),
+    parseContent('[[Watchdog]]\n', 'memory/2026-03-01.md'),
+    parseContent('nothing here\n', 'memory/2026-03-02.md'),
+  ];
+  const plan = planRename(files, { kind: 'concept', from: 'Monitor', to: 'Watchdog' });
+  assert.equal(plan.merge, true);
+  assert.deepEqual(plan.files.map(f => f.path), ['MEMORY.md']);
+  assert.equal(plan.files[0].content, '[[Watchdog]] #ops\n');
+  assert.match(plan.files[0].etag, /^".+"$/);
+});
+
+test('planRename: rejects invalid names with a 400', () => {
+  assert.throws(() => planRename([], { kind: 'tag', from: 'ops', to: 'two words' }), { status: 400 });
+  assert.throws(() => planRename([], { kind: 'concept', from: 'A', to: 'B|C' }), { status: 400 });
+  assert.throws(() => planRename([], { kind: 'file', from: 'a', to: 'b' }), { status: 400 });
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findSection, spliceSection } = require('../server/sections');
+
+const CONTENT = [
+  '# Memory',
+  '',
+  '## Projects',
+  '',
+  '- alpha',
+  '',
+  '### Alpha',
+  '',
+  'details',
+  '',
+  '## People',
+  '',
+  '- ana',
+].join('\n');
+
+test('findSection: spans nested headings up to the next heading of the same level, without trailing blank lines', () => {
+  const section = findSection(CONTENT, 'MEMORY.md', 'event:MEMORY.md#Projects');
+  assert.equal(section.line, 3);
+  assert.equal(section.endLine, 9);
+  assert.equal(section.text, '## Projects\n\n- alpha\n\n### Alpha\n\ndetails');
+});
+
+test('findSection: null for an event that no longer exists', () => {
+  assert.equal(findSection(CONTENT, 'MEMORY.md', 'event:MEMORY.md#Gone'), null);
+});
+
+test('spliceSection: replaces only the section and reports its new range', () => {
+  const section = findSection(CONTENT, 'MEMORY.md', 'event:MEMORY.md#Projects');
+  const result = spliceSection(CONTENT, section, '## Projects\n\n- beta');
+  assert.equal(result.content, '# Memory\n\n## Projects\n\n- beta\n\n## People\n\n- ana');
+  assert.equal(result.line, 3);
+  assert.equal(result.endLine, 5);
+});
+
+test('spliceSection: the last section runs to the end of the file', () => {
+  const section = findSection(CONTENT, 'MEMORY.md', 'event:MEMORY.md#People');
+  assert.equal(section.endLine, 13);
+  const result = spliceSection(CONTENT, section, '## People\n\n- ana\n- bo');
+  assert.ok(result.content.endsWith('## People\n\n- ana\n- bo'));
+  assert.ok(result.content.startsWith('# Memory\n\n## Projects'));
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { contentVersion, ifMatchAccepts, mergeVersions } = require('../server/versions');
+
+const BASE = '# Memory\n\n- alpha\n- beta\n- gamma\n';
+
+test('contentVersion: depends on content only', () => {
+  assert.equal(contentVersion(BASE), contentVersion(`${BASE}`));
+  assert.notEqual(contentVersion(BASE), contentVersion(`${BASE}\n`));
+  assert.match(contentVersion(BASE), /^"[\w-]{22}"$/);
+});
+
+test('ifMatchAccepts: a listed strong ETag or *, never a weak one', () => {
+  const etag = contentVersion(BASE);
+  assert.ok(ifMatchAccepts(etag, etag));
+  assert.ok(ifMatchAccepts(`"other", ${etag}`, etag));
+  assert.ok(ifMatchAccepts('*', etag));
+  assert.ok(!ifMatchAccepts(`W/${etag}`, etag));
+  assert.ok(!ifMatchAccepts(contentVersion('stale'), etag));
+});
+
+test('mergeVersions: edits to different lines merge cleanly', () => {
+  const yours = BASE.replace('- alpha', '- alpha (done)');
+  const theirs = `${BASE}- delta\n`;
+  const merge = mergeVersions({ base: BASE, yours, theirs, path: 'MEMORY.md' });
+  assert.equal(merge.conflict, false);
+  assert.equal(merge.conflicts, 0);
+  assert.equal(merge.content, '# Memory\n\n- alpha (done)\n- beta\n- gamma\n- delta\n');
+});
+
+test('mergeVersions: edits to the same line conflict with git-style markers', () => {
+  const yours = BASE.replace('- beta', '- beta (mine)');
+  const theirs = BASE.replace('- beta', '- beta (disk)');
+  const merge = mergeVersions({ base: BASE, yours, theirs, path: 'MEMORY.md' });
+  assert.equal(merge.conflict, true);
+  assert.equal(merge.conflicts, 1);
+  assert.match(merge.content, /<<<<<<< yours\n- beta \(mine\)\n\|\|\|\|\|\|\| base\n- beta\n=======\n- beta \(disk\)\n>>>>>>> disk/);
+});
+
+test('mergeVersions: returns each side as a unified diff against the base', () => {
+  const yours = BASE.replace('- gamma', '- gamma!');
+  const merge = mergeVersions({ base: BASE, yours, theirs: BASE, path: 'MEMORY.md' });
+  assert.match(merge.yours, /--- MEMORY\.md \(base\)\n\+\+\+ MEMORY\.md \(yours\)/);
+  assert.match(merge.yours, /-- gamma\n\+- gamma!/);
+  assert.doesNotMatch(merge.theirs, /@@/);
+});